@@ -1,8 +1,8 @@
 # ==============================================================================
 # Deploy Driver Document Lambda Functions
 # ==============================================================================
-# Builds and deploys document-upload, document-review, and document-expiry
-# Lambda functions to AWS
+# Builds and deploys document-upload, document-review, document-expiry and
+# document-retention Lambda functions to AWS
 # ==============================================================================
 
 param(
@@ -18,7 +18,7 @@ Write-Host "Environment: $Environment" -ForegroundColor Cyan
 Write-Host "Region: $Region" -ForegroundColor Cyan
 Write-Host "========================================" -ForegroundColor Cyan
 
-$functions = @("document-upload", "document-review", "document-expiry")
+$functions = @("document-upload", "document-review", "document-expiry", "document-retention")
 
 foreach ($func in $functions) {
     Write-Host "`nProcessing $func..." -ForegroundColor Yellow
@@ -34,9 +34,10 @@ foreach ($func in $functions) {
     Push-Location $funcDir
 
     try {
-        # Install dependencies
+        # Install dependencies (native binaries such as sharp's for the
+        # Lambda platform, not this machine's)
         Write-Host "  Installing dependencies..." -ForegroundColor Gray
-        npm install --production --silent
+        npm install --production --os=linux --cpu=x64 --silent
 
         # Create deployment package
         Write-Host "  Creating deployment package..." -ForegroundColor Gray
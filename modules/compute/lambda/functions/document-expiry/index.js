@@ -2,25 +2,70 @@
  * Driver Document Expiry Check Lambda
  *
  * Scheduled job that:
- * 1. Finds documents expiring in next 30 days
- * 2. Marks expired documents as 'expired'
- * 3. Updates driver_profiles status if docs become expired
- * 4. Sends notifications to drivers (future enhancement)
+ * 1. Marks expired documents as 'expired' and tags their objects for the
+ *    bucket's lifecycle rules
+ * 2. Marks drivers at risk while a lapsed document is in its grace period,
+ *    and suspends them (driver_profiles status) once the grace period ends
+ * 3. Finds documents due an expiry reminder (EXPIRY_REMINDER_DAYS stages)
+ * 4. Notifies drivers of expired and soon-to-expire documents
+ *
+ * Each tenant is processed separately under its own tenant context, so one
+ * tenant's failure does not stop the others. Documents without a tenant
+ * (created before tenant isolation) are processed last as their own group.
  *
  * Triggered by EventBridge rule (scheduled daily)
  */
 
+const { S3Client, PutObjectTaggingCommand } = require('@aws-sdk/client-s3');
 const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
+const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
 const { Client } = require('pg');
+const { ACTORS, transitionSources } = require('@vehealth/compliance-shared/document-states');
+const { EVENT_TYPES, recordDocumentEvent } = require('@vehealth/compliance-shared/document-events');
+const { TEMPLATE_NAMES } = require('@vehealth/compliance-shared/notification-templates');
+const { createChannels, sendNotification, wasDelivered } = require('@vehealth/compliance-shared/notifications');
+const {
+    COMPLIANCE_STATUSES,
+    evaluateDriverCompliance,
+    recordComplianceStatus,
+} = require('@vehealth/compliance-shared/compliance-policies');
+const { setTenantContext } = require('@vehealth/compliance-shared/tenancy');
+const { syncLifecycleTags } = require('@vehealth/compliance-shared/storage-lifecycle');
 
 const ENVIRONMENT = process.env.ENVIRONMENT || 'dev';
+const DOCUMENTS_BUCKET = process.env.DOCUMENTS_BUCKET || `vehealth-${ENVIRONMENT}-driver-documents`;
 const RDS_PROXY_ENDPOINT = process.env.RDS_PROXY_ENDPOINT;
 const RDS_SECRET_ARN = process.env.RDS_SECRET_ARN;
 const DATABASE_NAME = process.env.DATABASE_NAME || 'vehealth';
 const LOG_LEVEL = process.env.LOG_LEVEL || 'INFO';
 
+// Reminder stages in days before expiry, e.g. '30,14,7,1,0' (0 = day of expiry)
+const EXPIRY_REMINDER_DAYS = parseReminderDays(process.env.EXPIRY_REMINDER_DAYS || '30,14,7,1,0');
+
+// Notification delivery
+const NOTIFICATION_CHANNELS = process.env.NOTIFICATION_CHANNELS || 'email';
+const NOTIFICATION_TRANSPORT = process.env.NOTIFICATION_TRANSPORT || 'aws';
+const NOTIFICATION_EMAIL_FROM = process.env.NOTIFICATION_EMAIL_FROM;
+const NOTIFICATION_OUTBOX_FILE = process.env.NOTIFICATION_OUTBOX_FILE;
+
 const secretsClient = new SecretsManagerClient({ region: process.env.AWS_REGION || 'us-east-2' });
 
+// Document-status object tags for the bucket's lifecycle rules
+const storageLifecycle = {
+    client: new S3Client({ region: process.env.AWS_REGION || 'us-east-2' }),
+    PutObjectTaggingCommand,
+    bucket: DOCUMENTS_BUCKET,
+};
+
+const notificationChannels = createChannels(NOTIFICATION_CHANNELS, {
+    transport: NOTIFICATION_TRANSPORT,
+    ses: { client: new SESClient({ region: process.env.AWS_REGION || 'us-east-2' }), SendEmailCommand },
+    sns: { client: new SNSClient({ region: process.env.AWS_REGION || 'us-east-2' }), PublishCommand },
+    emailFrom: NOTIFICATION_EMAIL_FROM,
+    outboxFile: NOTIFICATION_OUTBOX_FILE,
+});
+
 // Database connection pool
 let dbClient = null;
 
@@ -65,85 +110,207 @@ async function getDbConnection() {
 }
 
 /**
- * Find documents expiring in next N days
+ * Parse a comma-separated list of reminder stages into unique days, largest first
+ */
+function parseReminderDays(value) {
+    const days = value.split(',').map(day => Number(day.trim()));
+
+    if (days.some(day => !Number.isInteger(day) || day < 0)) {
+        throw new Error(`Invalid EXPIRY_REMINDER_DAYS: ${value}`);
+    }
+
+    return [...new Set(days)].sort((a, b) => b - a);
+}
+
+/**
+ * Find documents due an expiry reminder
+ *
+ * A document's due stage is the smallest stage at or above its days until
+ * expiry. Each stage fires once; stages skipped because the document was
+ * approved late or a run was missed are never sent afterwards. Reminders
+ * continue while a replacement awaits review, since the replacement may be
+ * rejected, and stop once an approved replacement supersedes the document.
  */
-async function findExpiringDocuments(db, daysAhead = 30) {
+async function findDocumentsDueReminder(db, stages, tenantId) {
     const query = `
         SELECT
-            id, driver_id, document_type, file_name,
-            expiry_date, expiration_notified_at,
-            (expiry_date - CURRENT_DATE) AS days_until_expiry
-        FROM driver_documents
-        WHERE status = 'approved'
-          AND expiry_date IS NOT NULL
-          AND expiry_date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '${daysAhead} days'
-          AND expiration_notified_at IS NULL
-        ORDER BY expiry_date ASC
+            d.id, d.driver_id, d.tenant_id, d.document_type, d.file_name,
+            d.expiry_date, d.expiration_notified_at,
+            (d.expiry_date - CURRENT_DATE) AS days_until_expiry,
+            stage.days AS reminder_stage
+        FROM driver_documents d
+        CROSS JOIN LATERAL (
+            SELECT MIN(s) AS days
+            FROM unnest($1::integer[]) AS s
+            WHERE s >= d.expiry_date - CURRENT_DATE
+        ) stage
+        WHERE d.status = 'approved'
+          AND d.tenant_id IS NOT DISTINCT FROM $2
+          AND d.expiry_date IS NOT NULL
+          AND d.expiry_date >= CURRENT_DATE
+          AND d.reminders_cancelled_at IS NULL
+          AND d.superseded_at IS NULL
+          AND stage.days IS NOT NULL
+          AND NOT EXISTS (
+              SELECT 1 FROM document_expiry_reminders r
+              WHERE r.document_id = d.id AND r.stage_days = stage.days
+          )
+        ORDER BY d.expiry_date ASC
     `;
 
-    const result = await db.query(query);
+    const result = await db.query(query, [stages, tenantId]);
     return result.rows;
 }
 
 /**
- * Mark documents as expired
+ * Mark a tenant's expired documents, recording an audit event for each
+ *
+ * Versions superseded by a newer approval are left as they are.
  */
-async function markExpiredDocuments(db) {
+async function markExpiredDocuments(db, tenantId, requestId) {
     const query = `
         UPDATE driver_documents
         SET status = 'expired', updated_at = NOW()
-        WHERE status = 'approved'
+        WHERE status = ANY($1)
+          AND tenant_id IS NOT DISTINCT FROM $2
           AND expiry_date IS NOT NULL
           AND expiry_date < CURRENT_DATE
-        RETURNING id, driver_id, document_type, expiry_date
+          AND superseded_at IS NULL
+        RETURNING id, driver_id, tenant_id, document_type, status, expiry_date, s3_key, s3_bucket, s3_lifecycle_tag
     `;
 
-    const result = await db.query(query);
-    return result.rows;
+    try {
+        await db.query('BEGIN');
+
+        const result = await db.query(query, [transitionSources('expire', ACTORS.SYSTEM), tenantId]);
+
+        for (const doc of result.rows) {
+            await recordDocumentEvent(db, {
+                documentId: doc.id,
+                driverId: doc.driver_id,
+                tenantId: doc.tenant_id,
+                eventType: EVENT_TYPES.EXPIRED,
+                actor: { type: ACTORS.SYSTEM, id: null },
+                requestId,
+                before: { status: 'approved' },
+                after: doc
+            });
+        }
+
+        await db.query('COMMIT');
+        return result.rows;
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    }
 }
 
 /**
- * Mark expiration notification as sent
+ * Record the reminder stages sent so each fires only once per document
  */
-async function markNotificationSent(db, documentIds) {
-    if (documentIds.length === 0) return;
+async function markRemindersSent(db, reminders) {
+    if (reminders.length === 0) return;
 
-    const query = `
+    const insertQuery = `
+        INSERT INTO document_expiry_reminders (document_id, stage_days)
+        SELECT * FROM unnest($1::uuid[], $2::integer[])
+        ON CONFLICT (document_id, stage_days) DO NOTHING
+    `;
+
+    await db.query(insertQuery, [reminders.map(r => r.id), reminders.map(r => r.reminder_stage)]);
+
+    const updateQuery = `
         UPDATE driver_documents
         SET expiration_notified_at = NOW(), updated_at = NOW()
         WHERE id = ANY($1)
     `;
 
-    await db.query(query, [documentIds]);
+    await db.query(updateQuery, [reminders.map(r => r.id)]);
 }
 
 /**
- * Update driver profiles with expired document status
+ * Find a tenant's verified drivers with an approved document inside the
+ * largest minimum-validity window of any active policy
  */
-async function updateDriverProfilesForExpiredDocs(db, expiredDocs) {
-    if (expiredDocs.length === 0) return [];
+async function findDriversNearingMinimumValidity(db, tenantId) {
+    const query = `
+        SELECT DISTINCT d.driver_id, d.tenant_id
+        FROM driver_documents d
+        JOIN driver_profiles p ON p.user_id = d.driver_id
+        WHERE d.status = 'approved'
+          AND d.tenant_id IS NOT DISTINCT FROM $1
+          AND d.expiry_date IS NOT NULL
+          AND d.superseded_at IS NULL
+          AND p.documents_complete = TRUE
+          AND d.expiry_date < CURRENT_DATE + (
+              SELECT COALESCE(MAX(r.min_validity_days), 0)
+              FROM compliance_policy_requirements r
+              JOIN compliance_policies cp ON cp.id = r.policy_id
+              WHERE cp.is_active
+          )
+    `;
+
+    const result = await db.query(query, [tenantId]);
+    return result.rows;
+}
+
+/**
+ * Find a tenant's at-risk drivers whose grace period has ended
+ *
+ * Profiles carry no tenant; a driver belongs to the tenant of their documents.
+ */
+async function findDriversPastGracePeriod(db, tenantId) {
+    const query = `
+        SELECT DISTINCT p.user_id AS driver_id, d.tenant_id
+        FROM driver_profiles p
+        JOIN driver_documents d ON d.driver_id = p.user_id
+        WHERE p.compliance_status = 'at_risk'
+          AND p.compliance_grace_ends_on < CURRENT_DATE
+          AND d.tenant_id IS NOT DISTINCT FROM $1
+    `;
+
+    const result = await db.query(query, [tenantId]);
+    return result.rows;
+}
+
+/**
+ * Tenants with documents (null for documents created before tenant isolation)
+ *
+ * Needs platform access: run before any tenant context is set.
+ */
+async function listTenants(db) {
+    const result = await db.query(
+        'SELECT DISTINCT tenant_id FROM driver_documents ORDER BY tenant_id NULLS LAST'
+    );
+    return result.rows.map(row => row.tenant_id);
+}
+
+/**
+ * Re-evaluate drivers against their compliance policy: record at-risk status
+ * during grace periods, and mark profiles incomplete (suspend) once
+ * requirements are unmet with no grace period left
+ *
+ * docs: rows with driver_id and tenant_id
+ *
+ * Returns { suspended, atRisk } driver profile rows.
+ */
+async function updateDriverProfilesForExpiredDocs(db, docs) {
+    const results = { suspended: [], atRisk: [] };
+    if (docs.length === 0) return results;
 
     // Group by driver_id
-    const driverIds = [...new Set(expiredDocs.map(d => d.driver_id))];
-
-    const results = [];
-
-    for (const driverId of driverIds) {
-        // Check if driver still has all required docs approved
-        const checkQuery = `
-            SELECT document_type, status
-            FROM driver_documents
-            WHERE driver_id = $1
-              AND document_type IN ('license', 'insurance', 'registration', 'profile_photo')
-              AND status = 'approved'
-        `;
-
-        const checkResult = await db.query(checkQuery, [driverId]);
-        const approvedDocs = checkResult.rows.map(r => r.document_type);
-        const requiredDocs = ['license', 'insurance', 'registration', 'profile_photo'];
-        const allApproved = requiredDocs.every(doc => approvedDocs.includes(doc));
-
-        if (!allApproved) {
+    const drivers = new Map(docs.map(d => [d.driver_id, d.tenant_id]));
+
+    for (const [driverId, tenantId] of drivers) {
+        // Check if driver still meets their compliance policy
+        const compliance = await evaluateDriverCompliance(db, driverId, tenantId);
+        const profile = await recordComplianceStatus(db, driverId, compliance);
+
+        if (compliance.status === COMPLIANCE_STATUSES.AT_RISK && profile) {
+            results.atRisk.push(profile);
+        }
+
+        if (compliance.status === COMPLIANCE_STATUSES.NON_COMPLIANT) {
             // Mark documents as incomplete
             const updateQuery = `
                 UPDATE driver_profiles
@@ -159,7 +326,9 @@ async function updateDriverProfilesForExpiredDocs(db, expiredDocs) {
             `;
 
             const updateResult = await db.query(updateQuery, [driverId]);
-            results.push(updateResult.rows[0]);
+            if (updateResult.rows[0]) {
+                results.suspended.push(updateResult.rows[0]);
+            }
         }
     }
 
@@ -167,25 +336,92 @@ async function updateDriverProfilesForExpiredDocs(db, expiredDocs) {
 }
 
 /**
- * Send expiration notifications (placeholder - integrate with SNS/SES later)
+ * Notify drivers about documents
+ *
+ * Returns the IDs of documents for which at least one notification went out.
  */
-async function sendExpirationNotifications(expiringDocs) {
-    console.log(`Would send ${expiringDocs.length} expiration notifications`);
+async function sendDocumentNotifications(db, docs, template) {
+    const deliveredIds = [];
+
+    for (const doc of docs) {
+        const deliveries = await sendNotification(db, notificationChannels, {
+            driverId: doc.driver_id,
+            tenantId: doc.tenant_id,
+            documentId: doc.id,
+            template,
+            data: {
+                documentType: doc.document_type,
+                expiryDate: doc.expiry_date,
+                daysUntilExpiry: doc.days_until_expiry
+            }
+        });
 
-    // TODO: Integrate with SNS or SES to send emails/push notifications
-    // For now, just log the notifications
+        if (wasDelivered(deliveries)) {
+            deliveredIds.push(doc.id);
+        }
+    }
 
-    expiringDocs.forEach(doc => {
-        console.log(`NOTIFICATION: Driver ${doc.driver_id} - ${doc.document_type} expires in ${doc.days_until_expiry} days (${doc.expiry_date})`);
-    });
+    return deliveredIds;
+}
 
-    return expiringDocs.length;
+/**
+ * Run the expiry steps for one tenant, adding counts to results
+ */
+async function processTenant(db, tenantId, requestId, results) {
+    console.log(`Processing tenant ${tenantId}`);
+
+    // Step 1: Find and mark expired documents
+    console.log('Step 1: Marking expired documents');
+    const expiredDocs = await markExpiredDocuments(db, tenantId, requestId);
+    results.expiredDocuments += expiredDocs.length;
+    console.log(`Marked ${expiredDocs.length} documents as expired`);
+    await syncLifecycleTags(db, storageLifecycle, expiredDocs);
+
+    // Step 2: Update driver profiles for expired documents, documents that
+    // no longer meet their policy's minimum remaining validity, and drivers
+    // whose grace period has ended
+    const driversToCheck = [
+        ...expiredDocs,
+        ...await findDriversNearingMinimumValidity(db, tenantId),
+        ...await findDriversPastGracePeriod(db, tenantId),
+    ];
+    if (driversToCheck.length > 0) {
+        console.log('Step 2: Updating driver profiles for expired documents');
+        const updatedProfiles = await updateDriverProfilesForExpiredDocs(db, driversToCheck);
+        results.profilesUpdated += updatedProfiles.suspended.length;
+        results.driversAtRisk += updatedProfiles.atRisk.length;
+        console.log(`Suspended ${updatedProfiles.suspended.length} driver profiles, ${updatedProfiles.atRisk.length} at risk`);
+    }
+
+    if (expiredDocs.length > 0) {
+        const notifiedIds = await sendDocumentNotifications(db, expiredDocs, TEMPLATE_NAMES.EXPIRED);
+        results.notificationsSent += notifiedIds.length;
+        results.notificationsFailed += expiredDocs.length - notifiedIds.length;
+    }
+
+    // Step 3: Find documents due a reminder stage
+    console.log(`Step 3: Finding documents due an expiry reminder (stages: ${EXPIRY_REMINDER_DAYS.join(', ')} days)`);
+    const expiringDocs = await findDocumentsDueReminder(db, EXPIRY_REMINDER_DAYS, tenantId);
+    results.expiringDocuments += expiringDocs.length;
+    console.log(`Found ${expiringDocs.length} documents due an expiry reminder`);
+
+    // Step 4: Send notifications
+    if (expiringDocs.length > 0) {
+        console.log('Step 4: Sending expiration notifications');
+        const documentIds = await sendDocumentNotifications(db, expiringDocs, TEMPLATE_NAMES.EXPIRING_SOON);
+        results.notificationsSent += documentIds.length;
+        results.notificationsFailed += expiringDocs.length - documentIds.length;
+
+        // Only mark stages whose notification actually went out; the rest retry next run
+        await markRemindersSent(db, expiringDocs.filter(doc => documentIds.includes(doc.id)));
+        console.log(`Marked ${documentIds.length} reminders as sent`);
+    }
 }
 
 /**
  * Main Lambda handler
  */
-exports.handler = async (event) => {
+exports.handler = async (event, context) => {
     console.log('Document Expiry Check - Starting');
     console.log('Event:', JSON.stringify(event, null, 2));
 
@@ -193,51 +429,39 @@ exports.handler = async (event) => {
         expiringDocuments: 0,
         expiredDocuments: 0,
         notificationsSent: 0,
+        notificationsFailed: 0,
         profilesUpdated: 0,
+        driversAtRisk: 0,
         errors: []
     };
 
     try {
         const db = await getDbConnection();
 
-        // Step 1: Find and mark expired documents
-        console.log('Step 1: Marking expired documents');
-        const expiredDocs = await markExpiredDocuments(db);
-        results.expiredDocuments = expiredDocs.length;
-        console.log(`Marked ${expiredDocs.length} documents as expired`);
-
-        // Step 2: Update driver profiles for expired documents
-        if (expiredDocs.length > 0) {
-            console.log('Step 2: Updating driver profiles for expired documents');
-            const updatedProfiles = await updateDriverProfilesForExpiredDocs(db, expiredDocs);
-            results.profilesUpdated = updatedProfiles.length;
-            console.log(`Updated ${updatedProfiles.length} driver profiles`);
-        }
-
-        // Step 3: Find documents expiring soon (30 days)
-        console.log('Step 3: Finding documents expiring in next 30 days');
-        const expiringDocs = await findExpiringDocuments(db, 30);
-        results.expiringDocuments = expiringDocs.length;
-        console.log(`Found ${expiringDocs.length} documents expiring in next 30 days`);
-
-        // Step 4: Send notifications
-        if (expiringDocs.length > 0) {
-            console.log('Step 4: Sending expiration notifications');
-            results.notificationsSent = await sendExpirationNotifications(expiringDocs);
-
-            // Mark notifications as sent
-            const documentIds = expiringDocs.map(d => d.id);
-            await markNotificationSent(db, documentIds);
-            console.log(`Marked ${documentIds.length} notifications as sent`);
+        await setTenantContext(db, { platform: true });
+        const tenants = await listTenants(db);
+
+        for (const tenantId of tenants) {
+            try {
+                // Legacy documents without a tenant are only visible with platform access
+                await setTenantContext(db, { tenantId, platform: tenantId === null });
+                await processTenant(db, tenantId, context?.awsRequestId, results);
+            } catch (error) {
+                console.error(`Document expiry check failed for tenant ${tenantId}:`, error);
+                results.errors.push(`${tenantId}: ${error.message}`);
+            }
         }
 
         console.log('Document Expiry Check - Completed');
         console.log('Results:', results);
 
+        // Surface per-tenant failures to the scheduler's error alarms
         return {
-            statusCode: 200,
+            statusCode: results.errors.length > 0 ? 500 : 200,
             body: JSON.stringify({
-                message: 'Document expiry check completed',
+                message: results.errors.length > 0
+                    ? 'Document expiry check completed with errors'
+                    : 'Document expiry check completed',
                 results
             })
         };
@@ -0,0 +1,287 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+
+process.env.AWS_REGION = 'us-east-2';
+process.env.EXPIRY_REMINDER_DAYS = '7,30,14,30,1,0';
+process.env.NOTIFICATION_TRANSPORT = 'local';
+process.env.NOTIFICATION_OUTBOX_FILE = os.devNull;
+
+const { Client } = require('pg');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
+
+const { handler } = require('..');
+
+const TENANT = '11111111-1111-4111-8111-111111111111';
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Date n days from today as YYYY-MM-DD (negative for past dates)
+ */
+const daysFromToday = days => new Date(Date.now() + days * DAY).toISOString().slice(0, 10);
+const TODAY = daysFromToday(0);
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY);
+
+const POLICY = { id: 'policy-1', tenant_id: null, region: null, name: 'Default' };
+const REQUIREMENTS = [
+    { document_type: 'insurance', expiry_required: true, min_validity_days: 0, grace_period_days: 14 },
+    { document_type: 'license', expiry_required: true, min_validity_days: 0, grace_period_days: 0 },
+];
+
+/**
+ * In-memory documents, driver profiles and reminders answering the expiry
+ * job's statements
+ *
+ * The reminder query mirrors its SQL: a document's due stage is the
+ * smallest stage at or above its days until expiry, unless already sent.
+ */
+function createDb({ documents = [], profiles = [], recipients = {}, reminders = [] }) {
+    const rows = documents.map(doc => ({
+        tenant_id: TENANT,
+        status: 'approved',
+        superseded_at: null,
+        reminders_cancelled_at: null,
+        created_at: new Date(),
+        ...doc
+    }));
+    const driverProfiles = new Map(profiles.map(profile => [profile.user_id, {
+        status: 'active',
+        documents_complete: true,
+        compliance_status: 'compliant',
+        compliance_grace_ends_on: null,
+        ...profile
+    }]));
+    const sent = new Set(reminders);
+    const deliveries = [];
+    const queried = {};
+
+    return {
+        deliveries,
+        queried,
+        reminders: sent,
+        document: id => rows.find(row => row.id === id),
+        profile: driverId => driverProfiles.get(driverId),
+        async query(sql, values = []) {
+            const statement = sql.trim();
+
+            if (statement.startsWith('SELECT DISTINCT tenant_id FROM driver_documents')) {
+                return { rows: [{ tenant_id: TENANT }] };
+            }
+
+            if (/SET status = 'expired'/.test(statement)) {
+                const [statuses] = values;
+                const expired = rows.filter(row => statuses.includes(row.status) && row.expiry_date < TODAY && !row.superseded_at);
+                expired.forEach(row => { row.status = 'expired'; });
+                return { rows: expired.map(row => ({ ...row })) };
+            }
+
+            if (statement.includes("WHERE p.compliance_status = 'at_risk'")) {
+                const driverIds = [...driverProfiles.values()]
+                    .filter(profile => profile.compliance_status === 'at_risk' && profile.compliance_grace_ends_on < TODAY)
+                    .map(profile => profile.user_id);
+                return { rows: driverIds.map(driverId => ({ driver_id: driverId, tenant_id: TENANT })) };
+            }
+
+            if (statement.startsWith('SELECT compliance_region FROM driver_profiles')) {
+                return { rows: [{ compliance_region: null }] };
+            }
+            if (statement.includes('FROM compliance_policies')) {
+                return { rows: [POLICY] };
+            }
+            if (statement.includes('FROM compliance_policy_requirements') && !statement.includes('FROM driver_documents')) {
+                return { rows: REQUIREMENTS };
+            }
+
+            if (statement.startsWith('SELECT id, document_type, status, expiry_date')) {
+                const [driverId] = values;
+                return { rows: rows.filter(row => row.driver_id === driverId && !row.superseded_at) };
+            }
+
+            if (/SET\s+compliance_status = \$2/.test(statement)) {
+                const [driverId, status, graceEndsOn] = values;
+                const profile = driverProfiles.get(driverId);
+                if (!profile) return { rows: [] };
+
+                Object.assign(profile, { compliance_status: status, compliance_grace_ends_on: graceEndsOn });
+                return { rows: [{ ...profile }] };
+            }
+
+            if (/SET\s+documents_complete = FALSE/.test(statement)) {
+                const profile = driverProfiles.get(values[0]);
+                if (!profile) return { rows: [] };
+
+                Object.assign(profile, { documents_complete: false, status: profile.status === 'active' ? 'pending_documents' : profile.status });
+                return { rows: [{ ...profile }] };
+            }
+
+            if (statement.includes('CROSS JOIN LATERAL')) {
+                const [stages] = values;
+                queried.reminderStages = stages;
+
+                const due = rows
+                    .filter(row => row.status === 'approved' && row.expiry_date && row.expiry_date >= TODAY
+                        && !row.reminders_cancelled_at && !row.superseded_at)
+                    .map(row => {
+                        const daysUntilExpiry = daysBetween(TODAY, row.expiry_date);
+                        const candidates = stages.filter(stage => stage >= daysUntilExpiry);
+                        const stage = candidates.length > 0 ? Math.min(...candidates) : null;
+                        return { ...row, days_until_expiry: daysUntilExpiry, reminder_stage: stage };
+                    })
+                    .filter(row => row.reminder_stage !== null && !sent.has(`${row.id}:${row.reminder_stage}`))
+                    .sort((a, b) => a.expiry_date.localeCompare(b.expiry_date));
+                return { rows: due };
+            }
+
+            if (statement.includes('FROM users u')) {
+                return { rows: recipients[values[0]] ? [recipients[values[0]]] : [] };
+            }
+
+            if (statement.startsWith('INSERT INTO driver_notifications')) {
+                const [driverId, , documentId, template, channel, , , , status] = values;
+                deliveries.push({ driverId, documentId, template, channel, status });
+                return { rows: [{ channel, status }] };
+            }
+
+            if (statement.startsWith('INSERT INTO document_expiry_reminders')) {
+                const [documentIds, stages] = values;
+                documentIds.forEach((documentId, index) => sent.add(`${documentId}:${stages[index]}`));
+                return { rows: [] };
+            }
+
+            return { rows: [] };
+        }
+    };
+}
+
+let db = null;
+
+test.mock.method(Client.prototype, 'connect', async () => {});
+test.mock.method(Client.prototype, 'query', (sql, values) => db.query(sql, values));
+test.mock.method(SecretsManagerClient.prototype, 'send', async () => ({ SecretString: '{"username":"test","password":"test"}' }));
+test.mock.method(S3Client.prototype, 'send', async () => ({}));
+test.mock.method(console, 'log', () => {});
+
+async function runExpiryCheck() {
+    const response = await handler({}, { awsRequestId: 'request-1' });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+const EMAIL = { email: 'driver@example.com', email_enabled: true };
+
+test('each document gets the smallest reminder stage at or above its days until expiry, once', async () => {
+    db = createDb({
+        documents: [
+            { id: 'doc-20', driver_id: 'driver-1', document_type: 'insurance', expiry_date: daysFromToday(20) },
+            { id: 'doc-14', driver_id: 'driver-1', document_type: 'license', expiry_date: daysFromToday(14) },
+            { id: 'doc-40', driver_id: 'driver-1', document_type: 'insurance', expiry_date: daysFromToday(40) },
+            { id: 'doc-10', driver_id: 'driver-2', document_type: 'insurance', expiry_date: daysFromToday(10) },
+            { id: 'doc-9', driver_id: 'driver-2', document_type: 'license', expiry_date: daysFromToday(9) },
+            { id: 'doc-0', driver_id: 'driver-3', document_type: 'insurance', expiry_date: TODAY },
+        ],
+        // doc-10 had its 30-day reminder, doc-9 its 14-day one
+        reminders: ['doc-10:30', 'doc-9:14'],
+        recipients: { 'driver-1': EMAIL, 'driver-2': EMAIL, 'driver-3': EMAIL }
+    });
+
+    const first = await runExpiryCheck();
+
+    assert.equal(first.statusCode, 200);
+    assert.deepEqual(db.queried.reminderStages, [30, 14, 7, 1, 0]);
+    assert.deepEqual([...db.reminders].sort(), ['doc-0:0', 'doc-10:14', 'doc-10:30', 'doc-14:14', 'doc-20:30', 'doc-9:14']);
+    assert.deepEqual(db.deliveries.map(delivery => delivery.documentId).sort(), ['doc-0', 'doc-10', 'doc-14', 'doc-20']);
+    assert.equal(first.results.notificationsSent, 4);
+
+    const second = await runExpiryCheck();
+
+    assert.equal(second.results.expiringDocuments, 0);
+    assert.equal(db.deliveries.length, 4);
+});
+
+test('only reminders that reached the driver are marked sent', async () => {
+    const recipients = {
+        'driver-1': EMAIL,
+        'driver-2': { email: 'other@example.com', email_enabled: false },
+    };
+    db = createDb({
+        documents: [
+            { id: 'doc-1', driver_id: 'driver-1', document_type: 'insurance', expiry_date: daysFromToday(5) },
+            { id: 'doc-2', driver_id: 'driver-2', document_type: 'insurance', expiry_date: daysFromToday(5) },
+            { id: 'doc-3', driver_id: 'driver-3', document_type: 'insurance', expiry_date: daysFromToday(5) },
+        ],
+        recipients
+    });
+
+    const first = await runExpiryCheck();
+
+    assert.deepEqual([...db.reminders], ['doc-1:7']);
+    assert.equal(first.results.notificationsSent, 1);
+    assert.equal(first.results.notificationsFailed, 2);
+
+    // The skipped ones are due again once the driver can be reached
+    recipients['driver-2'] = { ...recipients['driver-2'], email_enabled: true };
+    const second = await runExpiryCheck();
+
+    assert.equal(second.results.expiringDocuments, 2);
+    assert.deepEqual([...db.reminders].sort(), ['doc-1:7', 'doc-2:7']);
+    assert.equal(second.results.notificationsFailed, 1);
+});
+
+test('a lapsed document with a grace period puts the driver at risk without suspending them', async () => {
+    db = createDb({
+        documents: [
+            { id: 'insurance-1', driver_id: 'driver-1', document_type: 'insurance', expiry_date: daysFromToday(-1) },
+            { id: 'license-1', driver_id: 'driver-1', document_type: 'license', expiry_date: daysFromToday(365) },
+        ],
+        profiles: [{ user_id: 'driver-1' }],
+        recipients: { 'driver-1': EMAIL }
+    });
+
+    const { results } = await runExpiryCheck();
+
+    assert.equal(db.document('insurance-1').status, 'expired');
+    assert.equal(results.expiredDocuments, 1);
+    assert.equal(results.driversAtRisk, 1);
+    assert.equal(results.profilesUpdated, 0);
+    assert.equal(db.profile('driver-1').compliance_status, 'at_risk');
+    assert.equal(db.profile('driver-1').compliance_grace_ends_on, daysFromToday(13));
+    assert.equal(db.profile('driver-1').status, 'active');
+    assert.equal(db.profile('driver-1').documents_complete, true);
+});
+
+test('a driver is suspended once their grace period has ended', async () => {
+    db = createDb({
+        documents: [
+            { id: 'insurance-1', driver_id: 'driver-1', document_type: 'insurance', status: 'expired', expiry_date: daysFromToday(-16) },
+            { id: 'license-1', driver_id: 'driver-1', document_type: 'license', expiry_date: daysFromToday(365) },
+        ],
+        profiles: [{ user_id: 'driver-1', compliance_status: 'at_risk', compliance_grace_ends_on: daysFromToday(-2) }],
+        recipients: { 'driver-1': EMAIL }
+    });
+
+    const { results } = await runExpiryCheck();
+
+    assert.equal(results.expiredDocuments, 0);
+    assert.equal(results.profilesUpdated, 1);
+    assert.equal(db.profile('driver-1').compliance_status, 'non_compliant');
+    assert.equal(db.profile('driver-1').status, 'pending_documents');
+    assert.equal(db.profile('driver-1').documents_complete, false);
+});
+
+test('a lapsed document without a grace period suspends the driver at once', async () => {
+    db = createDb({
+        documents: [
+            { id: 'insurance-1', driver_id: 'driver-1', document_type: 'insurance', expiry_date: daysFromToday(365) },
+            { id: 'license-1', driver_id: 'driver-1', document_type: 'license', expiry_date: daysFromToday(-1) },
+        ],
+        profiles: [{ user_id: 'driver-1' }],
+        recipients: { 'driver-1': EMAIL }
+    });
+
+    const { results } = await runExpiryCheck();
+
+    assert.equal(results.driversAtRisk, 0);
+    assert.equal(results.profilesUpdated, 1);
+    assert.equal(db.profile('driver-1').status, 'pending_documents');
+});
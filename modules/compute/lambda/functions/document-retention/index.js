@@ -0,0 +1,490 @@
+/**
+ * Driver Document Retention Lambda
+ *
+ * Scheduled job that, for each tenant:
+ * 1. Tags document objects whose document-status tag lags their status, so
+ *    the bucket's lifecycle rules apply (retrying tags that failed after a
+ *    status change, and tagging objects stored before tagging existed)
+ * 2. Purges rejected, superseded, quarantined and withdrawn documents kept
+ *    longer than the tenant's retention period (retention_settings): every
+ *    version of each of its files, their quarantine copies and preview
+ *    renditions in S3, then the row
+ *
+ * The retention period runs from the rejection, supersession, quarantine or
+ * withdrawal.
+ * Each purge is recorded in document_purges and as a 'purged' event in the
+ * audit trail, both of which outlive the document, and the run returns a
+ * report of what it purged per tenant.
+ *
+ * Invoke with { "dryRun": true } to report what would be purged without
+ * changing anything.
+ *
+ * Also erases the data of deleted driver accounts ('Driver Account Deleted'
+ * events with detail { driverId, tenantId }): deleting the user cascades to
+ * the document rows but not to S3, so every object version under the
+ * driver's prefixes is deleted and a driver_erasures tombstone recorded
+ * (see shared/driver-data.js).
+ *
+ * Triggered by EventBridge rules (scheduled daily; account deletion events)
+ */
+
+const {
+    S3Client,
+    DeleteObjectCommand,
+    ListObjectVersionsCommand,
+    PutObjectTaggingCommand,
+} = require('@aws-sdk/client-s3');
+const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { Client } = require('pg');
+const { ACTORS } = require('@vehealth/compliance-shared/document-states');
+const { EVENT_TYPES, recordDocumentEvent } = require('@vehealth/compliance-shared/document-events');
+const { setTenantContext, assertTenantKey } = require('@vehealth/compliance-shared/tenancy');
+const {
+    LIFECYCLE_TAGGED_STATUSES,
+    syncLifecycleTags,
+} = require('@vehealth/compliance-shared/storage-lifecycle');
+const {
+    isValidUuid,
+    deleteVersionsUnder,
+    eraseDriverData,
+} = require('@vehealth/compliance-shared/driver-data');
+const { renditionPrefix } = require('@vehealth/compliance-shared/renditions');
+const { getDocumentFiles } = require('@vehealth/compliance-shared/document-files');
+
+const ENVIRONMENT = process.env.ENVIRONMENT || 'dev';
+const DOCUMENTS_BUCKET = process.env.DOCUMENTS_BUCKET || `vehealth-${ENVIRONMENT}-driver-documents`;
+const RDS_PROXY_ENDPOINT = process.env.RDS_PROXY_ENDPOINT;
+const RDS_SECRET_ARN = process.env.RDS_SECRET_ARN;
+const DATABASE_NAME = process.env.DATABASE_NAME || 'vehealth';
+const LOG_LEVEL = process.env.LOG_LEVEL || 'INFO';
+
+// Documents purged (and objects tagged) per tenant per run; the rest wait for the next run
+const RETENTION_BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE || '500', 10);
+
+// Why a document may be purged, in order of precedence
+const PURGE_REASONS = ['withdrawn', 'superseded', 'quarantined', 'rejected'];
+
+// Key prefix of the copies of quarantined files (see document-upload)
+const QUARANTINE_PREFIX = 'quarantine/';
+
+// EventBridge detail-type of driver account deletions
+const DRIVER_DELETED_DETAIL_TYPE = 'Driver Account Deleted';
+
+const SYSTEM_ACTOR = { type: ACTORS.SYSTEM, id: null };
+
+const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-2' });
+const secretsClient = new SecretsManagerClient({ region: process.env.AWS_REGION || 'us-east-2' });
+
+// Document-status object tags for the bucket's lifecycle rules
+const storageLifecycle = { client: s3Client, PutObjectTaggingCommand, bucket: DOCUMENTS_BUCKET };
+
+// Erasure of deleted drivers' data, and purged documents' renditions
+const driverDataStorage = { client: s3Client, bucket: DOCUMENTS_BUCKET, ListObjectVersionsCommand, DeleteObjectCommand };
+
+// Database connection pool
+let dbClient = null;
+
+/**
+ * Get database credentials from Secrets Manager
+ */
+async function getDbCredentials() {
+    try {
+        const response = await secretsClient.send(new GetSecretValueCommand({
+            SecretId: RDS_SECRET_ARN
+        }));
+        return JSON.parse(response.SecretString);
+    } catch (error) {
+        console.error('Error fetching DB credentials:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get or create database connection
+ */
+async function getDbConnection() {
+    if (!dbClient || dbClient._ending) {
+        const credentials = await getDbCredentials();
+
+        dbClient = new Client({
+            host: RDS_PROXY_ENDPOINT,
+            port: 5432,
+            database: DATABASE_NAME,
+            user: credentials.username,
+            password: credentials.password,
+            ssl: { rejectUnauthorized: false },
+            connectionTimeoutMillis: 5000,
+            query_timeout: 10000,
+        });
+
+        await dbClient.connect();
+        console.log('Database connection established');
+    }
+
+    return dbClient;
+}
+
+/**
+ * Tenants with documents (null for documents created before tenant isolation)
+ *
+ * Needs platform access: run before any tenant context is set.
+ */
+async function listTenants(db) {
+    const result = await db.query(
+        'SELECT DISTINCT tenant_id FROM driver_documents ORDER BY tenant_id NULLS LAST'
+    );
+    return result.rows.map(row => row.tenant_id);
+}
+
+/**
+ * Retention period of a tenant in days: its own setting, else the default
+ * (null if neither exists, in which case nothing is purged)
+ */
+async function getRetentionDays(db, tenantId) {
+    const query = `
+        SELECT retention_days
+        FROM retention_settings
+        WHERE is_active = TRUE
+          AND (tenant_id = $1 OR tenant_id IS NULL)
+        ORDER BY tenant_id IS NULL
+        LIMIT 1
+    `;
+
+    const result = await db.query(query, [tenantId]);
+    return result.rows[0]?.retention_days ?? null;
+}
+
+/**
+ * Find documents whose object tag lags their status
+ */
+async function findDocumentsDueLifecycleTag(db, tenantId) {
+    const query = `
+        SELECT id, status, s3_key, s3_bucket, s3_lifecycle_tag
+        FROM driver_documents
+        WHERE tenant_id IS NOT DISTINCT FROM $1
+          AND status = ANY($2)
+          AND s3_lifecycle_tag IS DISTINCT FROM status::text
+          AND s3_key IS NOT NULL
+        ORDER BY updated_at ASC
+        LIMIT $3
+    `;
+
+    const result = await db.query(query, [tenantId, LIFECYCLE_TAGGED_STATUSES, RETENTION_BATCH_SIZE]);
+    return result.rows;
+}
+
+/**
+ * Find rejected, superseded, quarantined and withdrawn documents past the
+ * retention period
+ *
+ * reason and retained_since follow PURGE_REASONS: a superseded document that
+ * was also rejected counts from its supersession.
+ */
+async function findDocumentsDuePurge(db, tenantId, retentionDays) {
+    const query = `
+        SELECT *
+        FROM (
+            SELECT
+                id, driver_id, tenant_id, document_type, status, version_number,
+                superseded_at, s3_bucket, s3_key,
+                CASE
+                    WHEN status = 'withdrawn' THEN 'withdrawn'
+                    WHEN superseded_at IS NOT NULL THEN 'superseded'
+                    WHEN status = 'quarantined' THEN 'quarantined'
+                    ELSE 'rejected'
+                END AS reason,
+                CASE
+                    WHEN status = 'withdrawn' THEN COALESCE(deleted_at, updated_at)
+                    WHEN superseded_at IS NOT NULL THEN superseded_at
+                    WHEN status = 'quarantined' THEN updated_at
+                    ELSE COALESCE(verified_at, updated_at)
+                END AS retained_since
+            FROM driver_documents
+            WHERE tenant_id IS NOT DISTINCT FROM $1
+              AND (status IN ('rejected', 'quarantined', 'withdrawn') OR superseded_at IS NOT NULL)
+        ) candidates
+        WHERE retained_since < NOW() - make_interval(days => $2)
+        ORDER BY retained_since ASC
+        LIMIT $3
+    `;
+
+    const result = await db.query(query, [tenantId, retentionDays, RETENTION_BATCH_SIZE]);
+    return result.rows;
+}
+
+/**
+ * Purge one document: its files in S3, then its row (file rows cascade),
+ * with a report entry and audit event
+ *
+ * The row is locked and re-checked first, so a document a reviewer changed
+ * since it was selected is left alone (returns null). If S3 fails, the
+ * transaction rolls back and the next run retries.
+ */
+async function purgeDocument(db, document, retentionDays, requestId) {
+    try {
+        await db.query('BEGIN');
+
+        const locked = await db.query(
+            `SELECT id FROM driver_documents
+            WHERE id = $1 AND status = $2 AND superseded_at IS NOT DISTINCT FROM $3
+            FOR UPDATE`,
+            [document.id, document.status, document.superseded_at]
+        );
+
+        if (locked.rows.length === 0) {
+            await db.query('ROLLBACK');
+            return null;
+        }
+
+        let objectVersionsDeleted = 0;
+        for (const file of await getDocumentFiles(db, document)) {
+            if (!file.s3_key) continue;
+
+            // A quarantined file's key is its upload key under the quarantine prefix;
+            // versions of the upload key may remain too
+            const uploadKey = file.s3_key.startsWith(QUARANTINE_PREFIX)
+                ? file.s3_key.slice(QUARANTINE_PREFIX.length)
+                : file.s3_key;
+
+            if (document.tenant_id) {
+                assertTenantKey(uploadKey, document.tenant_id);
+            }
+            const bucket = file.s3_bucket || DOCUMENTS_BUCKET;
+            for (const key of [uploadKey, `${QUARANTINE_PREFIX}${uploadKey}`]) {
+                objectVersionsDeleted += await deleteVersionsUnder(driverDataStorage, bucket, key, candidate => candidate === key);
+            }
+            objectVersionsDeleted += await deleteVersionsUnder(driverDataStorage, bucket, renditionPrefix(uploadKey));
+        }
+
+        await recordDocumentEvent(db, {
+            documentId: document.id,
+            driverId: document.driver_id,
+            tenantId: document.tenant_id,
+            eventType: EVENT_TYPES.PURGED,
+            actor: SYSTEM_ACTOR,
+            requestId,
+            before: document,
+            after: null
+        });
+
+        await db.query(
+            `INSERT INTO document_purges (
+                document_id, driver_id, tenant_id, document_type, status, version_number,
+                reason, retained_since, retention_days, s3_bucket, s3_key,
+                object_versions_deleted, request_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+            [
+                document.id,
+                document.driver_id,
+                document.tenant_id,
+                document.document_type,
+                document.status,
+                document.version_number,
+                document.reason,
+                document.retained_since,
+                retentionDays,
+                document.s3_bucket,
+                document.s3_key,
+                objectVersionsDeleted,
+                requestId || null
+            ]
+        );
+
+        await db.query('DELETE FROM driver_documents WHERE id = $1', [document.id]);
+
+        await db.query('COMMIT');
+        return { objectVersionsDeleted };
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * Report entry for a purged (or, in a dry run, purgeable) document
+ */
+function reportEntry(document, objectVersionsDeleted) {
+    return {
+        documentId: document.id,
+        driverId: document.driver_id,
+        documentType: document.document_type,
+        status: document.status,
+        reason: document.reason,
+        retainedSince: document.retained_since,
+        objectVersionsDeleted
+    };
+}
+
+/**
+ * Tag lagging objects and purge expired documents for one tenant
+ *
+ * Returns the tenant's report. A document that fails to purge is recorded
+ * in results.errors and retried on the next run.
+ */
+async function processTenant(db, tenantId, { dryRun, requestId }, results) {
+    console.log(`Processing tenant ${tenantId}`);
+
+    const report = { tenantId, retentionDays: null, tagged: 0, purged: [] };
+
+    // Step 1: Bring object tags up to date with document statuses
+    if (!dryRun) {
+        const due = await findDocumentsDueLifecycleTag(db, tenantId);
+        const tagged = await syncLifecycleTags(db, storageLifecycle, due);
+        report.tagged = tagged.length;
+        results.tagged += tagged.length;
+        console.log(`Tagged ${tagged.length} of ${due.length} objects for the lifecycle rules`);
+    }
+
+    // Step 2: Purge documents past the retention period
+    report.retentionDays = await getRetentionDays(db, tenantId);
+    if (!report.retentionDays) {
+        console.log('No retention period configured; nothing purged');
+        return report;
+    }
+
+    const documents = await findDocumentsDuePurge(db, tenantId, report.retentionDays);
+    console.log(`Found ${documents.length} documents past the ${report.retentionDays}-day retention period`);
+
+    for (const document of documents) {
+        if (dryRun) {
+            report.purged.push(reportEntry(document, 0));
+            continue;
+        }
+
+        try {
+            const purged = await purgeDocument(db, document, report.retentionDays, requestId);
+            if (!purged) continue;
+
+            report.purged.push(reportEntry(document, purged.objectVersionsDeleted));
+            results.objectVersionsDeleted += purged.objectVersionsDeleted;
+            console.log(`Purged ${document.reason} document ${document.id} (${purged.objectVersionsDeleted} object versions)`);
+        } catch (error) {
+            console.error(`Failed to purge document ${document.id}:`, error);
+            results.errors.push(`${tenantId}/${document.id}: ${error.message}`);
+        }
+    }
+
+    report.purged.forEach(entry => {
+        results.purged += 1;
+        results.byReason[entry.reason] += 1;
+    });
+
+    return report;
+}
+
+/**
+ * Erase a deleted driver's data
+ *
+ * Errors are rethrown so the asynchronous invocation is retried; erasure
+ * is safe to repeat. Malformed events are logged and dropped.
+ */
+async function handleDriverDeleted(event, requestId) {
+    const { driverId, tenantId } = event.detail || {};
+
+    if (!isValidUuid(driverId) || !isValidUuid(tenantId)) {
+        console.error('Ignoring driver deletion event without a valid driverId and tenantId');
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Event detail must include driverId and tenantId' })
+        };
+    }
+
+    const db = await getDbConnection();
+
+    // Platform access: legacy documents without a tenant are erased too
+    await setTenantContext(db, { tenantId, platform: true });
+
+    const erasure = await eraseDriverData(db, driverDataStorage, {
+        driverId,
+        tenantId,
+        source: 'event',
+        actor: SYSTEM_ACTOR,
+        reason: event['detail-type'],
+        requestId
+    });
+
+    console.log(`Driver ${driverId} erased: ${erasure.documents_deleted} documents, ${erasure.object_versions_deleted} object versions`);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: 'Driver data erased',
+            erasureId: erasure.id,
+            driverId,
+            tenantId,
+            documentsDeleted: erasure.documents_deleted,
+            objectVersionsDeleted: erasure.object_versions_deleted
+        })
+    };
+}
+
+/**
+ * Main Lambda handler
+ */
+exports.handler = async (event, context) => {
+    console.log('Event:', JSON.stringify(event, null, 2));
+
+    if (event?.['detail-type'] === DRIVER_DELETED_DETAIL_TYPE) {
+        return handleDriverDeleted(event, context?.awsRequestId);
+    }
+
+    console.log('Document Retention - Starting');
+
+    const dryRun = event?.dryRun === true;
+    const requestId = context?.awsRequestId;
+
+    const results = {
+        dryRun,
+        tagged: 0,
+        purged: 0,
+        byReason: Object.fromEntries(PURGE_REASONS.map(reason => [reason, 0])),
+        objectVersionsDeleted: 0,
+        tenants: [],
+        errors: []
+    };
+
+    try {
+        const db = await getDbConnection();
+
+        await setTenantContext(db, { platform: true });
+        const tenants = await listTenants(db);
+
+        for (const tenantId of tenants) {
+            try {
+                // Legacy documents without a tenant are only visible with platform access
+                await setTenantContext(db, { tenantId, platform: tenantId === null });
+                results.tenants.push(await processTenant(db, tenantId, { dryRun, requestId }, results));
+            } catch (error) {
+                console.error(`Document retention failed for tenant ${tenantId}:`, error);
+                results.errors.push(`${tenantId}: ${error.message}`);
+            }
+        }
+
+        console.log('Document Retention - Completed');
+        console.log('Results:', JSON.stringify({ ...results, tenants: undefined }));
+
+        // Surface failures to the scheduler's error alarms
+        return {
+            statusCode: results.errors.length > 0 ? 500 : 200,
+            body: JSON.stringify({
+                message: results.errors.length > 0
+                    ? 'Document retention completed with errors'
+                    : 'Document retention completed',
+                results
+            })
+        };
+
+    } catch (error) {
+        console.error('Error in document retention:', error);
+        results.errors.push(error.message);
+
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                error: 'Document retention failed',
+                message: LOG_LEVEL === 'DEBUG' ? error.message : undefined,
+                results
+            })
+        };
+    }
+};
@@ -0,0 +1,229 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AWS_REGION = 'us-east-2';
+process.env.DOCUMENTS_BUCKET = 'documents';
+
+const { Client } = require('pg');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
+
+const { handler } = require('..');
+
+const TENANT = '11111111-1111-4111-8111-111111111111';
+const RETENTION_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysAgo = days => new Date(Date.now() - days * DAY);
+const uploadKey = id => `${TENANT}/drivers/driver-1/insurance/${id}.pdf`;
+
+/**
+ * In-memory driver_documents answering the retention job's statements
+ *
+ * The purge candidates mirror the CASE expressions of findDocumentsDuePurge.
+ * afterCandidates runs once the candidates are selected, standing in for a
+ * reviewer acting while the job runs.
+ */
+function createDb(documents, { afterCandidates } = {}) {
+    const rows = new Map(documents.map(doc => [doc.id, {
+        tenant_id: TENANT,
+        driver_id: 'driver-1',
+        document_type: 'insurance',
+        version_number: 1,
+        superseded_at: null,
+        verified_at: null,
+        deleted_at: null,
+        updated_at: daysAgo(0),
+        s3_bucket: 'documents',
+        s3_key: uploadKey(doc.id),
+        ...doc
+    }]));
+    const purges = [];
+
+    const reasonOf = row => {
+        if (row.status === 'withdrawn') return ['withdrawn', row.deleted_at || row.updated_at];
+        if (row.superseded_at) return ['superseded', row.superseded_at];
+        if (row.status === 'quarantined') return ['quarantined', row.updated_at];
+        return ['rejected', row.verified_at || row.updated_at];
+    };
+
+    return {
+        purges,
+        document: id => rows.get(id),
+        async query(sql, values = []) {
+            const statement = sql.trim();
+
+            if (statement.startsWith('SELECT DISTINCT tenant_id FROM driver_documents')) {
+                return { rows: [{ tenant_id: TENANT }] };
+            }
+
+            if (statement.includes('FROM retention_settings')) {
+                return { rows: [{ retention_days: RETENTION_DAYS }] };
+            }
+
+            if (statement.includes(') candidates')) {
+                const [, retentionDays] = values;
+                const candidates = [...rows.values()]
+                    .filter(row => ['rejected', 'quarantined', 'withdrawn'].includes(row.status) || row.superseded_at)
+                    .map(row => {
+                        const [reason, retainedSince] = reasonOf(row);
+                        return { ...row, reason, retained_since: retainedSince };
+                    })
+                    .filter(row => row.retained_since < daysAgo(retentionDays))
+                    .sort((a, b) => a.retained_since - b.retained_since);
+
+                afterCandidates?.(rows);
+                return { rows: candidates };
+            }
+
+            if (statement.startsWith('SELECT id FROM driver_documents') && statement.includes('FOR UPDATE')) {
+                const [id, status, supersededAt] = values;
+                const row = rows.get(id);
+                const current = row && row.status === status && String(row.superseded_at) === String(supersededAt);
+                return { rows: current ? [{ id }] : [] };
+            }
+
+            if (statement.startsWith('INSERT INTO document_purges')) {
+                const [documentId, , , , status, , reason, , retentionDays, , , objectVersionsDeleted] = values;
+                purges.push({ documentId, status, reason, retentionDays, objectVersionsDeleted });
+                return { rows: [] };
+            }
+
+            if (statement.startsWith('DELETE FROM driver_documents')) {
+                rows.delete(values[0]);
+                return { rows: [] };
+            }
+
+            return { rows: [] };
+        }
+    };
+}
+
+/**
+ * Versioned bucket: every version of every key, deleted one at a time
+ */
+function createBucket(keys) {
+    const versions = keys.flatMap(key => [{ Key: key, VersionId: `${key}#1` }, { Key: key, VersionId: `${key}#2` }]);
+
+    return {
+        keys: () => [...new Set(versions.map(version => version.Key))],
+        async send(command) {
+            const { Prefix, Key, VersionId } = command.input;
+
+            switch (command.constructor.name) {
+                case 'ListObjectVersionsCommand':
+                    return { Versions: versions.filter(version => version.Key.startsWith(Prefix)), IsTruncated: false };
+                case 'DeleteObjectCommand':
+                    versions.splice(versions.findIndex(version => version.Key === Key && version.VersionId === VersionId), 1);
+                    return {};
+                default:
+                    return {};
+            }
+        }
+    };
+}
+
+let db = null;
+let bucket = null;
+
+test.mock.method(Client.prototype, 'connect', async () => {});
+test.mock.method(Client.prototype, 'query', (sql, values) => db.query(sql, values));
+test.mock.method(SecretsManagerClient.prototype, 'send', async () => ({ SecretString: '{"username":"test","password":"test"}' }));
+test.mock.method(S3Client.prototype, 'send', command => bucket.send(command));
+test.mock.method(console, 'log', () => {});
+
+async function runRetention(event = {}) {
+    const response = await handler(event, { awsRequestId: 'request-1' });
+    return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+test('documents are purged for the first reason that applies, counted from its date', async () => {
+    db = createDb([
+        // Withdrawn after its supersession: retained from the withdrawal
+        { id: 'withdrawn', status: 'withdrawn', deleted_at: daysAgo(40), superseded_at: daysAgo(60) },
+        { id: 'withdrawn-recently', status: 'withdrawn', deleted_at: daysAgo(5), superseded_at: daysAgo(60) },
+        // Rejected long ago but superseded recently: retained from the supersession
+        { id: 'superseded', status: 'rejected', verified_at: daysAgo(90), superseded_at: daysAgo(35) },
+        { id: 'superseded-recently', status: 'rejected', verified_at: daysAgo(90), superseded_at: daysAgo(5) },
+        { id: 'quarantined', status: 'quarantined', updated_at: daysAgo(45) },
+        { id: 'rejected', status: 'rejected', verified_at: daysAgo(31), updated_at: daysAgo(1) },
+        { id: 'rejected-recently', status: 'rejected', verified_at: daysAgo(10) },
+        { id: 'approved', status: 'approved', verified_at: daysAgo(400) },
+    ]);
+    bucket = createBucket([]);
+
+    const { statusCode, results } = await runRetention();
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(results.byReason, { withdrawn: 1, superseded: 1, quarantined: 1, rejected: 1 });
+    assert.deepEqual(results.tenants[0].purged.map(entry => [entry.documentId, entry.reason]), [
+        ['quarantined', 'quarantined'],
+        ['withdrawn', 'withdrawn'],
+        ['superseded', 'superseded'],
+        ['rejected', 'rejected'],
+    ]);
+    assert.deepEqual(db.purges.map(purge => purge.retentionDays), [30, 30, 30, 30]);
+    ['withdrawn-recently', 'superseded-recently', 'rejected-recently', 'approved'].forEach(id => assert.ok(db.document(id), id));
+    ['withdrawn', 'superseded', 'quarantined', 'rejected'].forEach(id => assert.equal(db.document(id), undefined, id));
+});
+
+test('purging a document deletes every version of its file and renditions', async () => {
+    const key = uploadKey('rejected');
+    const rendition = `${TENANT}/drivers/driver-1/insurance/renditions/rejected.pdf/thumbnail.jpg`;
+    const otherKey = uploadKey('rejected-2');
+    db = createDb([{ id: 'rejected', status: 'rejected', verified_at: daysAgo(31) }]);
+    bucket = createBucket([key, rendition, otherKey]);
+
+    const { results } = await runRetention();
+
+    assert.equal(results.purged, 1);
+    assert.equal(results.objectVersionsDeleted, 4);
+    assert.deepEqual(bucket.keys(), [otherKey]);
+    assert.equal(db.purges[0].objectVersionsDeleted, 4);
+});
+
+test('purging a quarantined document deletes its quarantine copy and upload key', async () => {
+    const key = uploadKey('quarantined');
+    db = createDb([{ id: 'quarantined', status: 'quarantined', updated_at: daysAgo(31), s3_key: `quarantine/${key}` }]);
+    bucket = createBucket([key, `quarantine/${key}`]);
+
+    const { results } = await runRetention();
+
+    assert.equal(results.byReason.quarantined, 1);
+    assert.equal(results.objectVersionsDeleted, 4);
+    assert.deepEqual(bucket.keys(), []);
+});
+
+test('a document changed since it was selected is not purged', async () => {
+    const key = uploadKey('rejected');
+    db = createDb([
+        { id: 'rejected', status: 'rejected', verified_at: daysAgo(31) },
+        { id: 'rejected-2', status: 'rejected', verified_at: daysAgo(32) },
+    ], {
+        // A reviewer overrides the rejection while the job runs
+        afterCandidates: rows => Object.assign(rows.get('rejected'), { status: 'approved' })
+    });
+    bucket = createBucket([key, uploadKey('rejected-2')]);
+
+    const { statusCode, results } = await runRetention();
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(results.tenants[0].purged.map(entry => entry.documentId), ['rejected-2']);
+    assert.equal(db.document('rejected').status, 'approved');
+    assert.deepEqual(bucket.keys(), [key]);
+    assert.deepEqual(db.purges.map(purge => purge.documentId), ['rejected-2']);
+});
+
+test('a dry run reports what would be purged without deleting anything', async () => {
+    const key = uploadKey('rejected');
+    db = createDb([{ id: 'rejected', status: 'rejected', verified_at: daysAgo(31) }]);
+    bucket = createBucket([key]);
+
+    const { results } = await runRetention({ dryRun: true });
+
+    assert.equal(results.dryRun, true);
+    assert.deepEqual(results.tenants[0].purged.map(entry => entry.documentId), ['rejected']);
+    assert.ok(db.document('rejected'));
+    assert.deepEqual(bucket.keys(), [key]);
+    assert.deepEqual(db.purges, []);
+});
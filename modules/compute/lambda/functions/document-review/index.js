@@ -5,23 +5,168 @@
  * 1. Approve or reject uploaded documents
  * 2. Update document status in database
  * 3. Update driver_profiles when all docs approved
- * 4. Send notifications to drivers (future enhancement)
+ * 4. Notify drivers of review outcomes
  *
- * API Route:
+ * API Routes:
+ * - GET /admin/documents - Review queue with filters, sorting and cursor pagination
+ * - POST /admin/documents/{documentId}/claim - Claim for review with a time-limited lease
+ * - DELETE /admin/documents/{documentId}/claim - Release a claim
  * - PUT /admin/documents/{documentId}/review
+ * - POST /admin/documents/review-batch - Review several documents at once
+ * - GET /admin/documents/{documentId} - Get any driver's document and files, with view and preview URLs
+ * - GET /admin/documents/{documentId}/download - Redirect to presigned download URL (?part=n for other files)
+ * - GET /admin/documents/{documentId}/history - Full audit trail
+ * - POST /admin/drivers/{driverId}/export - Archive of a driver's documents and metadata, with download URL
+ * - POST /admin/drivers/{driverId}/erasure - Erase a driver's documents, files and notifications
+ *
+ * Admins see only their own tenant's documents; platform admins see all
+ * tenants. Row-level security (migration 011) enforces the same scope.
+ *
+ * Each route requires a permission granted by the caller's roles (see
+ * shared/permissions.js): documents:view to read, documents:review to claim
+ * and review, documents:override to reverse an approval or rejection,
+ * documents:bulk_approve (with documents:review) to review in batches,
+ * reports:export (with documents:view) to export a driver's data and
+ * data:purge to erase it.
+ * Automatic approvals (auto_verified) may be reversed by any reviewer.
+ *
+ * Approving a document supersedes the driver's earlier versions of that
+ * type; superseded versions leave the queue and can no longer be claimed
+ * or reviewed (see shared/document-versions.js).
+ *
+ * A document's files (a license's front and back, the pages of an
+ * insurance card) are reviewed as one: a document missing a required part
+ * cannot be approved (see shared/document-files.js).
  */
 
+const {
+    S3Client,
+    GetObjectCommand,
+    PutObjectCommand,
+    PutObjectTaggingCommand,
+    ListObjectVersionsCommand,
+    DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
+const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
 const { Client } = require('pg');
+const {
+    ACTORS,
+    DOCUMENT_STATUSES,
+    VIEWABLE_STATUSES,
+    InvalidTransitionError,
+    findTransition,
+    canTransition,
+    allowedTransitions,
+    transitionSources,
+} = require('@vehealth/compliance-shared/document-states');
+const {
+    EVENT_TYPES,
+    recordDocumentEvent,
+    getDocumentEvents,
+} = require('@vehealth/compliance-shared/document-events');
+const { TEMPLATE_NAMES } = require('@vehealth/compliance-shared/notification-templates');
+const { createChannels, sendNotification } = require('@vehealth/compliance-shared/notifications');
+const {
+    getDriverPolicy,
+    evaluateDriverCompliance,
+    recordComplianceStatus,
+    validateApproval,
+} = require('@vehealth/compliance-shared/compliance-policies');
+const {
+    TenantAccessError,
+    hasPlatformRole,
+    setTenantContext,
+    assertTenantKey,
+} = require('@vehealth/compliance-shared/tenancy');
+const {
+    PERMISSIONS,
+    parseRoles,
+    hasPermission,
+    canReviewDocumentType,
+} = require('@vehealth/compliance-shared/permissions');
+const { getExtractedFields } = require('@vehealth/compliance-shared/extraction');
+const { supersedePriorVersions, getDocumentVersions } = require('@vehealth/compliance-shared/document-versions');
+const { syncLifecycleTags } = require('@vehealth/compliance-shared/storage-lifecycle');
+const { storedRenditions } = require('@vehealth/compliance-shared/renditions');
+const {
+    missingParts,
+    getDocumentFiles,
+    describeFile,
+} = require('@vehealth/compliance-shared/document-files');
+const {
+    ExportTooLargeError,
+    isValidUuid,
+    createDriverExport,
+    eraseDriverData,
+} = require('@vehealth/compliance-shared/driver-data');
 
 const ENVIRONMENT = process.env.ENVIRONMENT || 'dev';
+const DOCUMENTS_BUCKET = process.env.DOCUMENTS_BUCKET || `vehealth-${ENVIRONMENT}-driver-documents`;
 const RDS_PROXY_ENDPOINT = process.env.RDS_PROXY_ENDPOINT;
 const RDS_SECRET_ARN = process.env.RDS_SECRET_ARN;
 const DATABASE_NAME = process.env.DATABASE_NAME || 'vehealth';
 const LOG_LEVEL = process.env.LOG_LEVEL || 'INFO';
 
+// Presigned view/download URLs are valid for 1 hour
+const VIEW_URL_EXPIRES_IN = 3600;
+const DISPOSITIONS = ['inline', 'attachment'];
+
+// Review queue sort orders: SQL sort key and its type (for cursor comparison)
+const QUEUE_SORTS = {
+    oldest: { expression: 'COALESCE(d.uploaded_at, d.created_at)', type: 'timestamptz' },
+    expiry: { expression: "COALESCE(d.expiry_date, 'infinity'::date)", type: 'date' },
+};
+const QUEUE_DEFAULT_LIMIT = 25;
+const QUEUE_MAX_LIMIT = 100;
+
+// Review claim lease duration (seconds)
+const REVIEW_CLAIM_SECONDS = parseInt(process.env.REVIEW_CLAIM_SECONDS || '900', 10);
+const REVIEW_CLAIM_MAX_SECONDS = 3600;
+
+// Statuses a reviewer may set through PUT /admin/documents/{documentId}/review
+// ('pending' returns a claimed document to the queue)
+const REVIEW_STATUSES = ['approved', 'rejected', 'pending'];
+
+// POST /admin/documents/review-batch: decisions per request, and commit modes
+const REVIEW_BATCH_MAX_ITEMS = parseInt(process.env.REVIEW_BATCH_MAX_ITEMS || '50', 10);
+const REVIEW_BATCH_MODES = ['best_effort', 'all_or_nothing'];
+
+// Largest total file size bundled into a data export (archives are built in memory)
+const EXPORT_MAX_BYTES = parseInt(process.env.EXPORT_MAX_BYTES || '52428800', 10);
+
+// Notification delivery
+const NOTIFICATION_CHANNELS = process.env.NOTIFICATION_CHANNELS || 'email';
+const NOTIFICATION_TRANSPORT = process.env.NOTIFICATION_TRANSPORT || 'aws';
+const NOTIFICATION_EMAIL_FROM = process.env.NOTIFICATION_EMAIL_FROM;
+const NOTIFICATION_OUTBOX_FILE = process.env.NOTIFICATION_OUTBOX_FILE;
+
+const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-2' });
 const secretsClient = new SecretsManagerClient({ region: process.env.AWS_REGION || 'us-east-2' });
 
+// Document-status object tags for the bucket's lifecycle rules
+const storageLifecycle = { client: s3Client, PutObjectTaggingCommand, bucket: DOCUMENTS_BUCKET };
+
+// Driver data export archives and erasure
+const driverDataStorage = {
+    client: s3Client,
+    bucket: DOCUMENTS_BUCKET,
+    GetObjectCommand,
+    PutObjectCommand,
+    ListObjectVersionsCommand,
+    DeleteObjectCommand,
+};
+
+const notificationChannels = createChannels(NOTIFICATION_CHANNELS, {
+    transport: NOTIFICATION_TRANSPORT,
+    ses: { client: new SESClient({ region: process.env.AWS_REGION || 'us-east-2' }), SendEmailCommand },
+    sns: { client: new SNSClient({ region: process.env.AWS_REGION || 'us-east-2' }), PublishCommand },
+    emailFrom: NOTIFICATION_EMAIL_FROM,
+    outboxFile: NOTIFICATION_OUTBOX_FILE,
+});
+
 // Database connection pool
 let dbClient = null;
 
@@ -74,16 +219,180 @@ function extractUserFromEvent(event) {
         throw new Error('Missing JWT claims');
     }
 
+    const roles = parseRoles(claims['custom:roles']);
+
     return {
         userId: claims.sub,
         email: claims.email,
-        roles: claims['custom:roles'] ? claims['custom:roles'].split(',') : [],
-        isAdmin: claims['custom:roles']?.includes('admin') || false,
+        tenantId: claims['custom:tenant_id'] || null,
+        roles,
+        isPlatformAdmin: hasPlatformRole(roles),
     };
 }
 
+/**
+ * Tenant a user's queries are limited to (null for platform admins: all tenants)
+ */
+function tenantScope(user) {
+    return user.isPlatformAdmin ? null : user.tenantId;
+}
+
+/**
+ * Build a Content-Disposition header value with a safe filename
+ */
+function buildContentDisposition(disposition, fileName) {
+    const name = fileName || 'document';
+    const asciiName = name.replace(/[^\x20-\x7E]/g, '_').replace(/["\\]/g, '_');
+    return `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+/**
+ * Generate presigned GET URL for viewing or downloading a document
+ *
+ * Serves the recorded object version, the one that was verified and
+ * scanned. Refuses keys outside the document's tenant prefix.
+ */
+async function generateViewUrl(document, disposition) {
+    assertTenantKey(document.s3_key, document.tenant_id);
+
+    const command = new GetObjectCommand({
+        Bucket: document.s3_bucket,
+        Key: document.s3_key,
+        VersionId: document.s3_version_id || undefined,
+        ResponseContentDisposition: buildContentDisposition(disposition, document.file_name),
+        ResponseContentType: document.mime_type || undefined,
+    });
+
+    return getSignedUrl(s3Client, command, { expiresIn: VIEW_URL_EXPIRES_IN });
+}
+
+/**
+ * Generate presigned GET URLs for a document's preview renditions
+ *
+ * Returns { size: url } (see shared/renditions.js), or null if the document
+ * has no viewable file or no renditions yet.
+ */
+async function generatePreviewUrls(document) {
+    const renditions = VIEWABLE_STATUSES.includes(document.status) ? storedRenditions(document) : [];
+    if (renditions.length === 0) return null;
+
+    const urls = {};
+
+    for (const rendition of renditions) {
+        assertTenantKey(rendition.key, document.tenant_id);
+
+        const command = new GetObjectCommand({ Bucket: document.s3_bucket, Key: rendition.key });
+        urls[rendition.name] = await getSignedUrl(s3Client, command, { expiresIn: VIEW_URL_EXPIRES_IN });
+    }
+
+    return urls;
+}
+
+/**
+ * View and preview URLs of a queue item: { previewUrl, previewUrls }
+ *
+ * A document whose key lies outside its tenant's prefix (e.g. stored before
+ * tenant-prefixed keys) gets no URLs instead of failing the whole page.
+ */
+async function generateQueueUrls(document) {
+    try {
+        return {
+            previewUrl: VIEWABLE_STATUSES.includes(document.status) ? await generateViewUrl(document, 'inline') : null,
+            previewUrls: await generatePreviewUrls(document)
+        };
+    } catch (error) {
+        if (!(error instanceof TenantAccessError)) throw error;
+
+        console.error(`No preview for document ${document.id} in the review queue:`, error.message);
+        return { previewUrl: null, previewUrls: null };
+    }
+}
+
+/**
+ * Get any driver's document by ID within a tenant scope (null if not found)
+ */
+async function getDocument(db, documentId, tenantId) {
+    const query = `
+        SELECT
+            id, driver_id, tenant_id, document_type, document_category,
+            s3_key, s3_version_id, s3_bucket, file_name, file_size_bytes, mime_type,
+            document_number, issuing_authority, issue_date, expiry_date,
+            status, verified_at, verified_by, auto_verified, confidence_score,
+            rejection_reason, quarantine_reason, notes, uploaded_at, created_at, updated_at,
+            claimed_by, claimed_at, claim_expires_at, version,
+            vehicle_make, vehicle_model, vehicle_year, vehicle_plate, extraction_status, extracted_at,
+            version_number, replaces_document_id, superseded_by_document_id, superseded_at,
+            file_count, renditions
+        FROM driver_documents
+        WHERE id = $1
+          AND ($2::uuid IS NULL OR tenant_id = $2)
+    `;
+
+    const result = await db.query(query, [documentId, tenantId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Encode a review queue cursor from the last item on a page
+ */
+function encodeCursor(sort, sortKey, id) {
+    return Buffer.from(JSON.stringify({ s: sort, k: sortKey, id })).toString('base64url');
+}
+
+/**
+ * Decode a review queue cursor (null if malformed or from another sort order)
+ */
+function decodeCursor(sort, cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return decoded && decoded.s === sort && decoded.k && decoded.id ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Summarize each driver's documents still in force, keyed by driver_id
+ */
+async function getDriverDocumentSummaries(db, driverIds, tenantId) {
+    if (driverIds.length === 0) return {};
+
+    const query = `
+        SELECT id, driver_id, document_type, status, expiry_date, version_number, created_at
+        FROM driver_documents
+        WHERE driver_id = ANY($1)
+          AND ($2::uuid IS NULL OR tenant_id = $2)
+          AND superseded_at IS NULL
+        ORDER BY created_at DESC
+    `;
+
+    const result = await db.query(query, [driverIds, tenantId]);
+
+    const summaries = {};
+    result.rows.forEach(doc => {
+        (summaries[doc.driver_id] = summaries[doc.driver_id] || []).push({
+            id: doc.id,
+            document_type: doc.document_type,
+            status: doc.status,
+            expiry_date: doc.expiry_date,
+            version_number: doc.version_number,
+            created_at: doc.created_at
+        });
+    });
+
+    return summaries;
+}
+
 /**
  * Update document status
+ *
+ * Only decisions (approving or rejecting, overrides included) record the
+ * reviewer, rejection reason and notes; claiming or releasing a document
+ * keeps the previous decision's and adds notes only when given.
+ *
+ * Returns null when the document changed since the reviewer loaded it
+ * (status or version mismatch), is claimed by another reviewer or was
+ * superseded by a newer version.
  */
 async function updateDocumentStatus(db, documentId, reviewData) {
     const query = `
@@ -91,18 +400,30 @@ async function updateDocumentStatus(db, documentId, reviewData) {
         SET
             status = $1,
             verified_at = CASE WHEN $1 IN ('approved', 'rejected') THEN NOW() ELSE verified_at END,
-            verified_by = $2,
-            rejection_reason = $3,
-            notes = $4,
+            verified_by = CASE WHEN $1 IN ('approved', 'rejected') THEN $2 ELSE verified_by END,
+            rejection_reason = CASE WHEN $1 IN ('approved', 'rejected') THEN $3 ELSE rejection_reason END,
+            notes = CASE WHEN $1 IN ('approved', 'rejected') THEN $4 ELSE COALESCE($4, notes) END,
             document_number = COALESCE($5, document_number),
             issuing_authority = COALESCE($6, issuing_authority),
             issue_date = COALESCE($7, issue_date),
             expiry_date = COALESCE($8, expiry_date),
+            auto_verified = CASE WHEN $1 IN ('approved', 'rejected') THEN FALSE ELSE auto_verified END,
+            claimed_by = NULL,
+            claimed_at = NULL,
+            claim_expires_at = NULL,
+            version = version + 1,
             updated_at = NOW()
         WHERE id = $9
+          AND status = $11
+          AND ($10::integer IS NULL OR version = $10)
+          AND ($12::uuid IS NULL OR tenant_id = $12)
+          AND (claimed_by IS NULL OR claimed_by = $2 OR claim_expires_at < NOW())
+          AND superseded_at IS NULL
         RETURNING
-            id, driver_id, document_type, status, verified_at,
-            rejection_reason, notes, created_at, updated_at
+            id, driver_id, tenant_id, document_type, status, verified_at, verified_by,
+            rejection_reason, notes, document_number, issuing_authority, issue_date,
+            expiry_date, version, version_number, replaces_document_id, created_at, updated_at,
+            s3_key, s3_bucket, s3_lifecycle_tag
     `;
 
     const values = [
@@ -114,16 +435,133 @@ async function updateDocumentStatus(db, documentId, reviewData) {
         reviewData.issuingAuthority || null,
         reviewData.issueDate || null,
         reviewData.expiryDate || null,
-        documentId
+        documentId,
+        reviewData.expectedVersion ?? null,
+        reviewData.fromStatus,
+        reviewData.tenantId
     ];
 
     const result = await db.query(query, values);
+    return result.rows[0] || null;
+}
 
-    if (result.rows.length === 0) {
-        throw new Error('Document not found');
-    }
+/**
+ * Claim a document for review with a time-limited lease
+ *
+ * Succeeds if the document is unclaimed, its lease has expired, or the
+ * reviewer already holds it (renewing the lease). Returns null otherwise.
+ */
+async function claimDocument(db, documentId, reviewerId, leaseSeconds, tenantId) {
+    const query = `
+        UPDATE driver_documents
+        SET
+            status = 'under_review',
+            claimed_by = $2,
+            claimed_at = CASE WHEN claimed_by = $2 AND claim_expires_at >= NOW() THEN claimed_at ELSE NOW() END,
+            claim_expires_at = NOW() + make_interval(secs => $3),
+            version = version + 1,
+            updated_at = NOW()
+        WHERE id = $1
+          AND status = ANY($4)
+          AND (claimed_by IS NULL OR claimed_by = $2 OR claim_expires_at < NOW())
+          AND ($5::uuid IS NULL OR tenant_id = $5)
+          AND superseded_at IS NULL
+        RETURNING id, driver_id, tenant_id, document_type, status, claimed_by, claimed_at, claim_expires_at, version
+    `;
 
-    return result.rows[0];
+    // Claimable statuses, plus under_review itself so the holder can renew
+    const claimableStatuses = [...transitionSources('claim', ACTORS.REVIEWER), 'under_review'];
+
+    const result = await db.query(query, [documentId, reviewerId, leaseSeconds, claimableStatuses, tenantId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Release a reviewer's claim, returning the document to the queue
+ */
+async function releaseDocumentClaim(db, documentId, reviewerId, tenantId) {
+    const query = `
+        UPDATE driver_documents
+        SET
+            status = 'pending',
+            claimed_by = NULL,
+            claimed_at = NULL,
+            claim_expires_at = NULL,
+            version = version + 1,
+            updated_at = NOW()
+        WHERE id = $1
+          AND status = ANY($3)
+          AND claimed_by = $2
+          AND ($4::uuid IS NULL OR tenant_id = $4)
+        RETURNING id, driver_id, tenant_id, status, version
+    `;
+
+    const result = await db.query(query, [documentId, reviewerId, transitionSources('release_claim', ACTORS.REVIEWER), tenantId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Return documents whose review lease expired to the queue, within a tenant scope
+ */
+async function releaseExpiredClaims(db, requestId, tenantId) {
+    const query = `
+        WITH expired AS (
+            SELECT id, claimed_by, claim_expires_at
+            FROM driver_documents
+            WHERE status = ANY($1)
+              AND claim_expires_at < NOW()
+              AND ($2::uuid IS NULL OR tenant_id = $2)
+            FOR UPDATE
+        )
+        UPDATE driver_documents d
+        SET
+            status = 'pending',
+            claimed_by = NULL,
+            claimed_at = NULL,
+            claim_expires_at = NULL,
+            version = d.version + 1,
+            updated_at = NOW()
+        FROM expired
+        WHERE d.id = expired.id
+        RETURNING
+            d.id, d.driver_id, d.tenant_id, d.status,
+            expired.claimed_by AS previous_claimed_by,
+            expired.claim_expires_at AS previous_claim_expires_at
+    `;
+
+    try {
+        await db.query('BEGIN');
+
+        const result = await db.query(query, [transitionSources('release_claim', ACTORS.SYSTEM), tenantId]);
+
+        for (const row of result.rows) {
+            await recordDocumentEvent(db, {
+                documentId: row.id,
+                driverId: row.driver_id,
+                tenantId: row.tenant_id,
+                eventType: EVENT_TYPES.CLAIM_RELEASED,
+                actor: { type: ACTORS.SYSTEM, id: null },
+                requestId,
+                before: {
+                    status: 'under_review',
+                    claimed_by: row.previous_claimed_by,
+                    claim_expires_at: row.previous_claim_expires_at
+                },
+                after: row
+            });
+        }
+
+        await db.query('COMMIT');
+
+        if (result.rows.length > 0) {
+            console.log(`Released ${result.rows.length} expired review claims`);
+        }
+
+        return result.rows.length;
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    }
 }
 
 /**
@@ -157,26 +595,16 @@ async function updateDriverProfile(db, driverId, documentType, documentId) {
 }
 
 /**
- * Check if all required documents are approved and update driver profile
+ * Check if all documents required by the driver's compliance policy are
+ * approved and update driver profile
  */
-async function checkAllDocumentsApproved(db, driverId) {
-    const requiredDocs = ['license', 'insurance', 'registration', 'profile_photo'];
-
-    // Check if all required documents are approved
-    const query = `
-        SELECT document_type, status
-        FROM driver_documents
-        WHERE driver_id = $1
-          AND document_type = ANY($2)
-          AND status = 'approved'
-    `;
-
-    const result = await db.query(query, [driverId, requiredDocs]);
+async function checkAllDocumentsApproved(db, driverId, tenantId) {
+    const compliance = await evaluateDriverCompliance(db, driverId, tenantId);
 
-    const approvedDocs = result.rows.map(r => r.document_type);
-    const allApproved = requiredDocs.every(doc => approvedDocs.includes(doc));
+    // Approving a replacement during a grace period clears the at-risk state
+    await recordComplianceStatus(db, driverId, compliance);
 
-    if (allApproved) {
+    if (compliance.allApproved) {
         // Update driver_profiles to mark documents as complete
         const updateQuery = `
             UPDATE driver_profiles
@@ -198,140 +626,1227 @@ async function checkAllDocumentsApproved(db, driverId) {
         return {
             allDocumentsApproved: true,
             profileUpdated: true,
-            profileStatus: updateResult.rows[0]
+            profileStatus: updateResult.rows[0],
+            complianceStatus: compliance.status,
+            policy: compliance.policy
         };
     }
 
     return {
         allDocumentsApproved: false,
         profileUpdated: false,
-        missingDocuments: requiredDocs.filter(doc => !approvedDocs.includes(doc))
+        complianceStatus: compliance.status,
+        graceEndsOn: compliance.graceEndsOn,
+        missingDocuments: compliance.missingDocuments,
+        unmetRequirements: compliance.unmet,
+        policy: compliance.policy
     };
 }
 
 /**
- * Handle PUT /admin/documents/{documentId}/review
+ * Notify the driver of a review outcome
+ *
+ * Runs after the review is committed; a failed notification never fails the review.
  */
-async function handleReviewDocument(event, user) {
-    // Check if user is admin
-    if (!user.isAdmin) {
+async function notifyReviewOutcome(db, document, verificationStatus) {
+    const templates = {
+        approved: TEMPLATE_NAMES.APPROVED,
+        rejected: TEMPLATE_NAMES.REJECTED,
+    };
+
+    if (!templates[document.status]) return;
+
+    const notification = {
+        driverId: document.driver_id,
+        tenantId: document.tenant_id,
+        documentId: document.id,
+        data: {
+            documentType: document.document_type,
+            rejectionReason: document.rejection_reason
+        }
+    };
+
+    try {
+        await sendNotification(db, notificationChannels, { ...notification, template: templates[document.status] });
+
+        if (verificationStatus?.allDocumentsApproved) {
+            await sendNotification(db, notificationChannels, { ...notification, template: TEMPLATE_NAMES.VERIFICATION_COMPLETE });
+        }
+    } catch (error) {
+        console.error(`Failed to notify driver ${document.driver_id} of review outcome:`, error);
+    }
+}
+
+/**
+ * 403 response for a caller whose roles lack a permission
+ */
+function forbiddenResponse(permission) {
+    return {
+        statusCode: 403,
+        body: JSON.stringify({ error: `Forbidden: ${permission} permission required` })
+    };
+}
+
+/**
+ * 403 response for a document type the caller's roles may not review
+ */
+function documentTypeForbiddenResponse(documentType) {
+    return {
+        statusCode: 403,
+        body: JSON.stringify({ error: `Forbidden: your roles may not review ${documentType} documents` })
+    };
+}
+
+/**
+ * 409 response for a document superseded by a newer approved version
+ */
+function supersededResponse(document) {
+    return {
+        statusCode: 409,
+        body: JSON.stringify({
+            error: 'Document was replaced by a newer approved version',
+            supersededBy: document.superseded_by_document_id,
+            supersededAt: document.superseded_at
+        })
+    };
+}
+
+/**
+ * 409 response for a status change the state machine does not allow
+ */
+function invalidTransitionResponse(from, to) {
+    return {
+        statusCode: 409,
+        body: JSON.stringify({
+            error: new InvalidTransitionError(from, to, ACTORS.REVIEWER).message,
+            currentStatus: from,
+            allowedStatuses: allowedTransitions(from, ACTORS.REVIEWER)
+        })
+    };
+}
+
+/**
+ * Handle GET /admin/documents
+ *
+ * Query params:
+ * - status: comma-separated statuses (default 'pending,under_review')
+ * - document_type, document_category, tenant_id, driver_id
+ * - auto_verified: 'true' for automatic approvals (use with status=approved)
+ * - include_superseded: 'true' to include versions replaced by a newer approval
+ * - uploaded_from, uploaded_to: ISO date/time bounds on upload time, inclusive
+ * - sort: 'oldest' (default, by upload time) or 'expiry' (soonest expiry first)
+ * - limit: page size (default 25, max 100)
+ * - cursor: next_cursor from the previous page
+ */
+async function handleListDocuments(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.VIEW_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.VIEW_DOCUMENTS);
+    }
+
+    const params = event.queryStringParameters || {};
+    const statuses = (params.status || 'pending,under_review').split(',').map(st => st.trim()).filter(Boolean);
+    const sort = params.sort || 'oldest';
+    const limit = Math.min(parseInt(params.limit, 10) || QUEUE_DEFAULT_LIMIT, QUEUE_MAX_LIMIT);
+    const scope = tenantScope(user);
+
+    if (params.tenant_id && scope && params.tenant_id !== scope) {
         return {
             statusCode: 403,
-            body: JSON.stringify({
-                error: 'Forbidden: Admin access required'
-            })
+            body: JSON.stringify({ error: 'Forbidden: tenant_id outside your tenant' })
         };
     }
 
-    const documentId = event.pathParameters?.documentId;
-
-    if (!documentId) {
+    const invalidStatuses = statuses.filter(st => !DOCUMENT_STATUSES.includes(st));
+    if (invalidStatuses.length > 0) {
         return {
             statusCode: 400,
-            body: JSON.stringify({ error: 'Missing documentId' })
+            body: JSON.stringify({ error: `Invalid status. Must be one of: ${DOCUMENT_STATUSES.join(', ')}` })
         };
     }
 
-    const body = JSON.parse(event.body || '{}');
-    const { status, rejectionReason, notes, documentNumber, issuingAuthority, issueDate, expiryDate } = body;
-
-    // Validate status
-    const validStatuses = ['approved', 'rejected', 'pending', 'processing'];
-    if (!status || !validStatuses.includes(status)) {
+    const sortConfig = QUEUE_SORTS[sort];
+    if (!sortConfig) {
         return {
             statusCode: 400,
-            body: JSON.stringify({
-                error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
-            })
+            body: JSON.stringify({ error: `Invalid sort. Must be one of: ${Object.keys(QUEUE_SORTS).join(', ')}` })
         };
     }
 
-    // Validate rejection reason if status is rejected
-    if (status === 'rejected' && !rejectionReason) {
+    for (const dateParam of ['uploaded_from', 'uploaded_to']) {
+        if (params[dateParam] && isNaN(Date.parse(params[dateParam]))) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: `Invalid ${dateParam}. Must be an ISO date` })
+            };
+        }
+    }
+
+    const cursor = params.cursor ? decodeCursor(sort, params.cursor) : null;
+    if (params.cursor && !cursor) {
         return {
             statusCode: 400,
-            body: JSON.stringify({
-                error: 'rejectionReason is required when status is rejected'
-            })
+            body: JSON.stringify({ error: 'Invalid cursor' })
         };
     }
 
-    const db = await getDbConnection();
+    // Build filters
+    const conditions = ['d.status = ANY($1)'];
+    const values = [statuses];
 
-    try {
-        await db.query('BEGIN');
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
 
-        // Update document status
-        const document = await updateDocumentStatus(db, documentId, {
-            status,
-            reviewerId: user.userId,
-            rejectionReason,
-            notes,
-            documentNumber,
-            issuingAuthority,
-            issueDate,
-            expiryDate
-        });
+    if (params.document_type) addCondition('d.document_type = ?', params.document_type);
+    if (params.document_category) addCondition('d.document_category = ?', params.document_category);
+    // Admins are held to their own tenant; platform admins may filter by any
+    if (scope || params.tenant_id) addCondition('d.tenant_id = ?', scope || params.tenant_id);
+    if (params.driver_id) addCondition('d.driver_id = ?', params.driver_id);
+    if (params.auto_verified) addCondition('d.auto_verified = ?', params.auto_verified === 'true');
+    if (params.include_superseded !== 'true') conditions.push('d.superseded_at IS NULL');
+    if (params.uploaded_from) addCondition('COALESCE(d.uploaded_at, d.created_at) >= ?::timestamptz', params.uploaded_from);
+    if (params.uploaded_to) addCondition('COALESCE(d.uploaded_at, d.created_at) <= ?::timestamptz', params.uploaded_to);
 
-        // If approved, update driver_profiles with document reference
-        if (status === 'approved') {
-            await updateDriverProfile(db, document.driver_id, document.document_type, documentId);
+    if (cursor) {
+        values.push(cursor.k, cursor.id);
+        conditions.push(`(${sortConfig.expression}, d.id) > ($${values.length - 1}::${sortConfig.type}, $${values.length}::uuid)`);
+    }
 
-            // Check if all required documents are now approved
-            const verificationStatus = await checkAllDocumentsApproved(db, document.driver_id);
+    values.push(limit + 1);
 
-            await db.query('COMMIT');
+    const query = `
+        SELECT
+            d.id, d.driver_id, d.tenant_id, d.document_type, d.document_category,
+            d.s3_key, d.s3_version_id, d.s3_bucket, d.file_name, d.file_size_bytes, d.mime_type,
+            d.document_number, d.issuing_authority, d.issue_date, d.expiry_date,
+            d.status, d.verified_at, d.verified_by, d.auto_verified, d.confidence_score,
+            d.rejection_reason, d.notes, d.uploaded_at, d.created_at, d.updated_at,
+            d.claimed_by, d.claimed_at, d.claim_expires_at, d.version,
+            d.version_number, d.replaces_document_id, d.superseded_at, d.file_count, d.renditions,
+            (${sortConfig.expression})::text AS sort_key
+        FROM driver_documents d
+        WHERE ${conditions.join('\n          AND ')}
+        ORDER BY ${sortConfig.expression} ASC, d.id ASC
+        LIMIT $${values.length}
+    `;
 
-            return {
-                statusCode: 200,
-                body: JSON.stringify({
-                    message: 'Document reviewed successfully',
-                    document,
-                    verificationStatus
-                })
-            };
-        }
+    const db = await getDbConnection();
+    await releaseExpiredClaims(db, event.requestContext?.requestId, scope);
+    const result = await db.query(query, values);
 
-        await db.query('COMMIT');
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
 
-        return {
-            statusCode: 200,
-            body: JSON.stringify({
-                message: 'Document reviewed successfully',
-                document
-            })
-        };
+    const summaries = await getDriverDocumentSummaries(db, [...new Set(rows.map(doc => doc.driver_id))], scope);
 
-    } catch (error) {
-        await db.query('ROLLBACK');
-        throw error;
-    }
+    const documents = await Promise.all(rows.map(async ({ sort_key, ...doc }) => ({
+        ...doc,
+        file_size_bytes: parseInt(doc.file_size_bytes) || 0,
+        auto_verified: doc.auto_verified === true || doc.auto_verified === 'true',
+        confidence_score: doc.confidence_score ? parseFloat(doc.confidence_score) : null,
+        // previewUrls: downsized JPEGs (thumbnail for the queue); null until generated
+        ...await generateQueueUrls(doc),
+        reviewable: canReviewDocumentType(user.roles, doc.document_type),
+        otherDocuments: (summaries[doc.driver_id] || []).filter(other => other.id !== doc.id)
+    })));
+
+    const last = result.rows[limit - 1];
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            documents,
+            count: documents.length,
+            nextCursor: hasMore ? encodeCursor(sort, last.sort_key, last.id) : null
+        })
+    };
 }
 
 /**
- * Main Lambda handler
+ * Check the fields of a review decision
+ *
+ * Returns an error message, or null if the decision is well-formed.
  */
-exports.handler = async (event) => {
-    console.log('Event:', JSON.stringify(event, null, 2));
+function validateReviewDecision(decision) {
+    const { status, rejectionReason, version } = decision;
 
-    try {
-        // Extract user from JWT
-        const user = extractUserFromEvent(event);
+    if (version !== undefined && !Number.isInteger(Number(version))) {
+        return 'version must be an integer';
+    }
 
-        // Route based on HTTP method and path
-        const method = event.requestContext.http.method;
-        const path = event.rawPath || event.requestContext.http.path;
+    // Validate status
+    if (!status || !REVIEW_STATUSES.includes(status)) {
+        return `Invalid status. Must be one of: ${REVIEW_STATUSES.join(', ')}`;
+    }
 
-        let response;
+    // Validate rejection reason if status is rejected
+    if (status === 'rejected' && !rejectionReason) {
+        return 'rejectionReason is required when status is rejected';
+    }
 
-        if (method === 'PUT' && path.match(/\/admin\/documents\/[^/]+\/review$/)) {
-            response = await handleReviewDocument(event, user);
-        } else {
-            response = {
-                statusCode: 404,
-                body: JSON.stringify({ error: 'Not found' })
-            };
-        }
+    return null;
+}
+
+/**
+ * Apply a review decision to a document within the caller's transaction
+ *
+ * Returns { document, verificationStatus } (verificationStatus only on
+ * approval), or { error } holding the response for a refused decision, in
+ * which case nothing was written.
+ */
+async function applyReviewDecision(db, user, documentId, decision, requestId) {
+    const { status, rejectionReason, notes, documentNumber, issuingAuthority, issueDate, expiryDate, version } = decision;
+
+    const existing = await db.query(
+        `SELECT
+            driver_id, tenant_id, document_type, status, version, claimed_by, claim_expires_at, auto_verified,
+            verified_by, rejection_reason, notes, document_number, issuing_authority, issue_date, expiry_date,
+            superseded_by_document_id, superseded_at
+        FROM driver_documents
+        WHERE id = $1 AND ($2::uuid IS NULL OR tenant_id = $2)`,
+        [documentId, tenantScope(user)]
+    );
+
+    if (existing.rows.length === 0) {
+        return {
+            error: {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Document not found' })
+            }
+        };
+    }
+
+    if (!canReviewDocumentType(user.roles, existing.rows[0].document_type)) {
+        return { error: documentTypeForbiddenResponse(existing.rows[0].document_type) };
+    }
+
+    if (existing.rows[0].superseded_at) {
+        return { error: supersededResponse(existing.rows[0]) };
+    }
+
+    // Only legal transitions - never review a record with no file behind it, or a quarantined file
+    if (!canTransition(existing.rows[0].status, status, ACTORS.REVIEWER)) {
+        return { error: invalidTransitionResponse(existing.rows[0].status, status) };
+    }
+
+    // Reversing a reviewer's approval or rejection needs override rights
+    if (findTransition(existing.rows[0].status, status).startsWith('override_')
+        && !existing.rows[0].auto_verified
+        && !hasPermission(user.roles, PERMISSIONS.OVERRIDE_DECISIONS)) {
+        return { error: forbiddenResponse(PERMISSIONS.OVERRIDE_DECISIONS) };
+    }
+
+    const { claimed_by: claimedBy, claim_expires_at: claimExpiresAt } = existing.rows[0];
+    if (claimedBy && claimedBy !== user.userId && new Date(claimExpiresAt) > new Date()) {
+        return {
+            error: {
+                statusCode: 409,
+                body: JSON.stringify({
+                    error: 'Document is claimed by another reviewer',
+                    claimedBy,
+                    claimExpiresAt
+                })
+            }
+        };
+    }
+
+    if (status === 'approved') {
+        // The files are approved together: never a license without its back
+        const missing = missingParts(
+            existing.rows[0].document_type,
+            await getDocumentFiles(db, { id: documentId, ...existing.rows[0] })
+        );
+
+        if (missing.length > 0) {
+            return {
+                error: {
+                    statusCode: 409,
+                    body: JSON.stringify({
+                        error: `Document cannot be approved without its ${missing.join(', ')}. Reject it so the driver uploads the full set.`,
+                        missingParts: missing
+                    })
+                }
+            };
+        }
+
+        // Approval must meet the driver's compliance policy (expiry date, remaining validity)
+        const policy = await getDriverPolicy(db, existing.rows[0].driver_id, existing.rows[0].tenant_id);
+        const policyError = validateApproval(policy, existing.rows[0].document_type, expiryDate || existing.rows[0].expiry_date);
+
+        if (policyError) {
+            return {
+                error: {
+                    statusCode: 400,
+                    body: JSON.stringify({ error: policyError })
+                }
+            };
+        }
+    }
+
+    // Update document status
+    const document = await updateDocumentStatus(db, documentId, {
+        status,
+        reviewerId: user.userId,
+        rejectionReason,
+        notes,
+        documentNumber,
+        issuingAuthority,
+        issueDate,
+        expiryDate,
+        expectedVersion: version !== undefined ? Number(version) : null,
+        fromStatus: existing.rows[0].status,
+        tenantId: tenantScope(user)
+    });
+
+    if (!document) {
+        return {
+            error: {
+                statusCode: 409,
+                body: JSON.stringify({
+                    error: 'Document was modified by another reviewer. Reload and try again.'
+                })
+            }
+        };
+    }
+
+    await recordDocumentEvent(db, {
+        documentId,
+        driverId: document.driver_id,
+        tenantId: document.tenant_id,
+        eventType: EVENT_TYPES.REVIEWED,
+        actor: { type: ACTORS.REVIEWER, id: user.userId },
+        requestId,
+        before: existing.rows[0],
+        after: document
+    });
+
+    if (status !== 'approved') {
+        return { document };
+    }
+
+    // If approved, update driver_profiles with document reference
+    await updateDriverProfile(db, document.driver_id, document.document_type, documentId);
+
+    // The approved version replaces the earlier ones still in force
+    await supersedePriorVersions(db, document, {
+        actor: { type: ACTORS.REVIEWER, id: user.userId },
+        requestId
+    });
+
+    // Check if all required documents are now approved
+    const verificationStatus = await checkAllDocumentsApproved(db, document.driver_id, document.tenant_id);
+
+    return { document, verificationStatus };
+}
+
+/**
+ * Handle PUT /admin/documents/{documentId}/review
+ */
+async function handleReviewDocument(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.REVIEW_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.REVIEW_DOCUMENTS);
+    }
+
+    const documentId = event.pathParameters?.documentId;
+
+    if (!documentId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Missing documentId' })
+        };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+
+    // Optimistic concurrency: version the reviewer loaded, from the body or If-Match header
+    const decision = { ...body, version: body.version ?? event.headers?.['if-match']?.replace(/"/g, '') };
+
+    const validationError = validateReviewDecision(decision);
+    if (validationError) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: validationError })
+        };
+    }
+
+    const db = await getDbConnection();
+    let result;
+
+    try {
+        await db.query('BEGIN');
+        result = await applyReviewDecision(db, user, documentId, decision, event.requestContext?.requestId);
+        await db.query(result.error ? 'ROLLBACK' : 'COMMIT');
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    }
+
+    if (result.error) {
+        return result.error;
+    }
+
+    const { document, verificationStatus } = result;
+    await syncLifecycleTags(db, storageLifecycle, [document]);
+    await notifyReviewOutcome(db, document, verificationStatus);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: 'Document reviewed successfully',
+            document,
+            ...(verificationStatus && { verificationStatus })
+        })
+    };
+}
+
+/**
+ * Handle POST /admin/documents/review-batch
+ *
+ * Body: { mode, decisions: [{ documentId, status, rejectionReason, ... }] }
+ * Each decision takes the fields of PUT /admin/documents/{documentId}/review
+ * and passes the same checks. In 'best_effort' mode (the default) each
+ * decision commits on its own; in 'all_or_nothing' mode they share one
+ * transaction that commits only if every decision succeeds. The response
+ * lists the outcome of each decision, in request order.
+ */
+async function handleReviewBatch(event, user) {
+    for (const permission of [PERMISSIONS.REVIEW_DOCUMENTS, PERMISSIONS.BULK_APPROVE]) {
+        if (!hasPermission(user.roles, permission)) {
+            return forbiddenResponse(permission);
+        }
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const mode = body.mode || 'best_effort';
+    const decisions = body.decisions;
+
+    if (!REVIEW_BATCH_MODES.includes(mode)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Invalid mode. Must be one of: ${REVIEW_BATCH_MODES.join(', ')}` })
+        };
+    }
+
+    if (!Array.isArray(decisions) || decisions.length === 0) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'decisions must be a non-empty array' })
+        };
+    }
+
+    if (decisions.length > REVIEW_BATCH_MAX_ITEMS) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `A batch may hold at most ${REVIEW_BATCH_MAX_ITEMS} decisions` })
+        };
+    }
+
+    const documentIds = decisions.map(decision => decision?.documentId);
+    if (documentIds.some(documentId => !documentId || typeof documentId !== 'string')) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Every decision needs a documentId' })
+        };
+    }
+
+    const duplicates = documentIds.filter((documentId, index) => documentIds.indexOf(documentId) !== index);
+    if (duplicates.length > 0) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Each document may appear only once in a batch', duplicates: [...new Set(duplicates)] })
+        };
+    }
+
+    const db = await getDbConnection();
+    const requestId = event.requestContext?.requestId;
+    const atomic = mode === 'all_or_nothing';
+
+    // best_effort: a transaction per decision; all_or_nothing: a savepoint per decision
+    const statements = atomic
+        ? { begin: 'SAVEPOINT review_decision', commit: 'RELEASE SAVEPOINT review_decision', rollback: 'ROLLBACK TO SAVEPOINT review_decision' }
+        : { begin: 'BEGIN', commit: 'COMMIT', rollback: 'ROLLBACK' };
+
+    const results = [];
+
+    if (atomic) {
+        await db.query('BEGIN');
+    }
+
+    try {
+        for (const decision of decisions) {
+            const { documentId } = decision;
+
+            const validationError = validateReviewDecision(decision);
+            if (validationError) {
+                results.push({ documentId, outcome: 'failed', statusCode: 400, error: validationError });
+                continue;
+            }
+
+            await db.query(statements.begin);
+
+            let result;
+            try {
+                result = await applyReviewDecision(db, user, documentId, decision, requestId);
+            } catch (error) {
+                console.error(`Failed to review document ${documentId} in batch:`, error);
+                result = {
+                    error: {
+                        statusCode: 500,
+                        body: JSON.stringify({ error: 'Internal server error' })
+                    }
+                };
+            }
+
+            if (result.error) {
+                await db.query(statements.rollback);
+                results.push({ documentId, outcome: 'failed', statusCode: result.error.statusCode, ...JSON.parse(result.error.body) });
+                continue;
+            }
+
+            await db.query(statements.commit);
+            results.push({
+                documentId,
+                outcome: 'applied',
+                statusCode: 200,
+                document: result.document,
+                ...(result.verificationStatus && { verificationStatus: result.verificationStatus })
+            });
+        }
+
+        if (atomic) {
+            const failed = results.some(result => result.outcome === 'failed');
+            await db.query(failed ? 'ROLLBACK' : 'COMMIT');
+
+            if (failed) {
+                // Nothing was written; decisions that passed on their own were rolled back too
+                const rolledBack = results.map(result => result.outcome === 'applied'
+                    ? { documentId: result.documentId, outcome: 'rolled_back', statusCode: 409, error: 'Rolled back: another decision in the batch failed' }
+                    : result);
+
+                return {
+                    statusCode: 409,
+                    body: JSON.stringify({
+                        error: 'Batch rolled back: not every decision could be applied',
+                        mode,
+                        applied: 0,
+                        failed: results.filter(result => result.outcome === 'failed').length,
+                        results: rolledBack
+                    })
+                };
+            }
+        }
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    }
+
+    const applied = results.filter(result => result.outcome === 'applied');
+    await syncLifecycleTags(db, storageLifecycle, applied.map(result => result.document));
+
+    // Notify once committed; a driver completing verification hears about it once
+    const verifiedDrivers = new Set();
+    for (const result of applied) {
+        const { document, verificationStatus } = result;
+        const completesVerification = verificationStatus?.allDocumentsApproved && !verifiedDrivers.has(document.driver_id);
+
+        if (completesVerification) {
+            verifiedDrivers.add(document.driver_id);
+        }
+
+        await notifyReviewOutcome(db, document, completesVerification ? verificationStatus : null);
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: 'Batch reviewed',
+            mode,
+            applied: applied.length,
+            failed: results.filter(result => result.outcome === 'failed').length,
+            results
+        })
+    };
+}
+
+/**
+ * Handle POST /admin/documents/{documentId}/claim
+ *
+ * Body: { leaseSeconds } (optional, default REVIEW_CLAIM_SECONDS)
+ */
+async function handleClaimDocument(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.REVIEW_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.REVIEW_DOCUMENTS);
+    }
+
+    const documentId = event.pathParameters?.documentId;
+
+    if (!documentId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Missing documentId' })
+        };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const leaseSeconds = body.leaseSeconds ?? REVIEW_CLAIM_SECONDS;
+
+    if (!Number.isInteger(leaseSeconds) || leaseSeconds < 60 || leaseSeconds > REVIEW_CLAIM_MAX_SECONDS) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({
+                error: `leaseSeconds must be an integer between 60 and ${REVIEW_CLAIM_MAX_SECONDS}`
+            })
+        };
+    }
+
+    const db = await getDbConnection();
+    let claim;
+
+    try {
+        await db.query('BEGIN');
+
+        const previous = await db.query(
+            `SELECT status, document_type, claimed_by, claim_expires_at FROM driver_documents
+            WHERE id = $1 AND ($2::uuid IS NULL OR tenant_id = $2)
+            FOR UPDATE`,
+            [documentId, tenantScope(user)]
+        );
+
+        const documentType = previous.rows[0]?.document_type;
+        if (documentType && !canReviewDocumentType(user.roles, documentType)) {
+            await db.query('ROLLBACK');
+            return documentTypeForbiddenResponse(documentType);
+        }
+
+        claim = await claimDocument(db, documentId, user.userId, leaseSeconds, tenantScope(user));
+
+        if (claim) {
+            await recordDocumentEvent(db, {
+                documentId,
+                driverId: claim.driver_id,
+                tenantId: claim.tenant_id,
+                eventType: EVENT_TYPES.CLAIMED,
+                actor: { type: ACTORS.REVIEWER, id: user.userId },
+                requestId: event.requestContext?.requestId,
+                before: previous.rows[0],
+                after: claim
+            });
+        }
+
+        await db.query('COMMIT');
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    }
+
+    if (claim) {
+        console.log(`Document ${documentId} claimed by ${user.userId} until ${claim.claim_expires_at}`);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: 'Document claimed', claim })
+        };
+    }
+
+    const document = await getDocument(db, documentId, tenantScope(user));
+
+    if (!document) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Document not found' })
+        };
+    }
+
+    if (document.superseded_at) {
+        return supersededResponse(document);
+    }
+
+    if (document.status === 'under_review') {
+        return {
+            statusCode: 409,
+            body: JSON.stringify({
+                error: 'Document is claimed by another reviewer',
+                claimedBy: document.claimed_by,
+                claimExpiresAt: document.claim_expires_at
+            })
+        };
+    }
+
+    return invalidTransitionResponse(document.status, 'under_review');
+}
+
+/**
+ * Handle DELETE /admin/documents/{documentId}/claim
+ */
+async function handleReleaseClaim(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.REVIEW_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.REVIEW_DOCUMENTS);
+    }
+
+    const documentId = event.pathParameters?.documentId;
+
+    if (!documentId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Missing documentId' })
+        };
+    }
+
+    const db = await getDbConnection();
+    let released;
+
+    try {
+        await db.query('BEGIN');
+
+        released = await releaseDocumentClaim(db, documentId, user.userId, tenantScope(user));
+
+        if (released) {
+            await recordDocumentEvent(db, {
+                documentId,
+                driverId: released.driver_id,
+                tenantId: released.tenant_id,
+                eventType: EVENT_TYPES.CLAIM_RELEASED,
+                actor: { type: ACTORS.REVIEWER, id: user.userId },
+                requestId: event.requestContext?.requestId,
+                before: { status: 'under_review', claimed_by: user.userId },
+                after: released
+            });
+        }
+
+        await db.query('COMMIT');
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    }
+
+    if (!released) {
+        return {
+            statusCode: 409,
+            body: JSON.stringify({ error: 'Document is not claimed by you' })
+        };
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ message: 'Claim released', document: released })
+    };
+}
+
+/**
+ * Handle GET /admin/documents/{documentId}
+ *
+ * The top-level URLs are the first file's; files lists every file with its
+ * own. Query params: disposition=inline|attachment (default inline)
+ */
+async function handleGetDocument(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.VIEW_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.VIEW_DOCUMENTS);
+    }
+
+    const documentId = event.pathParameters?.documentId;
+    const disposition = event.queryStringParameters?.disposition || 'inline';
+
+    if (!documentId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Missing documentId' })
+        };
+    }
+
+    if (!DISPOSITIONS.includes(disposition)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Invalid disposition. Must be one of: ${DISPOSITIONS.join(', ')}` })
+        };
+    }
+
+    const db = await getDbConnection();
+    const document = await getDocument(db, documentId, tenantScope(user));
+
+    if (!document) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Document not found' })
+        };
+    }
+
+    // No URL for documents without a viewable file
+    const viewable = VIEWABLE_STATUSES.includes(document.status);
+    const viewUrl = viewable ? await generateViewUrl(document, disposition) : null;
+
+    const documentFiles = await getDocumentFiles(db, document);
+    const files = [];
+
+    for (const file of documentFiles) {
+        files.push({
+            ...describeFile(file),
+            viewUrl: viewable ? await generateViewUrl(file, disposition) : null,
+            previewUrls: await generatePreviewUrls({ ...file, status: document.status })
+        });
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            ...document,
+            // Values read from the file, with confidence; prefilled ones are already in the fields above
+            extractedFields: await getExtractedFields(db, documentId),
+            // Every version of this document type for the driver, newest first
+            versions: await getDocumentVersions(db, document),
+            viewUrl,
+            viewUrlExpiresIn: viewUrl ? VIEW_URL_EXPIRES_IN : null,
+            // Downsized JPEGs of the file (first page of a PDF); null until generated
+            previewUrls: await generatePreviewUrls(document),
+            files,
+            // Required parts the driver has not uploaded; the document cannot be approved until empty
+            missingParts: missingParts(document.document_type, documentFiles)
+        })
+    };
+}
+
+/**
+ * Handle GET /admin/documents/{documentId}/download
+ *
+ * Redirects to a presigned GET URL. Query params: disposition=inline|attachment (default attachment),
+ * part=n (file of a multi-file document, default 1)
+ */
+async function handleDownloadDocument(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.VIEW_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.VIEW_DOCUMENTS);
+    }
+
+    const documentId = event.pathParameters?.documentId;
+    const disposition = event.queryStringParameters?.disposition || 'attachment';
+    const part = event.queryStringParameters?.part || '1';
+
+    if (!documentId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Missing documentId' })
+        };
+    }
+
+    if (!DISPOSITIONS.includes(disposition)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Invalid disposition. Must be one of: ${DISPOSITIONS.join(', ')}` })
+        };
+    }
+
+    if (!/^[1-9][0-9]*$/.test(part)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Invalid part. Must be a positive integer' })
+        };
+    }
+
+    const db = await getDbConnection();
+    const document = await getDocument(db, documentId, tenantScope(user));
+
+    if (!document) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Document not found' })
+        };
+    }
+
+    if (!VIEWABLE_STATUSES.includes(document.status)) {
+        return {
+            statusCode: 409,
+            body: JSON.stringify({ error: `Document file is not available (status: ${document.status})` })
+        };
+    }
+
+    const file = (await getDocumentFiles(db, document)).find(candidate => candidate.part_number === parseInt(part, 10));
+
+    if (!file) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Document part not found' })
+        };
+    }
+
+    return {
+        statusCode: 302,
+        headers: { Location: await generateViewUrl(file, disposition) },
+        body: ''
+    };
+}
+
+/**
+ * Handle GET /admin/documents/{documentId}/history
+ *
+ * Full audit trail, oldest first, including reviewer identities and notes
+ */
+async function handleGetDocumentHistory(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.VIEW_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.VIEW_DOCUMENTS);
+    }
+
+    const documentId = event.pathParameters?.documentId;
+
+    if (!documentId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Missing documentId' })
+        };
+    }
+
+    const db = await getDbConnection();
+    const events = await getDocumentEvents(db, documentId, tenantScope(user));
+
+    // Events outlive their documents, so only 404 when there is no trail at all
+    if (events.length === 0 && !(await getDocument(db, documentId, tenantScope(user)))) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Document not found' })
+        };
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            documentId,
+            events,
+            count: events.length
+        })
+    };
+}
+
+/**
+ * Tenant of a driver an admin acts on (null if the driver is not found)
+ *
+ * Admins act on drivers with documents in their own tenant. Platform admins
+ * may name the tenant (e.g. for a driver whose rows are already gone);
+ * otherwise it is the tenant of the driver's documents.
+ */
+async function resolveDriverTenant(db, user, driverId, requestedTenantId) {
+    const result = await db.query(
+        'SELECT DISTINCT tenant_id FROM driver_documents WHERE driver_id = $1 AND tenant_id IS NOT NULL',
+        [driverId]
+    );
+    const tenants = result.rows.map(row => row.tenant_id);
+
+    if (!user.isPlatformAdmin) {
+        return tenants.includes(user.tenantId) ? user.tenantId : null;
+    }
+
+    if (requestedTenantId) {
+        return requestedTenantId;
+    }
+
+    return tenants.length === 1 ? tenants[0] : null;
+}
+
+/**
+ * Validate the driverId path parameter and optional tenantId body field of
+ * the driver data routes (error response, or null if valid)
+ */
+function validateDriverDataRequest(driverId, body) {
+    if (!isValidUuid(driverId)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Invalid driverId' })
+        };
+    }
+
+    if (body.tenantId !== undefined && !isValidUuid(body.tenantId)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Invalid tenantId' })
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Handle POST /admin/drivers/{driverId}/export
+ *
+ * Bundles a driver's documents (metadata, history and files) into a ZIP
+ * archive with a manifest.json and returns a presigned download URL.
+ * Body (platform admins only): { tenantId }
+ */
+async function handleExportDriverData(event, user) {
+    for (const permission of [PERMISSIONS.VIEW_DOCUMENTS, PERMISSIONS.EXPORT_REPORTS]) {
+        if (!hasPermission(user.roles, permission)) {
+            return forbiddenResponse(permission);
+        }
+    }
+
+    const driverId = event.pathParameters?.driverId;
+    const body = JSON.parse(event.body || '{}');
+
+    const invalid = validateDriverDataRequest(driverId, body);
+    if (invalid) return invalid;
+
+    const db = await getDbConnection();
+    const tenantId = await resolveDriverTenant(db, user, driverId, body.tenantId);
+
+    if (!tenantId) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Driver not found' })
+        };
+    }
+
+    let exported;
+    try {
+        exported = await createDriverExport(db, driverDataStorage, { driverId, tenantId, maxBytes: EXPORT_MAX_BYTES });
+    } catch (error) {
+        if (error instanceof ExportTooLargeError) {
+            return {
+                statusCode: 413,
+                body: JSON.stringify({ error: error.message })
+            };
+        }
+        throw error;
+    }
+
+    const downloadUrl = await generateViewUrl({
+        tenant_id: tenantId,
+        s3_bucket: DOCUMENTS_BUCKET,
+        s3_key: exported.key,
+        file_name: `driver_${driverId}_documents_export.zip`,
+        mime_type: 'application/zip'
+    }, 'attachment');
+
+    console.log(`Export of driver ${driverId} created by ${user.userId}: ${exported.key} (${exported.size} bytes)`);
+
+    return {
+        statusCode: 201,
+        body: JSON.stringify({
+            driverId,
+            tenantId,
+            downloadUrl,
+            expiresIn: VIEW_URL_EXPIRES_IN,
+            sizeBytes: exported.size,
+            generatedAt: exported.manifest.generated_at,
+            documentCount: exported.manifest.document_count,
+            fileCount: exported.manifest.file_count
+        })
+    };
+}
+
+/**
+ * Handle POST /admin/drivers/{driverId}/erasure
+ *
+ * Permanently deletes a driver's documents, every version of their files
+ * and their notifications, leaving the audit trail and a driver_erasures
+ * tombstone. Body: { reason, tenantId (platform admins only) }
+ */
+async function handleEraseDriverData(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.PURGE_DATA)) {
+        return forbiddenResponse(PERMISSIONS.PURGE_DATA);
+    }
+
+    const driverId = event.pathParameters?.driverId;
+    const body = JSON.parse(event.body || '{}');
+
+    const invalid = validateDriverDataRequest(driverId, body);
+    if (invalid) return invalid;
+
+    if (!body.reason || typeof body.reason !== 'string') {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'reason is required' })
+        };
+    }
+
+    const db = await getDbConnection();
+    const tenantId = await resolveDriverTenant(db, user, driverId, body.tenantId);
+
+    if (!tenantId) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Driver not found' })
+        };
+    }
+
+    const erasure = await eraseDriverData(db, driverDataStorage, {
+        driverId,
+        tenantId,
+        source: 'admin',
+        actor: { type: ACTORS.REVIEWER, id: user.userId },
+        reason: body.reason,
+        requestId: event.requestContext?.requestId
+    });
+
+    console.log(`Driver ${driverId} erased by ${user.userId}: ${erasure.documents_deleted} documents, ${erasure.object_versions_deleted} object versions`);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            erasureId: erasure.id,
+            driverId,
+            tenantId,
+            documentsDeleted: erasure.documents_deleted,
+            objectVersionsDeleted: erasure.object_versions_deleted,
+            erasedAt: erasure.erased_at
+        })
+    };
+}
+
+/**
+ * Main Lambda handler
+ */
+exports.handler = async (event) => {
+    console.log('Event:', JSON.stringify(event, null, 2));
+
+    try {
+        // Extract user from JWT
+        const user = extractUserFromEvent(event);
+
+        // Admins act within their tenant; only platform admins may span tenants
+        if (!user.tenantId && !user.isPlatformAdmin) {
+            return {
+                statusCode: 403,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*',
+                },
+                body: JSON.stringify({ error: 'Forbidden: missing tenant' })
+            };
+        }
+
+        await setTenantContext(await getDbConnection(), {
+            tenantId: user.tenantId,
+            platform: user.isPlatformAdmin
+        });
+
+        // Route based on HTTP method and path
+        const method = event.requestContext.http.method;
+        const path = event.rawPath || event.requestContext.http.path;
+
+        let response;
+
+        if (method === 'GET' && path === '/admin/documents') {
+            response = await handleListDocuments(event, user);
+        } else if (method === 'POST' && path === '/admin/documents/review-batch') {
+            response = await handleReviewBatch(event, user);
+        } else if (method === 'PUT' && path.match(/\/admin\/documents\/[^/]+\/review$/)) {
+            response = await handleReviewDocument(event, user);
+        } else if (method === 'POST' && path.match(/\/admin\/documents\/[^/]+\/claim$/)) {
+            response = await handleClaimDocument(event, user);
+        } else if (method === 'DELETE' && path.match(/\/admin\/documents\/[^/]+\/claim$/)) {
+            response = await handleReleaseClaim(event, user);
+        } else if (method === 'GET' && path.match(/\/admin\/documents\/[^/]+\/history$/)) {
+            response = await handleGetDocumentHistory(event, user);
+        } else if (method === 'GET' && path.match(/\/admin\/documents\/[^/]+\/download$/)) {
+            response = await handleDownloadDocument(event, user);
+        } else if (method === 'GET' && path.match(/\/admin\/documents\/[^/]+$/)) {
+            response = await handleGetDocument(event, user);
+        } else if (method === 'POST' && path.match(/\/admin\/drivers\/[^/]+\/export$/)) {
+            response = await handleExportDriverData(event, user);
+        } else if (method === 'POST' && path.match(/\/admin\/drivers\/[^/]+\/erasure$/)) {
+            response = await handleEraseDriverData(event, user);
+        } else {
+            response = {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Not found' })
+            };
+        }
 
         return {
             ...response,
@@ -339,12 +1854,24 @@ exports.handler = async (event) => {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*',
                 'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+                ...response.headers,
             }
         };
 
     } catch (error) {
         console.error('Error:', error);
 
+        if (error instanceof TenantAccessError) {
+            return {
+                statusCode: 403,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*',
+                },
+                body: JSON.stringify({ error: 'Forbidden' })
+            };
+        }
+
         return {
             statusCode: 500,
             headers: {
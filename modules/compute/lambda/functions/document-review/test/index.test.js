@@ -0,0 +1,463 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+
+process.env.AWS_REGION = 'us-east-2';
+process.env.AWS_ACCESS_KEY_ID = 'test';
+process.env.AWS_SECRET_ACCESS_KEY = 'test';
+process.env.NOTIFICATION_TRANSPORT = 'local';
+process.env.NOTIFICATION_OUTBOX_FILE = os.devNull;
+
+const { Client } = require('pg');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
+
+const { handler } = require('..');
+
+const TENANT = '11111111-1111-4111-8111-111111111111';
+const REVIEWER = 'reviewer-1';
+const OTHER_REVIEWER = 'reviewer-2';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * In-memory driver_documents answering the review Lambda's statements
+ *
+ * The conditional updates mirror the WHERE clauses of their SQL, and
+ * BEGIN/SAVEPOINT/ROLLBACK restore the rows and events as they were.
+ */
+function createDb(documents) {
+    const rows = new Map(documents.map(doc => [doc.id, {
+        tenant_id: TENANT,
+        driver_id: 'driver-1',
+        document_type: 'insurance',
+        s3_bucket: 'documents',
+        s3_key: `${TENANT}/drivers/driver-1/insurance/${doc.id}.pdf`,
+        status: 'pending',
+        version: 1,
+        claimed_by: null,
+        claimed_at: null,
+        claim_expires_at: null,
+        superseded_at: null,
+        created_at: new Date('2026-01-01T00:00:00Z'),
+        ...doc
+    }]));
+    let events = [];
+    const snapshots = [];
+
+    const snapshot = () => ({ rows: [...rows.values()].map(row => ({ ...row })), events: [...events] });
+    const restore = saved => {
+        rows.clear();
+        saved.rows.forEach(row => rows.set(row.id, { ...row }));
+        events = [...saved.events];
+    };
+
+    const leaseOpen = (row, reviewerId) => !row.claimed_by || row.claimed_by === reviewerId || row.claim_expires_at < new Date();
+    const result = row => ({ rows: row ? [{ ...row }] : [] });
+
+    return {
+        get events() { return events; },
+        document: id => rows.get(id),
+        async query(sql, values = []) {
+            const statement = sql.trim();
+
+            if (statement === 'BEGIN' || statement.startsWith('SAVEPOINT')) {
+                snapshots.push(snapshot());
+                return { rows: [] };
+            }
+            if (statement === 'COMMIT' || statement.startsWith('RELEASE SAVEPOINT')) {
+                snapshots.pop();
+                return { rows: [] };
+            }
+            if (statement === 'ROLLBACK' || statement.startsWith('ROLLBACK TO SAVEPOINT')) {
+                restore(snapshots.pop());
+                return { rows: [] };
+            }
+
+            if (statement.startsWith('INSERT INTO driver_document_events')) {
+                events.push({ documentId: values[0], eventType: values[3], actorId: values[5] });
+                return { rows: [{ id: events.length, created_at: new Date() }] };
+            }
+
+            if (statement.startsWith('WITH expired AS')) {
+                const [statuses] = values;
+                const expired = [...rows.values()].filter(row => statuses.includes(row.status) && row.claim_expires_at < new Date());
+
+                return {
+                    rows: expired.map(row => {
+                        const previous = { previous_claimed_by: row.claimed_by, previous_claim_expires_at: row.claim_expires_at };
+                        Object.assign(row, { status: 'pending', claimed_by: null, claimed_at: null, claim_expires_at: null, version: row.version + 1 });
+                        return { ...row, ...previous };
+                    })
+                };
+            }
+
+            if (statement.startsWith('UPDATE driver_documents') && /SET\s+status = \$1,/.test(statement)) {
+                // updateDocumentStatus
+                const [status, reviewerId, rejectionReason, notes, , , , , id, expectedVersion, fromStatus] = values;
+                const row = rows.get(id);
+
+                if (!row || row.status !== fromStatus || (expectedVersion !== null && row.version !== expectedVersion)
+                    || !leaseOpen(row, reviewerId) || row.superseded_at) {
+                    return { rows: [] };
+                }
+
+                const decided = ['approved', 'rejected'].includes(status);
+                Object.assign(row, {
+                    status,
+                    verified_by: decided ? reviewerId : row.verified_by,
+                    rejection_reason: decided ? rejectionReason : row.rejection_reason,
+                    notes: decided ? notes : (notes ?? row.notes),
+                    claimed_by: null,
+                    claimed_at: null,
+                    claim_expires_at: null,
+                    version: row.version + 1
+                });
+                return result(row);
+            }
+
+            if (statement.startsWith('UPDATE driver_documents') && /status = 'under_review',\s+claimed_by = \$2/.test(statement)) {
+                // claimDocument
+                const [id, reviewerId, leaseSeconds, statuses] = values;
+                const row = rows.get(id);
+
+                if (!row || !statuses.includes(row.status) || !leaseOpen(row, reviewerId) || row.superseded_at) {
+                    return { rows: [] };
+                }
+
+                const renewing = row.claimed_by === reviewerId && row.claim_expires_at >= new Date();
+                Object.assign(row, {
+                    status: 'under_review',
+                    claimed_by: reviewerId,
+                    claimed_at: renewing ? row.claimed_at : new Date(),
+                    claim_expires_at: new Date(Date.now() + leaseSeconds * 1000),
+                    version: row.version + 1
+                });
+                return result(row);
+            }
+
+            if (statement.startsWith('UPDATE driver_documents') && /status = 'pending',[\s\S]*AND claimed_by = \$2/.test(statement)) {
+                // releaseDocumentClaim
+                const [id, reviewerId, statuses] = values;
+                const row = rows.get(id);
+
+                if (!row || !statuses.includes(row.status) || row.claimed_by !== reviewerId) {
+                    return { rows: [] };
+                }
+
+                Object.assign(row, { status: 'pending', claimed_by: null, claimed_at: null, claim_expires_at: null, version: row.version + 1 });
+                return result(row);
+            }
+
+            if (statement.startsWith('SELECT') && statement.includes('FROM driver_documents d') && statement.includes('LIMIT')) {
+                // Review queue page, ordered by upload time
+                const [statuses] = values;
+                const limit = values[values.length - 1];
+                const after = statement.includes(', d.id) > (') ? values.slice(-3, -1) : null;
+
+                const page = [...rows.values()]
+                    .filter(row => statuses.includes(row.status) && !row.superseded_at)
+                    .map(row => ({ ...row, sort_key: (row.uploaded_at || row.created_at).toISOString() }))
+                    .sort((a, b) => a.sort_key.localeCompare(b.sort_key) || a.id.localeCompare(b.id))
+                    .filter(row => !after || row.sort_key > after[0] || (row.sort_key === after[0] && row.id > after[1]))
+                    .slice(0, limit);
+                return { rows: page };
+            }
+
+            if (statement.startsWith('SELECT') && /FROM driver_documents\s+WHERE id = \$1/.test(statement)) {
+                return result(rows.get(values[0]));
+            }
+
+            return { rows: [] };
+        }
+    };
+}
+
+let db = null;
+
+test.mock.method(Client.prototype, 'connect', async () => {});
+test.mock.method(Client.prototype, 'query', (sql, values) => db.query(sql, values));
+test.mock.method(SecretsManagerClient.prototype, 'send', async () => ({ SecretString: '{"username":"test","password":"test"}' }));
+test.mock.method(S3Client.prototype, 'send', async () => ({}));
+test.mock.method(console, 'log', () => {});
+
+/**
+ * API Gateway event from a reviewer of TENANT
+ */
+function request(method, path, { body, query, userId = REVIEWER, roles = 'reviewer' } = {}) {
+    return {
+        rawPath: path,
+        pathParameters: { documentId: path.split('/')[3] },
+        queryStringParameters: query,
+        body: body && JSON.stringify(body),
+        requestContext: {
+            requestId: 'request-1',
+            http: { method, path },
+            authorizer: { jwt: { claims: { sub: userId, 'custom:tenant_id': TENANT, 'custom:roles': roles } } }
+        }
+    };
+}
+
+async function call(event) {
+    const response = await handler(event);
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+const review = (documentId, body, options) => call(request('PUT', `/admin/documents/${documentId}/review`, { body, ...options }));
+const claim = (documentId, options) => call(request('POST', `/admin/documents/${documentId}/claim`, options));
+const release = (documentId, options) => call(request('DELETE', `/admin/documents/${documentId}/claim`, options));
+const listQueue = query => call(request('GET', '/admin/documents', { query }));
+
+const REJECTION = { status: 'rejected', rejectionReason: 'Image is blurry' };
+
+test('a decision applies when the loaded version is current', async () => {
+    db = createDb([{ id: 'doc-1', version: 3 }]);
+
+    const response = await review('doc-1', { ...REJECTION, version: 3 });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(db.document('doc-1').status, 'rejected');
+    assert.equal(db.document('doc-1').version, 4);
+    assert.deepEqual(db.events.map(event => event.eventType), ['reviewed']);
+});
+
+test('a decision on a stale version is refused without writing', async () => {
+    db = createDb([{ id: 'doc-1', version: 3 }]);
+
+    const response = await review('doc-1', { ...REJECTION, version: 2 });
+
+    assert.equal(response.statusCode, 409);
+    assert.match(response.body.error, /modified by another reviewer/);
+    assert.equal(db.document('doc-1').status, 'pending');
+    assert.deepEqual(db.events, []);
+});
+
+test('the version may come from the If-Match header', async () => {
+    db = createDb([{ id: 'doc-1', version: 3 }]);
+    const event = request('PUT', '/admin/documents/doc-1/review', { body: REJECTION });
+
+    const response = await handler({ ...event, headers: { 'if-match': '"2"' } });
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(db.document('doc-1').status, 'pending');
+});
+
+test('a decision on a document claimed by another reviewer is refused', async () => {
+    const claimExpiresAt = new Date(Date.now() + 10 * MINUTE);
+    db = createDb([{ id: 'doc-1', status: 'under_review', claimed_by: OTHER_REVIEWER, claim_expires_at: claimExpiresAt }]);
+
+    const response = await review('doc-1', REJECTION);
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(response.body.claimedBy, OTHER_REVIEWER);
+    assert.equal(db.document('doc-1').status, 'under_review');
+});
+
+test('a decision on a document whose claim expired applies and clears the claim', async () => {
+    db = createDb([{ id: 'doc-1', status: 'under_review', claimed_by: OTHER_REVIEWER, claim_expires_at: new Date(Date.now() - MINUTE) }]);
+
+    const response = await review('doc-1', REJECTION);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(db.document('doc-1').status, 'rejected');
+    assert.equal(db.document('doc-1').claimed_by, null);
+});
+
+test('returning a claimed document to the queue keeps the last decision', async () => {
+    db = createDb([{
+        id: 'doc-1',
+        status: 'under_review',
+        claimed_by: REVIEWER,
+        claim_expires_at: new Date(Date.now() + MINUTE),
+        verified_by: OTHER_REVIEWER,
+        rejection_reason: 'Image is blurry',
+        notes: 'Resubmitted after a blurry upload'
+    }]);
+
+    const response = await review('doc-1', { status: 'pending' });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(db.document('doc-1').status, 'pending');
+    assert.equal(db.document('doc-1').claimed_by, null);
+    assert.equal(db.document('doc-1').verified_by, OTHER_REVIEWER);
+    assert.equal(db.document('doc-1').rejection_reason, 'Image is blurry');
+    assert.equal(db.document('doc-1').notes, 'Resubmitted after a blurry upload');
+});
+
+test('a decision on a superseded version is refused', async () => {
+    db = createDb([{ id: 'doc-1', status: 'approved', superseded_at: new Date(), superseded_by_document_id: 'doc-2' }]);
+
+    const response = await review('doc-1', REJECTION, { roles: 'senior_reviewer' });
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(db.document('doc-1').status, 'approved');
+});
+
+test('claiming a document leases it to the reviewer', async () => {
+    db = createDb([{ id: 'doc-1' }]);
+
+    const response = await claim('doc-1', { body: { leaseSeconds: 300 } });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(db.document('doc-1').status, 'under_review');
+    assert.equal(db.document('doc-1').claimed_by, REVIEWER);
+    assert.ok(Math.abs(new Date(response.body.claim.claim_expires_at) - (Date.now() + 300 * 1000)) < 5000);
+    assert.deepEqual(db.events.map(event => event.eventType), ['claimed']);
+});
+
+test('the holder of a claim renews its lease, keeping when it was claimed', async () => {
+    const claimedAt = new Date(Date.now() - 5 * MINUTE);
+    db = createDb([{ id: 'doc-1', status: 'under_review', claimed_by: REVIEWER, claimed_at: claimedAt, claim_expires_at: new Date(Date.now() + MINUTE) }]);
+
+    const response = await claim('doc-1', { body: { leaseSeconds: 600 } });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(db.document('doc-1').claimed_at, claimedAt);
+    assert.ok(db.document('doc-1').claim_expires_at > new Date(Date.now() + 9 * MINUTE));
+});
+
+test('a document claimed by another reviewer cannot be claimed until the lease expires', async () => {
+    db = createDb([
+        { id: 'doc-1', status: 'under_review', claimed_by: OTHER_REVIEWER, claim_expires_at: new Date(Date.now() + MINUTE) },
+        { id: 'doc-2', status: 'under_review', claimed_by: OTHER_REVIEWER, claim_expires_at: new Date(Date.now() - MINUTE) },
+    ]);
+
+    const held = await claim('doc-1');
+    const expired = await claim('doc-2');
+
+    assert.equal(held.statusCode, 409);
+    assert.equal(held.body.claimedBy, OTHER_REVIEWER);
+    assert.equal(db.document('doc-1').claimed_by, OTHER_REVIEWER);
+    assert.equal(expired.statusCode, 200);
+    assert.equal(db.document('doc-2').claimed_by, REVIEWER);
+});
+
+test('claim leases are limited to between a minute and an hour', async () => {
+    db = createDb([{ id: 'doc-1' }]);
+
+    for (const leaseSeconds of [59, 3601, 90.5, '300']) {
+        const response = await claim('doc-1', { body: { leaseSeconds } });
+        assert.equal(response.statusCode, 400, `leaseSeconds ${leaseSeconds}`);
+    }
+    assert.equal(db.document('doc-1').status, 'pending');
+});
+
+test('only the holder of a claim can release it', async () => {
+    db = createDb([{ id: 'doc-1', status: 'under_review', claimed_by: REVIEWER, claim_expires_at: new Date(Date.now() + MINUTE) }]);
+
+    const byOther = await release('doc-1', { userId: OTHER_REVIEWER });
+    assert.equal(byOther.statusCode, 409);
+    assert.equal(db.document('doc-1').claimed_by, REVIEWER);
+
+    const byHolder = await release('doc-1');
+    assert.equal(byHolder.statusCode, 200);
+    assert.equal(db.document('doc-1').status, 'pending');
+    assert.equal(db.document('doc-1').claimed_by, null);
+    assert.deepEqual(db.events.map(event => event.eventType), ['claim_released']);
+});
+
+test('loading the queue returns documents with expired claims to it', async () => {
+    db = createDb([
+        { id: 'doc-1', status: 'under_review', claimed_by: OTHER_REVIEWER, claim_expires_at: new Date(Date.now() - MINUTE) },
+        { id: 'doc-2', status: 'under_review', claimed_by: OTHER_REVIEWER, claim_expires_at: new Date(Date.now() + MINUTE) },
+    ]);
+
+    const response = await listQueue({ status: 'pending' });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.documents.map(doc => doc.id), ['doc-1']);
+    assert.equal(db.document('doc-1').claimed_by, null);
+    assert.equal(db.document('doc-2').claimed_by, OTHER_REVIEWER);
+    assert.deepEqual(db.events, [{ documentId: 'doc-1', eventType: 'claim_released', actorId: null }]);
+});
+
+test('the queue pages through every document once, oldest first', async () => {
+    const uploadedAt = minutes => new Date(Date.UTC(2026, 0, 1, 0, minutes));
+    db = createDb([
+        { id: 'doc-c', uploaded_at: uploadedAt(1) },
+        { id: 'doc-a', uploaded_at: uploadedAt(3) },
+        { id: 'doc-e', uploaded_at: uploadedAt(2) },
+        // Same upload time: ordered by id
+        { id: 'doc-b', uploaded_at: uploadedAt(3) },
+        { id: 'doc-d', uploaded_at: uploadedAt(0) },
+    ]);
+
+    const pages = [];
+    let cursor;
+    do {
+        const response = await listQueue({ limit: '2', ...(cursor && { cursor }) });
+        assert.equal(response.statusCode, 200);
+        pages.push(response.body.documents.map(doc => doc.id));
+        cursor = response.body.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(pages, [['doc-d', 'doc-c'], ['doc-e', 'doc-a'], ['doc-b']]);
+});
+
+test('the queue refuses malformed cursors and cursors of another sort order', async () => {
+    db = createDb([
+        { id: 'doc-1', uploaded_at: new Date('2026-01-01T00:00:00Z') },
+        { id: 'doc-2', uploaded_at: new Date('2026-01-02T00:00:00Z') },
+    ]);
+
+    const { body } = await listQueue({ limit: '1' });
+    assert.ok(body.nextCursor);
+
+    assert.equal((await listQueue({ limit: '1', cursor: 'not-a-cursor' })).statusCode, 400);
+    assert.equal((await listQueue({ limit: '1', sort: 'expiry', cursor: body.nextCursor })).statusCode, 400);
+});
+
+test('an all_or_nothing batch with a failed decision writes nothing', async () => {
+    db = createDb([{ id: 'doc-1' }, { id: 'doc-2', version: 5 }]);
+
+    const response = await call(request('POST', '/admin/documents/review-batch', {
+        roles: 'senior_reviewer',
+        body: {
+            mode: 'all_or_nothing',
+            decisions: [{ documentId: 'doc-1', ...REJECTION }, { documentId: 'doc-2', ...REJECTION, version: 4 }]
+        }
+    }));
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(response.body.applied, 0);
+    assert.deepEqual(response.body.results.map(result => [result.documentId, result.outcome]), [
+        ['doc-1', 'rolled_back'],
+        ['doc-2', 'failed'],
+    ]);
+    assert.equal(db.document('doc-1').status, 'pending');
+    assert.equal(db.document('doc-2').status, 'pending');
+    assert.deepEqual(db.events, []);
+});
+
+test('a best_effort batch applies the decisions that succeed', async () => {
+    db = createDb([{ id: 'doc-1' }, { id: 'doc-2', version: 5 }]);
+
+    const response = await call(request('POST', '/admin/documents/review-batch', {
+        roles: 'senior_reviewer',
+        body: {
+            decisions: [{ documentId: 'doc-1', ...REJECTION }, { documentId: 'doc-2', ...REJECTION, version: 4 }]
+        }
+    }));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.mode, 'best_effort');
+    assert.equal(response.body.applied, 1);
+    assert.deepEqual(response.body.results.map(result => [result.documentId, result.outcome, result.statusCode]), [
+        ['doc-1', 'applied', 200],
+        ['doc-2', 'failed', 409],
+    ]);
+    assert.equal(db.document('doc-1').status, 'rejected');
+    assert.equal(db.document('doc-2').status, 'pending');
+    assert.deepEqual(db.events.map(event => [event.documentId, event.eventType]), [['doc-1', 'reviewed']]);
+});
+
+test('a batch needs the bulk approval permission', async () => {
+    db = createDb([{ id: 'doc-1' }]);
+
+    const response = await call(request('POST', '/admin/documents/review-batch', {
+        body: { decisions: [{ documentId: 'doc-1', ...REJECTION }] }
+    }));
+
+    assert.equal(response.statusCode, 403);
+    assert.equal(db.document('doc-1').status, 'pending');
+});
@@ -3,11 +3,12 @@ set -e
 
 echo "Building document-upload Lambda..."
 
-# Install dependencies
-npm install --production
+# Install dependencies (sharp's native binaries for the Lambda platform,
+# whatever machine builds the package)
+npm install --production --os=linux --cpu=x64
 
 # Create deployment package
 rm -f document-upload.zip
-zip -r document-upload.zip . -x "*.git*" "build.sh" "*.zip"
+zip -r document-upload.zip . -x "*.git*" "build.sh" "*.zip" "test/*"
 
 echo "✓ Built document-upload.zip ($(du -h document-upload.zip | cut -f1))"
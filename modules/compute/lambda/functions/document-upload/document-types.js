@@ -0,0 +1,47 @@
+/**
+ * Driver Document Types
+ *
+ * Single source of upload constraints per document type: category,
+ * allowed MIME types and maximum file size (per file). Enforced both when
+ * validating upload requests and in the presigned POST policy. How many
+ * files a type takes is in shared/document-files.js.
+ *
+ * Retired types (replacedBy) stay configured for documents already stored,
+ * but no longer accept uploads.
+ */
+
+const MB = 1024 * 1024;
+
+const DOCUMENT_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/heic'];
+const DOCUMENT_FILE_TYPES = [...DOCUMENT_IMAGE_TYPES, 'application/pdf'];
+
+const DOCUMENT_TYPES = {
+    'license': { category: 'identity', allowedMimeTypes: DOCUMENT_FILE_TYPES, maxSizeBytes: 10 * MB },
+    // Uploaded as the back of a license since licenses take both sides
+    'license_back': { category: 'identity', allowedMimeTypes: DOCUMENT_FILE_TYPES, maxSizeBytes: 10 * MB, replacedBy: 'license' },
+    'profile_photo': { category: 'identity', allowedMimeTypes: DOCUMENT_IMAGE_TYPES, maxSizeBytes: 5 * MB },
+    'insurance': { category: 'vehicle', allowedMimeTypes: DOCUMENT_FILE_TYPES, maxSizeBytes: 10 * MB },
+    'registration': { category: 'vehicle', allowedMimeTypes: DOCUMENT_FILE_TYPES, maxSizeBytes: 10 * MB },
+    'inspection': { category: 'compliance', allowedMimeTypes: DOCUMENT_FILE_TYPES, maxSizeBytes: 10 * MB },
+    'background_check': { category: 'compliance', allowedMimeTypes: ['application/pdf'], maxSizeBytes: 10 * MB },
+};
+
+/**
+ * Get upload constraints for a document type (null if the type is unknown)
+ */
+function getDocumentTypeConfig(documentType) {
+    return DOCUMENT_TYPES[documentType] || null;
+}
+
+/**
+ * Document types drivers may upload (retired types excluded)
+ */
+function uploadableDocumentTypes() {
+    return Object.keys(DOCUMENT_TYPES).filter(type => !DOCUMENT_TYPES[type].replacedBy);
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    getDocumentTypeConfig,
+    uploadableDocumentTypes,
+};
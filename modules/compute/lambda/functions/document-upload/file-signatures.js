@@ -0,0 +1,51 @@
+/**
+ * File Signature Detection
+ *
+ * Detects the real format of an uploaded file from its leading bytes,
+ * independent of the client-declared content type.
+ */
+
+// Bytes needed from the start of the object to detect every supported format
+const SIGNATURE_BYTES = 32;
+
+// ISO BMFF brands used by HEIC/HEIF images (bytes 8-11, after the 'ftyp' box type)
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Detect MIME type from leading bytes (null if unrecognized)
+ */
+function detectFileType(buffer) {
+    if (!buffer || buffer.length < 4) {
+        return null;
+    }
+
+    // JPEG: FF D8 FF
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'image/jpeg';
+    }
+
+    // PNG: 89 50 4E 47 0D 0A 1A 0A
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'image/png';
+    }
+
+    // PDF: %PDF-
+    if (buffer.length >= 5 && buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+        return 'application/pdf';
+    }
+
+    // HEIC: ....ftyp{brand}
+    if (buffer.length >= 12 && buffer.subarray(4, 8).toString('latin1') === 'ftyp') {
+        const brand = buffer.subarray(8, 12).toString('latin1');
+        if (HEIC_BRANDS.includes(brand)) {
+            return 'image/heic';
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    SIGNATURE_BYTES,
+    detectFileType,
+};
@@ -0,0 +1,125 @@
+/**
+ * Idempotent Upload Requests
+ *
+ * Clients may send an Idempotency-Key header with POST
+ * /drivers/documents/upload. The first request with a key records the
+ * document it created in upload_idempotency_keys, along with a hash of the
+ * request; a retry with the same key and request gets that document back
+ * instead of a new one. Keys are per driver and expire after a TTL.
+ */
+
+const crypto = require('crypto');
+
+// Printable ASCII without spaces, as sent by common client libraries (UUIDs, ULIDs, ...)
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+/**
+ * Read the Idempotency-Key header (null if absent)
+ *
+ * API Gateway HTTP APIs lower-case header names; REST APIs keep the client's.
+ */
+function getIdempotencyKey(headers) {
+    const name = Object.keys(headers || {}).find(header => header.toLowerCase() === 'idempotency-key');
+    return name ? headers[name] : null;
+}
+
+/**
+ * Check an Idempotency-Key header value
+ */
+function isValidIdempotencyKey(key) {
+    return typeof key === 'string' && IDEMPOTENCY_KEY_PATTERN.test(key);
+}
+
+/**
+ * Hash the normalized upload request, so snake_case and camelCase spellings
+ * of the same request match
+ *
+ * request: { documentType, uploadMode, files: [{ fileName, contentType,
+ * fileSize }] }. Files after the first are appended, so single-file
+ * requests hash as they did before multi-file documents.
+ */
+function hashUploadRequest(request) {
+    const [firstFile, ...otherFiles] = request.files;
+
+    const canonical = JSON.stringify([
+        request.documentType,
+        firstFile.fileName,
+        firstFile.contentType,
+        firstFile.fileSize || null,
+        request.uploadMode,
+        ...otherFiles.flatMap(file => [file.fileName, file.contentType, file.fileSize || null]),
+    ]);
+
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Find the unexpired record for a driver's key, locking the key for the
+ * rest of the transaction so concurrent retries wait for the first one
+ *
+ * Returns null if the key is unused (or its record expired).
+ */
+async function findIdempotencyRecord(db, driverId, key) {
+    await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`upload_idempotency_keys:${driverId}:${key}`]);
+
+    const query = `
+        SELECT k.idempotency_key, k.request_hash, k.document_id, k.expires_at,
+               d.document_type, d.s3_key, d.status, d.version_number, d.replaces_document_id
+        FROM upload_idempotency_keys k
+        JOIN driver_documents d ON d.id = k.document_id
+        WHERE k.driver_id = $1
+          AND k.idempotency_key = $2
+          AND k.expires_at > NOW()
+    `;
+
+    const result = await db.query(query, [driverId, key]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Record the document a key created, replacing an expired record of the key
+ */
+async function saveIdempotencyRecord(db, record, ttlHours) {
+    const query = `
+        INSERT INTO upload_idempotency_keys (
+            driver_id, tenant_id, idempotency_key, request_hash, document_id, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6))
+        ON CONFLICT (driver_id, idempotency_key) DO UPDATE
+        SET
+            tenant_id = EXCLUDED.tenant_id,
+            request_hash = EXCLUDED.request_hash,
+            document_id = EXCLUDED.document_id,
+            created_at = NOW(),
+            expires_at = EXCLUDED.expires_at
+        WHERE upload_idempotency_keys.expires_at <= NOW()
+        RETURNING expires_at
+    `;
+
+    const result = await db.query(query, [
+        record.driverId,
+        record.tenantId,
+        record.key,
+        record.requestHash,
+        record.documentId,
+        ttlHours
+    ]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Delete expired keys
+ */
+async function deleteExpiredIdempotencyKeys(db) {
+    const result = await db.query('DELETE FROM upload_idempotency_keys WHERE expires_at <= NOW()');
+    return result.rowCount;
+}
+
+module.exports = {
+    getIdempotencyKey,
+    isValidIdempotencyKey,
+    hashUploadRequest,
+    findIdempotencyRecord,
+    saveIdempotencyRecord,
+    deleteExpiredIdempotencyKeys,
+};
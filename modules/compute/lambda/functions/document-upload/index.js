@@ -2,21 +2,158 @@
  * Driver Document Upload Lambda
  *
  * Handles document upload requests by:
- * 1. Generating presigned S3 URL for direct upload
- * 2. Creating metadata record in driver_documents table
+ * 1. Generating presigned S3 uploads (POST policy or PUT URL) for direct
+ *    upload, one per file of the document
+ * 2. Creating metadata record in driver_documents table (status 'awaiting_upload')
  * 3. Returning upload URL and document ID to client
+ * 4. Completing the upload once the object lands in S3
+ * 5. Verifying file content by magic bytes, quarantining mismatches
+ * 6. Scanning the file for malware (SCANNER_PROVIDER): the document waits in
+ *    'scanning' until clean; infected files are quarantined and the driver
+ *    asked to upload a new copy
+ * 7. Extracting fields from the file (EXTRACTION_PROVIDER) to pre-fill the
+ *    reviewer's form or, where the tenant allows, approve it automatically
+ * 8. Generating preview renditions (RENDITION_PROVIDER): downsized JPEGs of
+ *    the file, or of a PDF's first page, returned as preview URLs
+ *
+ * Some document types take a set of files (a license's front and back, the
+ * pages of an insurance card; see shared/document-files.js). The set is one
+ * upload: it completes once every file has arrived, and every file is
+ * verified, scanned and rendered.
+ *
+ * Each upload is a new version of the driver's document of that type and
+ * references the document it replaces; the replaced document stays in
+ * force until the new version is approved (see shared/document-versions.js).
  *
  * API Routes:
- * - POST /drivers/documents/upload - Generate presigned URL
- * - GET /drivers/documents - List driver documents
- * - GET /drivers/documents/{documentId} - Get document details
+ * - POST /drivers/documents/upload - Generate presigned URLs (Idempotency-Key header supported)
+ * - POST /drivers/documents/{documentId}/complete - Confirm upload (fallback for S3 event)
+ * - GET /drivers/documents - List driver documents, grouped by type into versions
+ * - GET /drivers/documents/{documentId} - Get document details and files, with view and preview URLs
+ * - GET /drivers/documents/{documentId}/download - Redirect to presigned download URL (?part=n for other files)
+ * - GET /drivers/documents/{documentId}/history - Summary of the document's audit trail
+ * - DELETE /drivers/documents/{documentId} - Withdraw a pending or rejected upload
+ * - POST /drivers/documents/export - Archive of the driver's documents and metadata, with download URL
+ * - GET /drivers/notifications - Notifications sent to the driver
  * - GET /drivers/{driverId}/verification - Get verification status
+ *
+ * Event Triggers:
+ * - S3 ObjectCreated - Complete upload once every file of the document is stored
+ * - EventBridge schedule - Sweep expired upload URLs to 'abandoned', retry failed malware
+ *   scans, generate missing renditions, retry file deletions of withdrawn documents
+ *   and delete expired idempotency keys
+ *
+ * Drivers act only within their tenant (custom:tenant_id claim), and every
+ * S3 key sits under that tenant's prefix. Routes require the own_documents
+ * permissions of the driver role (see shared/permissions.js).
  */
 
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+    ListObjectVersionsCommand,
+    PutObjectTaggingCommand,
+} = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { createPresignedPost } = require('@aws-sdk/s3-presigned-post');
 const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
+const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
+const { TextractClient, AnalyzeDocumentCommand } = require('@aws-sdk/client-textract');
 const { Client } = require('pg');
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+const { getDocumentTypeConfig, uploadableDocumentTypes } = require('./document-types');
+const { SIGNATURE_BYTES, detectFileType } = require('./file-signatures');
+const {
+    getIdempotencyKey,
+    isValidIdempotencyKey,
+    hashUploadRequest,
+    findIdempotencyRecord,
+    saveIdempotencyRecord,
+    deleteExpiredIdempotencyKeys,
+} = require('./idempotency');
+const {
+    ACTORS,
+    INITIAL_STATUS,
+    VIEWABLE_STATUSES,
+    TRANSITIONS,
+    canTransition,
+    transitionSources,
+} = require('@vehealth/compliance-shared/document-states');
+const {
+    EVENT_TYPES,
+    recordDocumentEvent,
+    getDocumentEvents,
+    summarizeForDriver,
+} = require('@vehealth/compliance-shared/document-events');
+const { TEMPLATE_NAMES } = require('@vehealth/compliance-shared/notification-templates');
+const {
+    createChannels,
+    sendNotification,
+    getDriverNotifications,
+} = require('@vehealth/compliance-shared/notifications');
+const {
+    getDriverPolicy,
+    evaluateDriverCompliance,
+    recordComplianceStatus,
+    validateApproval,
+} = require('@vehealth/compliance-shared/compliance-policies');
+const {
+    EXTRACTION_STATUSES,
+    createExtractor,
+    extractDocument,
+    getExtractionSettings,
+    decideExtraction,
+    recordExtractedFields,
+} = require('@vehealth/compliance-shared/extraction');
+const {
+    TenantAccessError,
+    setTenantContext,
+    tenantFromKey,
+    isTenantKey,
+    assertTenantKey,
+} = require('@vehealth/compliance-shared/tenancy');
+const { PERMISSIONS, parseRoles, hasPermission } = require('@vehealth/compliance-shared/permissions');
+const {
+    prepareNewVersion,
+    supersedePriorVersions,
+    groupDocumentVersions,
+} = require('@vehealth/compliance-shared/document-versions');
+const { syncLifecycleTags } = require('@vehealth/compliance-shared/storage-lifecycle');
+const {
+    ExportTooLargeError,
+    deleteVersionsUnder,
+    createDriverExport,
+} = require('@vehealth/compliance-shared/driver-data');
+const {
+    SCAN_STATUSES,
+    MALWARE_QUARANTINE_REASON,
+    createScanner,
+    scanFile,
+} = require('@vehealth/compliance-shared/malware-scanning');
+const {
+    RENDITION_SOURCE_TYPES,
+    renditionPrefix,
+    isRenditionKey,
+    createRenderer,
+    generateRenditions,
+    storedRenditions,
+} = require('@vehealth/compliance-shared/renditions');
+const {
+    getFileSet,
+    partLabel,
+    missingParts,
+    createDocumentFiles,
+    getDocumentFiles,
+    recordFileUpload,
+    moveDocumentFile,
+    describeFile,
+} = require('@vehealth/compliance-shared/document-files');
 
 const ENVIRONMENT = process.env.ENVIRONMENT || 'dev';
 const DOCUMENTS_BUCKET = process.env.DOCUMENTS_BUCKET || `vehealth-${ENVIRONMENT}-driver-documents`;
@@ -25,268 +162,2125 @@ const RDS_SECRET_ARN = process.env.RDS_SECRET_ARN;
 const DATABASE_NAME = process.env.DATABASE_NAME || 'vehealth';
 const LOG_LEVEL = process.env.LOG_LEVEL || 'INFO';
 
+// Presigned upload URLs are valid for 15 minutes
+const UPLOAD_URL_EXPIRES_IN = 900;
+
+// 'post' (S3-enforced policy) or 'put' (legacy presigned PUT, for clients
+// without POST support); set per deployment, clients cannot choose
+const UPLOAD_MODES = ['post', 'put'];
+const UPLOAD_MODE = UPLOAD_MODES.includes(process.env.UPLOAD_MODE) ? process.env.UPLOAD_MODE : 'post';
+
+// Files failing content verification are moved under this prefix
+const QUARANTINE_PREFIX = 'quarantine/';
+
+// Presigned view/download URLs are valid for 1 hour
+const VIEW_URL_EXPIRES_IN = 3600;
+const DISPOSITIONS = ['inline', 'attachment'];
+
+// Largest total file size bundled into a data export (archives are built in memory)
+const EXPORT_MAX_BYTES = parseInt(process.env.EXPORT_MAX_BYTES || '52428800', 10);
+
+// Allow in-flight uploads to finish before an expired URL is treated as abandoned
+const ABANDON_GRACE_MINUTES = parseInt(process.env.ABANDON_GRACE_MINUTES || '15', 10);
+
+// How long an Idempotency-Key keeps returning the document its first request created
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+
+// Actor recorded in the audit trail for S3 events and scheduled sweeps
+const SYSTEM_ACTOR = { type: ACTORS.SYSTEM, id: null };
+
+// Malware scanning after upload: 'clamav' (clamd at CLAMAV_HOST:CLAMAV_PORT), 'local' (EICAR-only stub) or 'none'
+const SCANNER_PROVIDER = process.env.SCANNER_PROVIDER || 'none';
+const CLAMAV_HOST = process.env.CLAMAV_HOST;
+const CLAMAV_PORT = parseInt(process.env.CLAMAV_PORT || '3310', 10);
+
+// Scans that failed (scanner unreachable, timeout) are retried by the sweep after this long
+const SCAN_RETRY_MINUTES = parseInt(process.env.SCAN_RETRY_MINUTES || '15', 10);
+
+// Field extraction after upload: 'textract', 'local' (deterministic stub) or 'none'
+const EXTRACTION_PROVIDER = process.env.EXTRACTION_PROVIDER || 'none';
+
+// Preview renditions after upload: 'sharp' (PDFs need pdftoppm, e.g. from a Lambda layer) or 'none'
+const RENDITION_PROVIDER = process.env.RENDITION_PROVIDER || 'none';
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+
+// Documents per sweep that get renditions generated after the fact (missed or predating renditions)
+const RENDITION_BACKFILL_LIMIT = parseInt(process.env.RENDITION_BACKFILL_LIMIT || '50', 10);
+
+// Notification delivery (automatic approvals)
+const NOTIFICATION_CHANNELS = process.env.NOTIFICATION_CHANNELS || 'email';
+const NOTIFICATION_TRANSPORT = process.env.NOTIFICATION_TRANSPORT || 'aws';
+const NOTIFICATION_EMAIL_FROM = process.env.NOTIFICATION_EMAIL_FROM;
+const NOTIFICATION_OUTBOX_FILE = process.env.NOTIFICATION_OUTBOX_FILE;
+
 const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-2' });
 const secretsClient = new SecretsManagerClient({ region: process.env.AWS_REGION || 'us-east-2' });
 
+// Document-status object tags for the bucket's lifecycle rules
+const storageLifecycle = { client: s3Client, PutObjectTaggingCommand, bucket: DOCUMENTS_BUCKET };
+
+// Driver data export archives and permanent deletion of document files
+const driverDataStorage = {
+    client: s3Client,
+    bucket: DOCUMENTS_BUCKET,
+    GetObjectCommand,
+    PutObjectCommand,
+    ListObjectVersionsCommand,
+    DeleteObjectCommand,
+};
+
+// Preview renditions, stored next to each document's file
+const renditionStorage = {
+    client: s3Client,
+    bucket: DOCUMENTS_BUCKET,
+    PutObjectCommand,
+    ListObjectVersionsCommand,
+    DeleteObjectCommand,
+};
+
+const scanner = createScanner(SCANNER_PROVIDER, {
+    clamav: { host: CLAMAV_HOST, port: CLAMAV_PORT },
+});
+
+const renderer = createRenderer(RENDITION_PROVIDER, {
+    sharp: { sharp, decodeHeic, pdftoppmPath: PDFTOPPM_PATH },
+});
+
+const extractor = createExtractor(EXTRACTION_PROVIDER, {
+    textract: { client: new TextractClient({ region: process.env.AWS_REGION || 'us-east-2' }), AnalyzeDocumentCommand },
+});
+
+const notificationChannels = createChannels(NOTIFICATION_CHANNELS, {
+    transport: NOTIFICATION_TRANSPORT,
+    ses: { client: new SESClient({ region: process.env.AWS_REGION || 'us-east-2' }), SendEmailCommand },
+    sns: { client: new SNSClient({ region: process.env.AWS_REGION || 'us-east-2' }), PublishCommand },
+    emailFrom: NOTIFICATION_EMAIL_FROM,
+    outboxFile: NOTIFICATION_OUTBOX_FILE,
+});
+
 // Database connection pool
 let dbClient = null;
 
-/**
- * Get database credentials from Secrets Manager
- */
-async function getDbCredentials() {
-    try {
-        const response = await secretsClient.send(new GetSecretValueCommand({
-            SecretId: RDS_SECRET_ARN
-        }));
-        return JSON.parse(response.SecretString);
-    } catch (error) {
-        console.error('Error fetching DB credentials:', error);
-        throw error;
-    }
+/**
+ * Get database credentials from Secrets Manager
+ */
+async function getDbCredentials() {
+    try {
+        const response = await secretsClient.send(new GetSecretValueCommand({
+            SecretId: RDS_SECRET_ARN
+        }));
+        return JSON.parse(response.SecretString);
+    } catch (error) {
+        console.error('Error fetching DB credentials:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get or create database connection
+ */
+async function getDbConnection() {
+    if (!dbClient || dbClient._ending) {
+        const credentials = await getDbCredentials();
+
+        dbClient = new Client({
+            host: RDS_PROXY_ENDPOINT,
+            port: 5432,
+            database: DATABASE_NAME,
+            user: credentials.username,
+            password: credentials.password,
+            ssl: { rejectUnauthorized: false },
+            connectionTimeoutMillis: 5000,
+            query_timeout: 10000,
+        });
+
+        await dbClient.connect();
+        console.log('Database connection established');
+    }
+
+    return dbClient;
+}
+
+/**
+ * Run queries in a transaction, rolling back on error
+ */
+async function withTransaction(db, work) {
+    await db.query('BEGIN');
+    try {
+        const result = await work();
+        await db.query('COMMIT');
+        return result;
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * Extract user info from JWT claims
+ */
+function extractUserFromEvent(event) {
+    const claims = event.requestContext?.authorizer?.jwt?.claims;
+    if (!claims) {
+        throw new Error('Missing JWT claims');
+    }
+
+    return {
+        userId: claims.sub,
+        email: claims.email,
+        tenantId: claims['custom:tenant_id'] || null,
+        roles: parseRoles(claims['custom:roles']),
+    };
+}
+
+/**
+ * 403 response for a caller whose roles lack a permission
+ */
+function forbiddenResponse(permission) {
+    return {
+        statusCode: 403,
+        body: JSON.stringify({ error: `Forbidden: ${permission} permission required` })
+    };
+}
+
+/**
+ * S3 key prefix for a driver's documents of one type
+ *
+ * S3 key format: {tenant_id}/{driver_id}/{document_type}/{timestamp}_{filename}
+ */
+function documentKeyPrefix(tenantId, driverId, documentType) {
+    return `${tenantId}/${driverId}/${documentType}/`;
+}
+
+/**
+ * Build a new S3 key for an uploaded file
+ *
+ * Files of multi-file documents carry their part number:
+ * {timestamp}_p{part}_{filename}.
+ */
+function buildDocumentKey(driverId, documentType, fileName, tenantId, partNumber = null) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0] + '_' + Date.now();
+    const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9._-]/g, '_');
+    const part = partNumber ? `p${partNumber}_` : '';
+
+    return `${documentKeyPrefix(tenantId, driverId, documentType)}${timestamp}_${part}${sanitizedFileName}`;
+}
+
+/**
+ * Generate presigned S3 upload for a document's key
+ *
+ * 'post' mode signs a POST policy so S3 itself enforces the size cap,
+ * exact Content-Type and key prefix. 'put' mode signs a bare PutObject
+ * for older clients; its constraints are only checked against declared
+ * values, and oversized files are quarantined when the upload completes.
+ */
+async function generatePresignedUpload(s3Key, { driverId, documentType, contentType, tenantId, uploadMode }) {
+    const keyPrefix = documentKeyPrefix(tenantId, driverId, documentType);
+
+    const metadata = {
+        'tenant-id': tenantId,
+        'driver-id': driverId,
+        'document-type': documentType,
+        'uploaded-at': new Date().toISOString(),
+    };
+
+    if (uploadMode === 'post') {
+        const fields = { 'Content-Type': contentType };
+        for (const [name, value] of Object.entries(metadata)) {
+            fields[`x-amz-meta-${name}`] = value;
+        }
+
+        // Fields are added to the policy as exact-match conditions
+        const { url, fields: signedFields } = await createPresignedPost(s3Client, {
+            Bucket: DOCUMENTS_BUCKET,
+            Key: s3Key,
+            Fields: fields,
+            Conditions: [
+                ['content-length-range', 1, getDocumentTypeConfig(documentType).maxSizeBytes],
+                ['starts-with', '$key', keyPrefix],
+            ],
+            Expires: UPLOAD_URL_EXPIRES_IN,
+        });
+
+        return { uploadUrl: url, uploadFields: signedFields };
+    }
+
+    const command = new PutObjectCommand({
+        Bucket: DOCUMENTS_BUCKET,
+        Key: s3Key,
+        ContentType: contentType,
+        Metadata: metadata
+    });
+
+    const presignedUrl = await getSignedUrl(s3Client, command, { expiresIn: UPLOAD_URL_EXPIRES_IN });
+
+    return { uploadUrl: presignedUrl, uploadFields: null };
+}
+
+/**
+ * Build a Content-Disposition header value with a safe filename
+ */
+function buildContentDisposition(disposition, fileName) {
+    const name = fileName || 'document';
+    const asciiName = name.replace(/[^\x20-\x7E]/g, '_').replace(/["\\]/g, '_');
+    return `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+/**
+ * Generate presigned GET URL for viewing or downloading a document
+ *
+ * Serves the recorded object version, not whatever was uploaded to the key
+ * since. Refuses keys outside the caller's tenant prefix.
+ */
+async function generateViewUrl(document, disposition, tenantId) {
+    assertTenantKey(document.s3_key, tenantId);
+
+    const command = new GetObjectCommand({
+        Bucket: document.s3_bucket,
+        Key: document.s3_key,
+        VersionId: document.s3_version_id || undefined,
+        ResponseContentDisposition: buildContentDisposition(disposition, document.file_name),
+        ResponseContentType: document.mime_type || undefined,
+    });
+
+    return getSignedUrl(s3Client, command, { expiresIn: VIEW_URL_EXPIRES_IN });
+}
+
+/**
+ * Generate presigned GET URLs for a document's preview renditions
+ *
+ * Returns { size: url } (see shared/renditions.js), or null if the document
+ * has no viewable file or no renditions yet.
+ */
+async function generatePreviewUrls(document, tenantId) {
+    const renditions = VIEWABLE_STATUSES.includes(document.status) ? storedRenditions(document) : [];
+    if (renditions.length === 0) return null;
+
+    const urls = {};
+
+    for (const rendition of renditions) {
+        assertTenantKey(rendition.key, tenantId);
+
+        const command = new GetObjectCommand({ Bucket: document.s3_bucket, Key: rendition.key });
+        urls[rendition.name] = await getSignedUrl(s3Client, command, { expiresIn: VIEW_URL_EXPIRES_IN });
+    }
+
+    return urls;
+}
+
+/**
+ * Create document metadata record in database, with a row per file
+ *
+ * documentData.files: [{ s3Key, fileName, mimeType, fileSize }] in part
+ * order. The document row mirrors the first file and records the declared
+ * total size. Returns the document with its files.
+ */
+async function createDocumentRecord(db, documentData) {
+    const [firstFile] = documentData.files;
+
+    const query = `
+        INSERT INTO driver_documents (
+            driver_id, tenant_id, document_type, document_category,
+            s3_key, s3_bucket, file_name, file_size_bytes, mime_type,
+            status, upload_expires_at, version_number, replaces_document_id, file_count
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW() + make_interval(secs => $11), $12, $13, $14)
+        RETURNING
+            id, driver_id, tenant_id, document_type, s3_key, s3_bucket, file_name,
+            file_size_bytes, mime_type, status, upload_expires_at,
+            version_number, replaces_document_id, file_count, created_at
+    `;
+
+    const values = [
+        documentData.driverId,
+        documentData.tenantId,
+        documentData.documentType,
+        documentData.documentCategory,
+        firstFile.s3Key,
+        DOCUMENTS_BUCKET,
+        firstFile.fileName,
+        documentData.files.reduce((total, file) => total + (file.fileSize || 0), 0),
+        firstFile.mimeType,
+        INITIAL_STATUS,
+        UPLOAD_URL_EXPIRES_IN,
+        documentData.versionNumber,
+        documentData.replacesDocumentId,
+        documentData.files.length
+    ];
+
+    const result = await db.query(query, values);
+    const document = result.rows[0];
+
+    return { document, files: await createDocumentFiles(db, document, documentData.files) };
+}
+
+/**
+ * Get document category from type
+ */
+function getDocumentCategory(documentType) {
+    return getDocumentTypeConfig(documentType)?.category || 'identity';
+}
+
+/**
+ * Read the uploaded object's metadata from S3 (null if it was never uploaded)
+ */
+async function headUploadedObject(bucket, key) {
+    try {
+        return await s3Client.send(new HeadObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            ChecksumMode: 'ENABLED'
+        }));
+    } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Read the uploaded objects of a document's files: [{ file, head }], with
+ * head null for files not uploaded yet
+ */
+async function headDocumentFiles(files) {
+    const uploads = [];
+
+    for (const file of files) {
+        uploads.push({ file, head: await headUploadedObject(file.s3_bucket, file.s3_key) });
+    }
+
+    return uploads;
+}
+
+/**
+ * Check a file's stored size against the document type's cap, then read
+ * its leading bytes and check its real format against its declared
+ * mime_type and the formats allowed for the document type
+ *
+ * head: the file's HeadObject response; the version it describes is the
+ * one read. Returns the detected MIME type and a machine-readable
+ * quarantine reason (null when the file is acceptable). Oversized files are
+ * not read.
+ */
+async function verifyUploadedContent(document, file, head) {
+    const typeConfig = getDocumentTypeConfig(document.document_type);
+
+    if (typeConfig && head.ContentLength > typeConfig.maxSizeBytes) {
+        return { detectedMimeType: null, reason: 'file_too_large' };
+    }
+
+    const response = await s3Client.send(new GetObjectCommand({
+        Bucket: file.s3_bucket,
+        Key: file.s3_key,
+        VersionId: head.VersionId,
+        Range: `bytes=0-${SIGNATURE_BYTES - 1}`
+    }));
+
+    const leadingBytes = Buffer.from(await response.Body.transformToByteArray());
+    const detectedMimeType = detectFileType(leadingBytes);
+    const allowedMimeTypes = typeConfig?.allowedMimeTypes || [];
+
+    let reason = null;
+    if (!detectedMimeType) {
+        reason = 'unrecognized_format';
+    } else if (detectedMimeType !== file.mime_type) {
+        reason = 'content_type_mismatch';
+    } else if (!allowedMimeTypes.includes(detectedMimeType)) {
+        reason = 'format_not_allowed';
+    }
+
+    return { detectedMimeType, reason };
+}
+
+/**
+ * Refuse to read an object larger than its document type allows
+ *
+ * response: a GetObject response whose body has not been read; it is
+ * discarded when refused. Completion quarantines oversized uploads, so this
+ * only guards files stored before that check or changed behind its back.
+ */
+function assertReadableSize(document, response) {
+    const maxSizeBytes = getDocumentTypeConfig(document.document_type)?.maxSizeBytes;
+
+    if (maxSizeBytes && response.ContentLength > maxSizeBytes) {
+        response.Body?.destroy?.();
+        throw new Error(`File of ${response.ContentLength} bytes exceeds the ${maxSizeBytes}-byte limit for ${document.document_type}; not read`);
+    }
+}
+
+/**
+ * Copy an object version under the quarantine prefix, returning the copy's
+ * { key, versionId }
+ */
+async function copyToQuarantine(bucket, key, versionId) {
+    const quarantineKey = `${QUARANTINE_PREFIX}${key}`;
+    const version = versionId ? `?versionId=${encodeURIComponent(versionId)}` : '';
+
+    const response = await s3Client.send(new CopyObjectCommand({
+        Bucket: bucket,
+        Key: quarantineKey,
+        CopySource: `${bucket}/${encodeURIComponent(key)}${version}`,
+        MetadataDirective: 'COPY'
+    }));
+
+    return { key: quarantineKey, versionId: response.VersionId || null };
+}
+
+/**
+ * Record the stored objects' total size, the first file's ETag, version,
+ * checksum and content type, and the verification result, and move the document to
+ * 'scanning' (awaiting the malware scan), 'pending' (uploaded, awaiting
+ * review; when scanning is off) or 'quarantined' (any file failed)
+ *
+ * uploads: [{ file, head, verification }] in part order. Returns null if
+ * the document is no longer in a status the actor may complete.
+ */
+async function completeDocumentUpload(db, documentId, uploads, actorType) {
+    const [{ head, verification }] = uploads;
+    const failed = uploads.find(upload => upload.verification.reason);
+
+    let transition = 'complete_upload';
+    if (failed) {
+        transition = 'quarantine_upload';
+    } else if (scanner) {
+        transition = 'start_scan';
+    }
+    const status = TRANSITIONS[transition].to;
+
+    const query = `
+        UPDATE driver_documents
+        SET
+            status = $1,
+            file_size_bytes = $2,
+            s3_etag = $3,
+            s3_version_id = $4,
+            checksum_sha256 = $5,
+            uploaded_content_type = $6,
+            detected_mime_type = $7,
+            quarantine_reason = $8,
+            s3_key = COALESCE($9, s3_key),
+            uploaded_at = NOW(),
+            updated_at = NOW()
+        WHERE id = $10
+          AND status = ANY($11)
+        RETURNING
+            id, driver_id, tenant_id, document_type, status, s3_key, s3_version_id, mime_type,
+            checksum_sha256, quarantine_reason, file_size_bytes, uploaded_at, created_at
+    `;
+
+    const values = [
+        status,
+        uploads.reduce((total, upload) => total + upload.head.ContentLength, 0),
+        head.ETag ? head.ETag.replace(/"/g, '') : null,
+        (verification.quarantineKey ? verification.quarantineVersionId : head.VersionId) || null,
+        head.ChecksumSHA256 || null,
+        head.ContentType || null,
+        verification.detectedMimeType,
+        failed ? failed.verification.reason : null,
+        verification.quarantineKey || null,
+        documentId,
+        transitionSources(transition, actorType)
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0] || null;
+}
+
+/**
+ * Move a driver's document to 'withdrawn' and soft-delete it
+ *
+ * Returns null if the document is no longer in a status the driver may withdraw.
+ */
+async function markDocumentWithdrawn(db, documentId, driverId) {
+    const query = `
+        UPDATE driver_documents
+        SET
+            status = 'withdrawn',
+            deleted_at = NOW(),
+            deleted_by = $2,
+            reminders_cancelled_at = COALESCE(reminders_cancelled_at, NOW()),
+            updated_at = NOW()
+        WHERE id = $1
+          AND driver_id = $2
+          AND status = ANY($3)
+          AND deleted_at IS NULL
+        RETURNING
+            id, driver_id, tenant_id, document_type, status, s3_key, s3_bucket,
+            version_number, replaces_document_id, deleted_at, files_deleted_at
+    `;
+
+    const result = await db.query(query, [documentId, driverId, transitionSources('withdraw', ACTORS.DRIVER)]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Delete every S3 version of a withdrawn document's files and their
+ * renditions, then record the deletion
+ *
+ * Throws if S3 refuses a delete; the upload sweep retries documents whose
+ * files_deleted_at is still unset. Returns the number of versions deleted.
+ */
+async function deleteWithdrawnFiles(db, document, files) {
+    let deletedVersions = 0;
+
+    for (const file of files) {
+        assertTenantKey(file.s3_key, document.tenant_id);
+        const bucket = file.s3_bucket || DOCUMENTS_BUCKET;
+        deletedVersions += await deleteVersionsUnder(driverDataStorage, bucket, file.s3_key, candidate => candidate === file.s3_key)
+            + await deleteVersionsUnder(renditionStorage, bucket, renditionPrefix(file.s3_key));
+    }
+
+    await db.query(
+        'UPDATE driver_documents SET files_deleted_at = NOW() WHERE id = $1',
+        [document.id]
+    );
+
+    return deletedVersions;
+}
+
+/**
+ * Record a malware scan result and move the document out of 'scanning':
+ * to 'pending' if clean, or to 'quarantined' with its file under the
+ * quarantine prefix
+ *
+ * Returns null if the document is no longer being scanned.
+ */
+async function recordScanResult(db, documentId, scan, quarantine) {
+    const transition = scan.status === SCAN_STATUSES.CLEAN ? 'pass_scan' : 'fail_scan';
+
+    const query = `
+        UPDATE driver_documents
+        SET
+            status = $2,
+            scan_status = $3,
+            scan_provider = $4,
+            scan_signature = $5,
+            scan_error = NULL,
+            scanned_at = NOW(),
+            quarantine_reason = CASE WHEN $2 = 'quarantined' THEN $6 ELSE quarantine_reason END,
+            s3_key = COALESCE($7, s3_key),
+            s3_version_id = CASE WHEN $7 IS NULL THEN s3_version_id ELSE $9 END,
+            updated_at = NOW()
+        WHERE id = $1
+          AND status = ANY($8)
+        RETURNING
+            id, driver_id, tenant_id, document_type, status, s3_key, s3_version_id, mime_type,
+            checksum_sha256, quarantine_reason, scan_status, scan_signature,
+            file_size_bytes, uploaded_at, created_at
+    `;
+
+    const values = [
+        documentId,
+        TRANSITIONS[transition].to,
+        scan.status,
+        scan.provider,
+        scan.signature,
+        MALWARE_QUARANTINE_REASON,
+        quarantine?.key || null,
+        transitionSources(transition, ACTORS.SYSTEM),
+        quarantine?.versionId || null
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0] || null;
+}
+
+/**
+ * Record a scan that could not complete; the document stays in 'scanning'
+ * and the sweep retries it
+ */
+async function recordScanFailure(db, documentId, error) {
+    await db.query(
+        `UPDATE driver_documents
+        SET scan_status = $2, scan_provider = $3, scan_error = $4, scanned_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = 'scanning'`,
+        [documentId, SCAN_STATUSES.FAILED, scanner.provider, error.message]
+    );
+}
+
+/**
+ * Tell the driver an upload failed the malware scan (never throws)
+ */
+async function notifyQuarantine(db, document) {
+    try {
+        await sendNotification(db, notificationChannels, {
+            driverId: document.driver_id,
+            tenantId: document.tenant_id,
+            documentId: document.id,
+            template: TEMPLATE_NAMES.QUARANTINED,
+            data: { documentType: document.document_type }
+        });
+    } catch (error) {
+        console.error(`Failed to notify driver ${document.driver_id} of quarantined upload:`, error);
+    }
+}
+
+/**
+ * Scan a document's files for malware
+ *
+ * Clean documents move on to 'pending' (and extraction). An infected file
+ * quarantines the document and is isolated: copied under the quarantine
+ * prefix, every version of the original deleted, and the driver asked to
+ * upload a new copy. If any scan cannot complete, the document stays in
+ * 'scanning' for the sweep to retry.
+ *
+ * Returns the updated document, or the document unchanged if not scanned.
+ */
+async function scanUploadedDocument(db, document, requestId) {
+    const scans = [];
+
+    try {
+        for (const file of await getDocumentFiles(db, document)) {
+            const response = await s3Client.send(new GetObjectCommand({
+                Bucket: file.s3_bucket,
+                Key: file.s3_key,
+                VersionId: file.s3_version_id || undefined
+            }));
+
+            assertReadableSize(document, response);
+            // Streamed to the scanner, never buffered whole
+            scans.push({ file, scan: await scanFile(scanner, response.Body) });
+        }
+    } catch (error) {
+        console.error(`Malware scan failed for document ${document.id}:`, error);
+        await recordScanFailure(db, document.id, error);
+        return document;
+    }
+
+    const infected = scans.filter(entry => entry.scan.status === SCAN_STATUSES.INFECTED);
+
+    for (const entry of infected) {
+        entry.quarantine = await copyToQuarantine(entry.file.s3_bucket, entry.file.s3_key, entry.file.s3_version_id);
+    }
+
+    // The document records the first infected file's result, and the first file's key
+    const scan = infected.length > 0 ? infected[0].scan : scans[0].scan;
+
+    const scanned = await withTransaction(db, async () => {
+        const row = await recordScanResult(db, document.id, scan, scans[0].quarantine);
+
+        if (row) {
+            for (const entry of infected) {
+                await moveDocumentFile(db, entry.file, entry.quarantine.key, entry.quarantine.versionId);
+            }
+
+            await recordDocumentEvent(db, {
+                documentId: row.id,
+                driverId: row.driver_id,
+                tenantId: row.tenant_id,
+                eventType: infected.length > 0 ? EVENT_TYPES.QUARANTINED : EVENT_TYPES.SCANNED,
+                actor: SYSTEM_ACTOR,
+                requestId,
+                before: document,
+                after: row
+            });
+        }
+
+        return row;
+    });
+
+    for (const entry of infected) {
+        if (scanned) {
+            // Versioned bucket: a plain delete would leave the file recoverable
+            const { s3_bucket: bucket, s3_key: key } = entry.file;
+            const deletedVersions = await deleteVersionsUnder(driverDataStorage, bucket, key, candidate => candidate === key);
+            console.log(`Document ${document.id} quarantined: ${entry.scan.signature} found in ${partLabel(entry.file)} by ${entry.scan.provider} (${deletedVersions} object versions deleted)`);
+        } else {
+            await s3Client.send(new DeleteObjectCommand({ Bucket: entry.file.s3_bucket, Key: entry.quarantine.key }));
+        }
+    }
+
+    if (scanned && infected.length > 0) {
+        await notifyQuarantine(db, scanned);
+    }
+
+    return scanned || document;
+}
+
+/**
+ * Generate preview renditions of a document's files and record them
+ *
+ * Each file row records its own renditions; the document records the first
+ * file's. Never fails an upload: errors are recorded in rendition_error and
+ * reviewers fall back to the original files. Renditions of a document
+ * withdrawn meanwhile are deleted again. Returns the first file's
+ * renditions (null if none were generated).
+ */
+async function renderDocumentPreviews(db, document) {
+    if (!renderer) return null;
+
+    const files = (await getDocumentFiles(db, document)).filter(file => RENDITION_SOURCE_TYPES.includes(file.mime_type));
+    if (files.length === 0) return null;
+
+    const rendered = [];
+
+    try {
+        for (const file of files) {
+            const response = await s3Client.send(new GetObjectCommand({
+                Bucket: file.s3_bucket,
+                Key: file.s3_key,
+                VersionId: file.s3_version_id || undefined
+            }));
+
+            assertReadableSize(document, response);
+            const data = Buffer.from(await response.Body.transformToByteArray());
+            rendered.push({ file, renditions: await generateRenditions(renditionStorage, renderer, file, data) });
+        }
+    } catch (error) {
+        console.error(`Failed to generate renditions for document ${document.id}:`, error);
+
+        await db.query(
+            'UPDATE driver_documents SET rendition_error = $2 WHERE id = $1',
+            [document.id, error.message]
+        );
+        return null;
+    }
+
+    const stored = await withTransaction(db, async () => {
+        const result = await db.query(
+            `UPDATE driver_documents
+            SET renditions = $2, renditions_generated_at = NOW(), rendition_error = NULL
+            WHERE id = $1 AND s3_key = $3 AND deleted_at IS NULL
+            RETURNING id`,
+            [document.id, JSON.stringify(rendered[0].renditions), document.s3_key]
+        );
+
+        if (result.rows.length === 0) return false;
+
+        for (const { file, renditions } of rendered.filter(entry => entry.file.id)) {
+            await db.query(
+                'UPDATE driver_document_files SET renditions = $2 WHERE id = $1',
+                [file.id, JSON.stringify(renditions)]
+            );
+        }
+
+        return true;
+    });
+
+    if (!stored) {
+        for (const { file } of rendered) {
+            await deleteVersionsUnder(renditionStorage, file.s3_bucket, renditionPrefix(file.s3_key));
+        }
+        return null;
+    }
+
+    return rendered[0].renditions;
+}
+
+/**
+ * Verify a document's uploaded files and complete its document record
+ *
+ * uploads: [{ file, head }] for every file of the document, in part order
+ * (see headDocumentFiles). Files that fail verification are moved under the
+ * quarantine prefix so they never reach a reviewer, and quarantine the
+ * whole document. Verified documents are then scanned for malware when a
+ * scanner is configured.
+ */
+async function finalizeUpload(db, document, uploads, actor, requestId) {
+    for (const upload of uploads) {
+        upload.verification = await verifyUploadedContent(document, upload.file, upload.head);
+
+        if (upload.verification.reason) {
+            const quarantine = await copyToQuarantine(upload.file.s3_bucket, upload.file.s3_key, upload.head.VersionId);
+            upload.verification.quarantineKey = quarantine.key;
+            upload.verification.quarantineVersionId = quarantine.versionId;
+        }
+    }
+
+    const failed = uploads.filter(upload => upload.verification.reason);
+
+    let completed = await withTransaction(db, async () => {
+        const row = await completeDocumentUpload(db, document.id, uploads, actor.type);
+
+        if (row) {
+            for (const { file, head, verification } of uploads) {
+                await recordFileUpload(db, file, {
+                    head,
+                    detectedMimeType: verification.detectedMimeType,
+                    s3Key: verification.quarantineKey,
+                    s3VersionId: verification.quarantineVersionId
+                });
+            }
+
+            await recordDocumentEvent(db, {
+                documentId: row.id,
+                driverId: row.driver_id,
+                tenantId: row.tenant_id,
+                eventType: failed.length > 0 ? EVENT_TYPES.QUARANTINED : EVENT_TYPES.UPLOADED,
+                actor,
+                requestId,
+                before: document,
+                after: row
+            });
+        }
+
+        return row;
+    });
+
+    for (const { file, verification } of failed) {
+        // Remove whichever copy no longer belongs to the record
+        await s3Client.send(new DeleteObjectCommand({
+            Bucket: file.s3_bucket,
+            Key: completed ? file.s3_key : verification.quarantineKey
+        }));
+
+        if (completed) {
+            console.log(`Document ${document.id} quarantined: ${verification.reason} in ${partLabel(file)} (detected ${verification.detectedMimeType || 'unknown'}, declared ${file.mime_type})`);
+        }
+    }
+
+    if (completed?.status === 'scanning') {
+        completed = await scanUploadedDocument(db, { ...completed, s3_bucket: document.s3_bucket }, requestId);
+    }
+
+    // Neither renditions nor extraction fail an upload: the document stays in the review queue
+    if (completed?.status === 'pending') {
+        await renderDocumentPreviews(db, { ...completed, s3_bucket: document.s3_bucket });
+
+        try {
+            const extracted = await runExtraction(db, { ...completed, s3_bucket: document.s3_bucket }, requestId);
+            return { ...completed, ...extracted };
+        } catch (error) {
+            console.error(`Failed to apply extraction for document ${document.id}:`, error);
+        }
+    }
+
+    return completed;
+}
+
+/**
+ * Copy confidently extracted fields into the document's empty columns and
+ * record the extraction
+ *
+ * prefill keys are EXTRACTED_FIELDS names, which double as column names.
+ */
+async function storeExtraction(db, documentId, extraction, prefill) {
+    const fields = Object.keys(prefill);
+    const assignments = fields.map((field, index) => `${field} = COALESCE(${field}, $${index + 3}),`);
+
+    const query = `
+        UPDATE driver_documents
+        SET
+            ${assignments.join('\n            ')}
+            confidence_score = $2,
+            extraction_status = '${EXTRACTION_STATUSES.COMPLETED}',
+            extraction_error = NULL,
+            extracted_at = NOW(),
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING
+            id, driver_id, tenant_id, document_type, status, document_number, issuing_authority,
+            issue_date, expiry_date, auto_verified, confidence_score
+    `;
+
+    const result = await db.query(query, [documentId, extraction.confidence, ...fields.map(field => prefill[field])]);
+    await recordExtractedFields(db, documentId, extraction, prefill);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Approve a document on the strength of its extraction
+ *
+ * Returns null if the document is no longer awaiting review.
+ */
+async function autoApproveDocument(db, documentId) {
+    const query = `
+        UPDATE driver_documents
+        SET
+            status = 'approved',
+            auto_verified = TRUE,
+            verified_at = NOW(),
+            verified_by = NULL,
+            version = version + 1,
+            updated_at = NOW()
+        WHERE id = $1
+          AND status = ANY($2)
+        RETURNING
+            id, driver_id, tenant_id, document_type, status, document_number, issuing_authority,
+            issue_date, expiry_date, auto_verified, confidence_score, verified_at,
+            s3_key, s3_bucket, s3_lifecycle_tag
+    `;
+
+    const result = await db.query(query, [documentId, transitionSources('auto_approve', ACTORS.SYSTEM)]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Extract fields from an uploaded document, pre-fill the reviewer's form and
+ * approve it automatically where the tenant's extraction settings allow
+ *
+ * Extractor errors are recorded on the document. Returns the updated
+ * document (null if not extracted).
+ */
+async function runExtraction(db, document, requestId) {
+    let extraction;
+
+    try {
+        extraction = await extractDocument(extractor, document);
+    } catch (error) {
+        console.error(`Extraction failed for document ${document.id}:`, error);
+
+        await db.query(
+            `UPDATE driver_documents
+            SET extraction_status = $2, extraction_error = $3, extracted_at = NOW(), updated_at = NOW()
+            WHERE id = $1`,
+            [document.id, EXTRACTION_STATUSES.FAILED, error.message]
+        );
+        return null;
+    }
+
+    if (!extraction) return null;
+
+    const settings = await getExtractionSettings(db, document.tenant_id, document.document_type);
+    const policy = await getDriverPolicy(db, document.driver_id, document.tenant_id);
+    const approvalError = validateApproval(policy, document.document_type, extraction.fields.expiry_date?.value || null);
+    const missing = missingParts(document.document_type, await getDocumentFiles(db, document));
+    const decision = decideExtraction(settings, document.document_type, extraction, approvalError, missing);
+
+    const updated = await withTransaction(db, async () => {
+        const extracted = await storeExtraction(db, document.id, extraction, decision.prefill);
+
+        await recordDocumentEvent(db, {
+            documentId: document.id,
+            driverId: document.driver_id,
+            tenantId: document.tenant_id,
+            eventType: EVENT_TYPES.EXTRACTED,
+            actor: SYSTEM_ACTOR,
+            requestId,
+            before: document,
+            after: extracted
+        });
+
+        if (!decision.autoApprove) return extracted;
+
+        const approved = await autoApproveDocument(db, document.id);
+
+        if (approved) {
+            await recordDocumentEvent(db, {
+                documentId: document.id,
+                driverId: document.driver_id,
+                tenantId: document.tenant_id,
+                eventType: EVENT_TYPES.AUTO_APPROVED,
+                actor: SYSTEM_ACTOR,
+                requestId,
+                before: extracted,
+                after: approved
+            });
+
+            await supersedePriorVersions(db, approved, { actor: SYSTEM_ACTOR, requestId });
+        }
+
+        return approved || extracted;
+    });
+
+    console.log(`Document ${document.id} extracted by ${extraction.provider} (confidence ${extraction.confidence}): ${updated.status === 'approved' ? 'auto-approved' : `left for review (${decision.reason})`}`);
+
+    if (updated.status === 'approved') {
+        await syncLifecycleTags(db, storageLifecycle, [updated]);
+        const verificationStatus = await checkAllDocumentsApproved(db, document.driver_id, document.tenant_id);
+        await notifyAutoApproval(db, updated, verificationStatus);
+    }
+
+    return updated;
+}
+
+/**
+ * Check if all documents required by the driver's compliance policy are
+ * approved and update driver profile
+ */
+async function checkAllDocumentsApproved(db, driverId, tenantId) {
+    const compliance = await evaluateDriverCompliance(db, driverId, tenantId);
+
+    await recordComplianceStatus(db, driverId, compliance);
+
+    if (!compliance.allApproved) {
+        return { allDocumentsApproved: false };
+    }
+
+    const updateQuery = `
+        UPDATE driver_profiles
+        SET
+            documents_complete = TRUE,
+            documents_verified_at = NOW(),
+            status = CASE
+                WHEN status = 'pending_documents' THEN 'active'
+                ELSE status
+            END,
+            updated_at = NOW()
+        WHERE user_id = $1
+    `;
+
+    await db.query(updateQuery, [driverId]);
+    console.log(`All documents approved for driver ${driverId} after automatic approval`);
+
+    return { allDocumentsApproved: true };
+}
+
+/**
+ * Notify the driver of an automatic approval (never throws)
+ */
+async function notifyAutoApproval(db, document, verificationStatus) {
+    const notification = {
+        driverId: document.driver_id,
+        tenantId: document.tenant_id,
+        documentId: document.id,
+        data: { documentType: document.document_type }
+    };
+
+    try {
+        await sendNotification(db, notificationChannels, { ...notification, template: TEMPLATE_NAMES.APPROVED });
+
+        if (verificationStatus.allDocumentsApproved) {
+            await sendNotification(db, notificationChannels, { ...notification, template: TEMPLATE_NAMES.VERIFICATION_COMPLETE });
+        }
+    } catch (error) {
+        console.error(`Failed to notify driver ${document.driver_id} of automatic approval:`, error);
+    }
+}
+
+/**
+ * Mark expired, never-uploaded documents as abandoned
+ */
+async function markDocumentsAbandoned(db, documentIds, requestId) {
+    if (documentIds.length === 0) return [];
+
+    const query = `
+        UPDATE driver_documents
+        SET status = 'abandoned', updated_at = NOW()
+        WHERE id = ANY($1)
+          AND status = ANY($2)
+        RETURNING id, driver_id, tenant_id, document_type, status
+    `;
+
+    const sources = transitionSources('abandon_upload', ACTORS.SYSTEM);
+
+    return withTransaction(db, async () => {
+        const result = await db.query(query, [documentIds, sources]);
+
+        for (const row of result.rows) {
+            await recordDocumentEvent(db, {
+                documentId: row.id,
+                driverId: row.driver_id,
+                tenantId: row.tenant_id,
+                eventType: EVENT_TYPES.ABANDONED,
+                actor: SYSTEM_ACTOR,
+                requestId,
+                before: { status: 'awaiting_upload' },
+                after: row
+            });
+        }
+
+        return result.rows;
+    });
+}
+
+/**
+ * Read the files of an upload request, in part order: the files array of
+ * multi-file documents, or the single file described by the body itself
+ */
+function parseUploadFiles(body) {
+    const files = Array.isArray(body.files) && body.files.length > 0 ? body.files : [body];
+
+    return files.map(file => ({
+        fileName: file.fileName || file.file_name,
+        contentType: file.contentType || file.content_type,
+        fileSize: file.fileSize || file.file_size,
+    }));
+}
+
+/**
+ * Describe the files a document type takes, for validation errors
+ */
+function describeFileSet(documentType) {
+    const { maxFiles, partNames } = getFileSet(documentType);
+
+    if (partNames) return `${documentType} requires ${partNames.length} files: ${partNames.join(', ')}`;
+    if (maxFiles > 1) return `${documentType} accepts 1 to ${maxFiles} files`;
+    return `${documentType} accepts a single file`;
+}
+
+/**
+ * Handle POST /drivers/documents/upload
+ *
+ * Multi-file documents list their parts in files: [{ file_name,
+ * content_type, file_size }] and get a presigned upload per file.
+ */
+async function handleUploadRequest(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.UPLOAD_OWN_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.UPLOAD_OWN_DOCUMENTS);
+    }
+
+    const body = JSON.parse(event.body || '{}');
+
+    // Validate required fields - support both snake_case (from client) and camelCase
+    const documentType = body.documentType || body.document_type;
+    const files = parseUploadFiles(body);
+    const requestedUploadMode = body.uploadMode || body.upload_mode;
+    const uploadMode = UPLOAD_MODE;
+
+    if (!documentType || files.some(file => !file.fileName || !file.contentType)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({
+                error: 'Missing required fields: document_type, file_name, content_type'
+            })
+        };
+    }
+
+    // Validate document type
+    const typeConfig = getDocumentTypeConfig(documentType);
+    if (!typeConfig || typeConfig.replacedBy) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({
+                error: typeConfig
+                    ? `${documentType} is no longer uploaded separately. Upload it as part of ${typeConfig.replacedBy}`
+                    : `Invalid documentType. Must be one of: ${uploadableDocumentTypes().join(', ')}`
+            })
+        };
+    }
+
+    // Validate the number of files
+    const fileSet = getFileSet(documentType);
+    if (files.length < fileSet.minFiles || files.length > fileSet.maxFiles) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: describeFileSet(documentType) })
+        };
+    }
+
+    for (const { contentType, fileSize } of files) {
+        // Validate content type
+        if (!typeConfig.allowedMimeTypes.includes(contentType)) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    error: `Invalid content_type for ${documentType}. Must be one of: ${typeConfig.allowedMimeTypes.join(', ')}`
+                })
+            };
+        }
+
+        // Validate declared file size (enforced by S3 in 'post' mode)
+        if (fileSize && fileSize > typeConfig.maxSizeBytes) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    error: `File size exceeds ${typeConfig.maxSizeBytes / (1024 * 1024)}MB limit`
+                })
+            };
+        }
+    }
+
+    // The upload mode is the deployment's; clients may only restate it
+    if (requestedUploadMode && requestedUploadMode !== uploadMode) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({
+                error: `Invalid upload_mode. Uploads use ${uploadMode}`
+            })
+        };
+    }
+
+    const idempotencyKey = getIdempotencyKey(event.headers);
+    if (idempotencyKey !== null && !isValidIdempotencyKey(idempotencyKey)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({
+                error: 'Invalid Idempotency-Key header. Must be 1-255 printable characters without spaces'
+            })
+        };
+    }
+
+    const requestHash = idempotencyKey
+        ? hashUploadRequest({ documentType, files, uploadMode })
+        : null;
+
+    // Create database record, or find the one an earlier request with the key created
+    const db = await getDbConnection();
+    const { document, documentFiles, existing } = await withTransaction(db, async () => {
+        if (idempotencyKey) {
+            const record = await findIdempotencyRecord(db, user.userId, idempotencyKey);
+            if (record) return { existing: record };
+        }
+
+        const { versionNumber, replacesDocumentId } = await prepareNewVersion(db, user.userId, user.tenantId, documentType);
+
+        const { document: created, files: createdFiles } = await createDocumentRecord(db, {
+            driverId: user.userId,
+            tenantId: user.tenantId,
+            documentType,
+            documentCategory: getDocumentCategory(documentType),
+            files: files.map((file, index) => ({
+                s3Key: buildDocumentKey(user.userId, documentType, file.fileName, user.tenantId, files.length > 1 ? index + 1 : null),
+                fileName: file.fileName,
+                fileSize: file.fileSize || 0,
+                mimeType: file.contentType,
+            })),
+            versionNumber,
+            replacesDocumentId,
+        });
+
+        await recordDocumentEvent(db, {
+            documentId: created.id,
+            driverId: created.driver_id,
+            tenantId: created.tenant_id,
+            eventType: EVENT_TYPES.CREATED,
+            actor: { type: ACTORS.DRIVER, id: user.userId },
+            requestId: event.requestContext?.requestId,
+            after: created
+        });
+
+        if (idempotencyKey) {
+            await saveIdempotencyRecord(db, {
+                driverId: user.userId,
+                tenantId: user.tenantId,
+                key: idempotencyKey,
+                requestHash,
+                documentId: created.id
+            }, IDEMPOTENCY_KEY_TTL_HOURS);
+        }
+
+        return { document: created, documentFiles: createdFiles };
+    });
+
+    if (existing) {
+        return replayUploadRequest(db, existing, { requestHash, uploadMode, typeConfig, files, user });
+    }
+
+    console.log(`Document record created: ${document.id} (${documentType} v${document.version_number}, ${documentFiles.length} file(s)) for driver ${user.userId}`);
+
+    const uploads = await generatePresignedUploads(documentFiles, files, { documentType, user, uploadMode });
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify(buildUploadResponse(document, documentFiles, uploads, uploadMode, typeConfig))
+    };
+}
+
+/**
+ * Generate a presigned upload per file of a document, in part order
+ *
+ * files: the request's files, for their declared content types
+ */
+async function generatePresignedUploads(documentFiles, files, { documentType, user, uploadMode }) {
+    const uploads = [];
+
+    for (const [index, documentFile] of documentFiles.entries()) {
+        uploads.push(await generatePresignedUpload(documentFile.s3_key, {
+            driverId: user.userId,
+            documentType,
+            contentType: files[index].contentType,
+            tenantId: user.tenantId,
+            uploadMode
+        }));
+    }
+
+    return uploads;
+}
+
+/**
+ * Body of a successful upload request
+ *
+ * The top-level URL uploads the first file; files lists the upload of every
+ * file, the first included.
+ */
+function buildUploadResponse(document, documentFiles, uploads, uploadMode, typeConfig) {
+    const multiFile = documentFiles.length > 1;
+
+    let instructions;
+    if (uploadMode === 'post') {
+        instructions = multiFile
+            ? 'Use POST multipart/form-data to each file\'s upload_url with its upload_fields followed by the file field, then POST to complete_url'
+            : 'Use POST multipart/form-data to upload_url with upload_fields followed by the file field, then POST to complete_url';
+    } else {
+        instructions = multiFile
+            ? 'Use PUT method to upload each file to its presigned_url, then POST to complete_url'
+            : 'Use PUT method to upload file to presigned_url, then POST to complete_url';
+    }
+
+    return {
+        upload_mode: uploadMode,
+        presigned_url: uploads[0].uploadUrl,
+        upload_url: uploads[0].uploadUrl, // Alias for backward compatibility
+        upload_fields: uploads[0].uploadFields,
+        max_file_size_bytes: typeConfig.maxSizeBytes,
+        document_id: document.id,
+        version_number: document.version_number,
+        replaces_document_id: document.replaces_document_id,
+        s3_key: document.s3_key,
+        status: document.status,
+        files: documentFiles.map((file, index) => ({
+            part_number: file.part_number,
+            part_name: file.part_name,
+            file_name: file.file_name,
+            s3_key: file.s3_key,
+            presigned_url: uploads[index].uploadUrl,
+            upload_url: uploads[index].uploadUrl,
+            upload_fields: uploads[index].uploadFields
+        })),
+        expires_in: UPLOAD_URL_EXPIRES_IN,
+        complete_url: `/drivers/documents/${document.id}/complete`,
+        instructions
+    };
+}
+
+/**
+ * Answer a retried upload request from its Idempotency-Key record
+ *
+ * The same request gets the original document and freshly signed URLs for
+ * the same S3 keys, as long as the files have not been uploaded yet. A
+ * different request with the key is refused with 422.
+ */
+async function replayUploadRequest(db, record, { requestHash, uploadMode, typeConfig, files, user }) {
+    if (record.request_hash !== requestHash) {
+        return {
+            statusCode: 422,
+            body: JSON.stringify({
+                error: 'Idempotency-Key was already used with a different upload request'
+            })
+        };
+    }
+
+    // Never hand out a new URL that could overwrite a file already received
+    if (!transitionSources('complete_upload', ACTORS.DRIVER).includes(record.status)) {
+        return {
+            statusCode: 409,
+            body: JSON.stringify({
+                error: 'The upload for this Idempotency-Key has already been received',
+                document_id: record.document_id,
+                status: record.status
+            })
+        };
+    }
+
+    // Keep the upload sweep from abandoning the document while the new URL is valid
+    await db.query(
+        `UPDATE driver_documents
+        SET upload_expires_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+        WHERE id = $1 AND status = 'awaiting_upload'`,
+        [record.document_id, UPLOAD_URL_EXPIRES_IN]
+    );
+
+    const document = { ...record, id: record.document_id };
+    const documentFiles = await getDocumentFiles(db, document);
+    const uploads = await generatePresignedUploads(documentFiles, files, { documentType: record.document_type, user, uploadMode });
+
+    console.log(`Upload request replayed for Idempotency-Key: document ${record.document_id} (${record.status})`);
+
+    return {
+        statusCode: 200,
+        headers: { 'Idempotent-Replayed': 'true' },
+        body: JSON.stringify(buildUploadResponse(document, documentFiles, uploads, uploadMode, typeConfig))
+    };
+}
+
+/**
+ * Handle POST /drivers/documents/{documentId}/complete
+ *
+ * Fallback for clients that need confirmation without waiting for the S3 event.
+ */
+async function handleCompleteUpload(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.UPLOAD_OWN_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.UPLOAD_OWN_DOCUMENTS);
+    }
+
+    const documentId = event.pathParameters?.documentId;
+
+    if (!documentId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Missing documentId' })
+        };
+    }
+
+    const db = await getDbConnection();
+
+    const query = `
+        SELECT
+            id, driver_id, tenant_id, document_type, s3_key, s3_bucket, mime_type,
+            status, quarantine_reason, file_size_bytes, uploaded_at
+        FROM driver_documents
+        WHERE id = $1 AND driver_id = $2 AND tenant_id = $3
+    `;
+
+    const result = await db.query(query, [documentId, user.userId, user.tenantId]);
+
+    if (result.rows.length === 0) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Document not found' })
+        };
+    }
+
+    const document = result.rows[0];
+
+    // Already completed (e.g. by the S3 event) - nothing to do
+    if (!canTransition(document.status, 'pending', ACTORS.DRIVER)) {
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                document_id: document.id,
+                status: document.status,
+                quarantine_reason: document.quarantine_reason,
+                file_size_bytes: parseInt(document.file_size_bytes) || 0,
+                uploaded_at: document.uploaded_at
+            })
+        };
+    }
+
+    const uploads = await headDocumentFiles(await getDocumentFiles(db, document));
+    const missing = uploads.filter(upload => !upload.head);
+
+    if (missing.length > 0) {
+        return {
+            statusCode: 409,
+            body: JSON.stringify(uploads.length > 1
+                ? { error: 'Not every file has been uploaded yet', missing_parts: missing.map(upload => partLabel(upload.file)) }
+                : { error: 'File has not been uploaded yet' })
+        };
+    }
+
+    const actor = { type: ACTORS.DRIVER, id: user.userId };
+    const completed = await finalizeUpload(db, document, uploads, actor, event.requestContext?.requestId) || document;
+    console.log(`Upload completed via API: ${document.id} (${uploads.length} file(s))`);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            document_id: completed.id,
+            status: completed.status,
+            quarantine_reason: completed.quarantine_reason,
+            auto_verified: completed.auto_verified === true,
+            file_size_bytes: parseInt(completed.file_size_bytes) || 0,
+            uploaded_at: completed.uploaded_at
+        })
+    };
+}
+
+/**
+ * Handle S3 ObjectCreated events for uploaded documents
+ */
+async function handleS3UploadEvent(event, requestId) {
+    const db = await getDbConnection();
+    const results = { completed: 0, ignored: 0 };
+
+    for (const record of event.Records) {
+        if (!record.eventName?.startsWith('ObjectCreated')) {
+            results.ignored++;
+            continue;
+        }
+
+        const bucket = record.s3.bucket.name;
+        // S3 event keys are URL-encoded with '+' for spaces
+        const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+
+        // Quarantine copies and renditions are written by this Lambda, not uploaded
+        if (key.startsWith(QUARANTINE_PREFIX) || isRenditionKey(key)) {
+            results.ignored++;
+            continue;
+        }
+
+        // The key's prefix names the tenant; only that tenant's record may claim it
+        const tenantId = tenantFromKey(key);
+
+        if (!tenantId) {
+            console.log(`Ignoring object outside any tenant prefix: s3://${bucket}/${key}`);
+            results.ignored++;
+            continue;
+        }
+
+        await setTenantContext(db, { tenantId });
+
+        // The key is the document's first file, or another file of its set
+        const query = `
+            SELECT d.id, d.driver_id, d.tenant_id, d.document_type, d.s3_key, d.s3_bucket, d.mime_type, d.status
+            FROM driver_documents d
+            WHERE d.tenant_id = $3
+              AND d.status = ANY($4)
+              AND (
+                  (d.s3_bucket = $1 AND d.s3_key = $2)
+                  OR EXISTS (
+                      SELECT 1
+                      FROM driver_document_files f
+                      WHERE f.document_id = d.id AND f.s3_bucket = $1 AND f.s3_key = $2
+                  )
+              )
+        `;
+
+        const result = await db.query(query, [bucket, key, tenantId, transitionSources('complete_upload', ACTORS.SYSTEM)]);
+
+        if (result.rows.length === 0) {
+            console.log(`No document awaiting upload for s3://${bucket}/${key}`);
+            results.ignored++;
+            continue;
+        }
+
+        const document = result.rows[0];
+        const uploads = await headDocumentFiles(await getDocumentFiles(db, document));
+        const missing = uploads.filter(upload => !upload.head);
+
+        // The event of the set's last file completes it
+        if (missing.length > 0) {
+            console.log(`Document ${document.id} still awaiting ${missing.map(upload => partLabel(upload.file)).join(', ')} (s3://${bucket}/${key})`);
+            results.ignored++;
+            continue;
+        }
+
+        const completed = await finalizeUpload(db, document, uploads, SYSTEM_ACTOR, requestId);
+
+        if (completed) {
+            console.log(`Upload completed via S3 event: ${completed.id} (${uploads.length} file(s))`);
+            results.completed++;
+        } else {
+            results.ignored++;
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Rescan documents whose malware scan failed (or never ran, e.g. the
+ * Lambda timed out mid-scan), returning how many left 'scanning'
+ *
+ * Documents stay in 'scanning' while no scanner is configured.
+ */
+async function retryPendingScans(db, requestId) {
+    if (!scanner) return 0;
+
+    const query = `
+        SELECT
+            id, driver_id, tenant_id, document_type, status, s3_key, s3_version_id, s3_bucket, mime_type,
+            checksum_sha256, quarantine_reason, file_size_bytes, uploaded_at, created_at
+        FROM driver_documents
+        WHERE status = 'scanning'
+          AND COALESCE(scanned_at, uploaded_at) < NOW() - make_interval(mins => $1)
+        ORDER BY uploaded_at ASC
+        LIMIT 500
+    `;
+
+    const result = await db.query(query, [SCAN_RETRY_MINUTES]);
+    let rescanned = 0;
+
+    for (const document of result.rows) {
+        if (!isTenantKey(document.s3_key, document.tenant_id)) {
+            console.error(`Skipping document ${document.id}: key outside tenant prefix`);
+            continue;
+        }
+
+        const scanned = await scanUploadedDocument(db, document, requestId);
+        if (scanned.status === 'scanning') continue;
+
+        rescanned++;
+
+        if (scanned.status === 'pending') {
+            await renderDocumentPreviews(db, { ...scanned, s3_bucket: document.s3_bucket });
+
+            try {
+                await runExtraction(db, { ...scanned, s3_bucket: document.s3_bucket }, requestId);
+            } catch (error) {
+                console.error(`Failed to apply extraction for document ${document.id}:`, error);
+            }
+        }
+    }
+
+    return rescanned;
+}
+
+/**
+ * Generate renditions for viewable documents that have none and no
+ * recorded failure (uploaded before renditions were enabled, or the Lambda
+ * timed out mid-render), newest first, returning how many were generated
+ */
+async function backfillRenditions(db) {
+    if (!renderer) return 0;
+
+    // Skip recent uploads, whose renditions may still be in progress
+    const query = `
+        SELECT id, driver_id, tenant_id, document_type, status, s3_key, s3_version_id, s3_bucket, mime_type
+        FROM driver_documents
+        WHERE status = ANY($1)
+          AND mime_type = ANY($2)
+          AND renditions IS NULL
+          AND rendition_error IS NULL
+          AND deleted_at IS NULL
+          AND uploaded_at < NOW() - INTERVAL '15 minutes'
+        ORDER BY uploaded_at DESC
+        LIMIT $3
+    `;
+
+    const result = await db.query(query, [VIEWABLE_STATUSES, RENDITION_SOURCE_TYPES, RENDITION_BACKFILL_LIMIT]);
+    let rendered = 0;
+
+    for (const document of result.rows) {
+        if (!isTenantKey(document.s3_key, document.tenant_id)) {
+            console.error(`Skipping document ${document.id}: key outside tenant prefix`);
+            continue;
+        }
+
+        if (await renderDocumentPreviews(db, document)) {
+            rendered++;
+        }
+    }
+
+    return rendered;
+}
+
+/**
+ * Delete the files of withdrawn documents whose deletion failed after the
+ * withdrawal committed, returning how many documents were cleaned up
+ */
+async function retryWithdrawnFileDeletions(db) {
+    // Skip recent withdrawals, whose files may still be being deleted
+    const query = `
+        SELECT id, driver_id, tenant_id, status, s3_key, s3_version_id, s3_bucket, file_name, mime_type
+        FROM driver_documents
+        WHERE status = 'withdrawn'
+          AND files_deleted_at IS NULL
+          AND deleted_at < NOW() - INTERVAL '15 minutes'
+        ORDER BY deleted_at ASC
+        LIMIT 500
+    `;
+
+    const result = await db.query(query);
+    let cleaned = 0;
+
+    for (const document of result.rows) {
+        try {
+            const deletedVersions = await deleteWithdrawnFiles(db, document, await getDocumentFiles(db, document));
+            console.log(`Deleted files of withdrawn document ${document.id} (${deletedVersions} object versions)`);
+            cleaned++;
+        } catch (error) {
+            console.error(`Failed to delete files of withdrawn document ${document.id}:`, error);
+        }
+    }
+
+    return cleaned;
+}
+
+/**
+ * Scheduled sweep of documents whose presigned URL expired without an upload
+ *
+ * Documents whose files all arrived (e.g. a missed S3 event) are completed
+ * instead. Failed malware scans are retried, missing renditions generated,
+ * files of withdrawn documents deleted where that failed, and expired
+ * Idempotency-Key records deleted in the same run.
+ */
+async function sweepAbandonedUploads(requestId) {
+    const db = await getDbConnection();
+
+    // System sweep spans tenants; each document's key is still checked against its tenant
+    await setTenantContext(db, { platform: true });
+
+    const query = `
+        SELECT id, driver_id, tenant_id, document_type, s3_key, s3_bucket, mime_type, status
+        FROM driver_documents
+        WHERE status = ANY($1)
+          AND upload_expires_at < NOW() - make_interval(mins => $2)
+        ORDER BY upload_expires_at ASC
+        LIMIT 500
+    `;
+
+    const result = await db.query(query, [transitionSources('abandon_upload', ACTORS.SYSTEM), ABANDON_GRACE_MINUTES]);
+
+    const abandonedIds = [];
+    let completed = 0;
+
+    for (const document of result.rows) {
+        if (!isTenantKey(document.s3_key, document.tenant_id)) {
+            console.error(`Skipping document ${document.id}: key outside tenant prefix`);
+            continue;
+        }
+
+        // A set missing any file is abandoned; a late upload of the rest still completes it
+        const uploads = await headDocumentFiles(await getDocumentFiles(db, document));
+
+        if (uploads.every(upload => upload.head)) {
+            if (await finalizeUpload(db, document, uploads, SYSTEM_ACTOR, requestId)) {
+                completed++;
+            }
+        } else {
+            abandonedIds.push(document.id);
+        }
+    }
+
+    const abandoned = await markDocumentsAbandoned(db, abandonedIds, requestId);
+    const rescanned = await retryPendingScans(db, requestId);
+    const rendered = await backfillRenditions(db);
+    const cleaned = await retryWithdrawnFileDeletions(db);
+    const expiredKeys = await deleteExpiredIdempotencyKeys(db);
+    console.log(`Upload sweep: ${abandoned.length} abandoned, ${completed} completed from missed events, ${rescanned} rescanned, ${rendered} rendered, ${cleaned} withdrawn cleaned up, ${expiredKeys} idempotency keys expired`);
+
+    return { abandoned: abandoned.length, completed, rescanned, rendered, withdrawnCleaned: cleaned, expiredIdempotencyKeys: expiredKeys };
+}
+
+/**
+ * Handle GET /drivers/documents
+ */
+async function handleListDocuments(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.VIEW_OWN_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.VIEW_OWN_DOCUMENTS);
+    }
+
+    const db = await getDbConnection();
+
+    const query = `
+        SELECT
+            id, driver_id, tenant_id, document_type, document_category,
+            s3_key, s3_bucket, file_name, file_size_bytes, mime_type,
+            document_number, issuing_authority, issue_date, expiry_date,
+            status, verified_at, verified_by, auto_verified, confidence_score,
+            rejection_reason, quarantine_reason, notes, uploaded_at, created_at, updated_at,
+            version_number, replaces_document_id, superseded_by_document_id, superseded_at, file_count
+        FROM driver_documents
+        WHERE driver_id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+        ORDER BY created_at DESC
+    `;
+
+    const result = await db.query(query, [user.userId, user.tenantId]);
+
+    // Ensure proper type casting for JSON serialization
+    const documents = result.rows.map(doc => ({
+        ...doc,
+        file_size_bytes: parseInt(doc.file_size_bytes) || 0,
+        auto_verified: doc.auto_verified === true || doc.auto_verified === 'true',
+        confidence_score: doc.confidence_score ? parseFloat(doc.confidence_score) : null
+    }));
+
+    const groups = groupDocumentVersions(documents);
+    const activeIds = new Set(groups.map(group => group.active_document_id));
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            documents: documents.map(doc => ({ ...doc, is_active: activeIds.has(doc.id) })),
+            total: documents.length,
+            // Versions per document type, newest first, with the one in force
+            document_types: groups.map(group => ({
+                document_type: group.document_type,
+                active_document_id: group.active_document_id,
+                versions: group.versions.map(doc => ({
+                    id: doc.id,
+                    version_number: doc.version_number,
+                    status: doc.status,
+                    replaces_document_id: doc.replaces_document_id,
+                    superseded_at: doc.superseded_at,
+                    uploaded_at: doc.uploaded_at,
+                    created_at: doc.created_at
+                }))
+            }))
+        })
+    };
+}
+
+/**
+ * Get a single document owned by the driver in their tenant (null if not found)
+ */
+async function getDriverDocument(db, documentId, driverId, tenantId) {
+    const query = `
+        SELECT
+            id, driver_id, tenant_id, document_type, document_category,
+            s3_key, s3_version_id, s3_bucket, file_name, file_size_bytes, mime_type,
+            document_number, issuing_authority, issue_date, expiry_date,
+            status, verified_at, verified_by, auto_verified, confidence_score,
+            rejection_reason, quarantine_reason, notes, uploaded_at, created_at, updated_at,
+            version_number, replaces_document_id, superseded_by_document_id, superseded_at,
+            file_count, renditions
+        FROM driver_documents
+        WHERE id = $1 AND driver_id = $2 AND tenant_id = $3 AND deleted_at IS NULL
+    `;
+
+    const result = await db.query(query, [documentId, driverId, tenantId]);
+    return result.rows[0] || null;
 }
 
 /**
- * Get or create database connection
+ * Handle GET /drivers/documents/{documentId}
+ *
+ * The top-level URLs are the first file's; files lists every file with its
+ * own. Query params: disposition=inline|attachment (default inline)
  */
-async function getDbConnection() {
-    if (!dbClient || dbClient._ending) {
-        const credentials = await getDbCredentials();
+async function handleGetDocument(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.VIEW_OWN_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.VIEW_OWN_DOCUMENTS);
+    }
 
-        dbClient = new Client({
-            host: RDS_PROXY_ENDPOINT,
-            port: 5432,
-            database: DATABASE_NAME,
-            user: credentials.username,
-            password: credentials.password,
-            ssl: { rejectUnauthorized: false },
-            connectionTimeoutMillis: 5000,
-            query_timeout: 10000,
-        });
+    const documentId = event.pathParameters?.documentId;
+    const disposition = event.queryStringParameters?.disposition || 'inline';
 
-        await dbClient.connect();
-        console.log('Database connection established');
+    if (!documentId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Missing documentId' })
+        };
     }
 
-    return dbClient;
-}
+    if (!DISPOSITIONS.includes(disposition)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Invalid disposition. Must be one of: ${DISPOSITIONS.join(', ')}` })
+        };
+    }
 
-/**
- * Extract user info from JWT claims
- */
-function extractUserFromEvent(event) {
-    const claims = event.requestContext?.authorizer?.jwt?.claims;
-    if (!claims) {
-        throw new Error('Missing JWT claims');
+    const db = await getDbConnection();
+    const document = await getDriverDocument(db, documentId, user.userId, user.tenantId);
+
+    if (!document) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Document not found' })
+        };
+    }
+
+    // No URL for documents without a viewable file
+    const viewable = VIEWABLE_STATUSES.includes(document.status);
+    const viewUrl = viewable ? await generateViewUrl(document, disposition, user.tenantId) : null;
+
+    const files = [];
+    for (const file of await getDocumentFiles(db, document)) {
+        files.push({
+            ...describeFile(file),
+            viewUrl: viewable ? await generateViewUrl(file, disposition, user.tenantId) : null,
+            previewUrls: await generatePreviewUrls({ ...file, status: document.status }, user.tenantId)
+        });
     }
 
     return {
-        userId: claims.sub,
-        email: claims.email,
-        tenantId: claims['custom:tenant_id'] || null,
+        statusCode: 200,
+        body: JSON.stringify({
+            ...document,
+            viewUrl,
+            viewUrlExpiresIn: viewUrl ? VIEW_URL_EXPIRES_IN : null,
+            // Downsized JPEGs of the file (first page of a PDF); null until generated
+            previewUrls: await generatePreviewUrls(document, user.tenantId),
+            files
+        })
     };
 }
 
 /**
- * Generate presigned S3 URL for document upload
+ * Handle GET /drivers/documents/{documentId}/download
+ *
+ * Redirects to a presigned GET URL. Query params: disposition=inline|attachment (default attachment),
+ * part=n (file of a multi-file document, default 1)
  */
-async function generatePresignedUrl(driverId, documentType, fileName, contentType, tenantId) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0] + '_' + Date.now();
-    const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9._-]/g, '_');
+async function handleDownloadDocument(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.VIEW_OWN_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.VIEW_OWN_DOCUMENTS);
+    }
 
-    // S3 key format: {tenant_id}/{driver_id}/{document_type}/{timestamp}_{filename}
-    const s3Key = tenantId
-        ? `${tenantId}/${driverId}/${documentType}/${timestamp}_${sanitizedFileName}`
-        : `${driverId}/${documentType}/${timestamp}_${sanitizedFileName}`;
+    const documentId = event.pathParameters?.documentId;
+    const disposition = event.queryStringParameters?.disposition || 'attachment';
+    const part = event.queryStringParameters?.part || '1';
 
-    const metadata = {
-        'driver-id': driverId,
-        'document-type': documentType,
-        'uploaded-at': new Date().toISOString(),
-    };
+    if (!documentId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Missing documentId' })
+        };
+    }
 
-    // Only add tenant-id if it exists (S3 metadata values must be strings, not null)
-    if (tenantId) {
-        metadata['tenant-id'] = tenantId;
+    if (!DISPOSITIONS.includes(disposition)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Invalid disposition. Must be one of: ${DISPOSITIONS.join(', ')}` })
+        };
     }
 
-    const command = new PutObjectCommand({
-        Bucket: DOCUMENTS_BUCKET,
-        Key: s3Key,
-        ContentType: contentType,
-        Metadata: metadata
-    });
+    if (!/^[1-9][0-9]*$/.test(part)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Invalid part. Must be a positive integer' })
+        };
+    }
 
-    // Generate presigned URL valid for 15 minutes
-    const presignedUrl = await getSignedUrl(s3Client, command, { expiresIn: 900 });
+    const db = await getDbConnection();
+    const document = await getDriverDocument(db, documentId, user.userId, user.tenantId);
 
-    return { presignedUrl, s3Key };
-}
+    if (!document) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Document not found' })
+        };
+    }
 
-/**
- * Create document metadata record in database
- */
-async function createDocumentRecord(db, documentData) {
-    const query = `
-        INSERT INTO driver_documents (
-            driver_id, tenant_id, document_type, document_category,
-            s3_key, s3_bucket, file_name, file_size_bytes, mime_type,
-            status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        RETURNING id, created_at
-    `;
+    if (!VIEWABLE_STATUSES.includes(document.status)) {
+        return {
+            statusCode: 409,
+            body: JSON.stringify({ error: `Document file is not available (status: ${document.status})` })
+        };
+    }
 
-    const values = [
-        documentData.driverId,
-        documentData.tenantId,
-        documentData.documentType,
-        documentData.documentCategory,
-        documentData.s3Key,
-        DOCUMENTS_BUCKET,
-        documentData.fileName,
-        documentData.fileSize || 0,
-        documentData.mimeType,
-        'pending'
-    ];
+    const file = (await getDocumentFiles(db, document)).find(candidate => candidate.part_number === parseInt(part, 10));
 
-    const result = await db.query(query, values);
-    return result.rows[0];
-}
+    if (!file) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Document part not found' })
+        };
+    }
 
-/**
- * Get document category from type
- */
-function getDocumentCategory(documentType) {
-    const categoryMap = {
-        'license': 'identity',
-        'license_back': 'identity',
-        'profile_photo': 'identity',
-        'insurance': 'vehicle',
-        'registration': 'vehicle',
-        'inspection': 'compliance',
+    return {
+        statusCode: 302,
+        headers: { Location: await generateViewUrl(file, disposition, user.tenantId) },
+        body: ''
     };
-
-    return categoryMap[documentType] || 'identity';
 }
 
 /**
- * Handle POST /drivers/documents/upload
+ * Handle DELETE /drivers/documents/{documentId}
+ *
+ * Withdraws a pending or rejected upload, such as a photo of the wrong card:
+ * the row is soft-deleted, then every S3 version of its files is deleted
+ * (retried by the upload sweep if S3 fails). An approved document can only
+ * be replaced by a new upload, so a driver never drops out of compliance by
+ * deleting one.
  */
-async function handleUploadRequest(event, user) {
-    const body = JSON.parse(event.body || '{}');
+async function handleDeleteDocument(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.UPLOAD_OWN_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.UPLOAD_OWN_DOCUMENTS);
+    }
 
-    // Validate required fields - support both snake_case (from client) and camelCase
-    const documentType = body.documentType || body.document_type;
-    const fileName = body.fileName || body.file_name;
-    const contentType = body.contentType || body.content_type;
-    const fileSize = body.fileSize || body.file_size;
+    const documentId = event.pathParameters?.documentId;
 
-    if (!documentType || !fileName || !contentType) {
+    if (!documentId) {
         return {
             statusCode: 400,
-            body: JSON.stringify({
-                error: 'Missing required fields: document_type, file_name, content_type'
-            })
+            body: JSON.stringify({ error: 'Missing documentId' })
         };
     }
 
-    // Validate document type
-    const validTypes = ['license', 'license_back', 'insurance', 'registration', 'inspection', 'profile_photo'];
-    if (!validTypes.includes(documentType)) {
+    const db = await getDbConnection();
+    const document = await getDriverDocument(db, documentId, user.userId, user.tenantId);
+
+    if (!document) {
         return {
-            statusCode: 400,
-            body: JSON.stringify({
-                error: `Invalid documentType. Must be one of: ${validTypes.join(', ')}`
-            })
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Document not found' })
         };
     }
 
-    // Validate file size (max 10MB)
-    if (fileSize && fileSize > 10 * 1024 * 1024) {
+    if (!canTransition(document.status, 'withdrawn', ACTORS.DRIVER)) {
+        const error = document.status === 'approved'
+            ? 'Approved documents cannot be deleted. Upload a replacement instead.'
+            : `Document cannot be deleted (status: ${document.status})`;
+
         return {
-            statusCode: 400,
-            body: JSON.stringify({ error: 'File size exceeds 10MB limit' })
+            statusCode: 409,
+            body: JSON.stringify({ error, status: document.status })
         };
     }
 
-    // Generate presigned URL
-    const { presignedUrl, s3Key } = await generatePresignedUrl(
-        user.userId,
-        documentType,
-        fileName,
-        contentType,
-        user.tenantId
-    );
+    const files = await getDocumentFiles(db, document);
+
+    const withdrawn = await withTransaction(db, async () => {
+        const row = await markDocumentWithdrawn(db, documentId, user.userId);
+        if (!row) return null;
+
+        await recordDocumentEvent(db, {
+            documentId,
+            driverId: row.driver_id,
+            tenantId: row.tenant_id,
+            eventType: EVENT_TYPES.DELETED,
+            actor: { type: ACTORS.DRIVER, id: user.userId },
+            requestId: event.requestContext?.requestId,
+            before: document,
+            after: row
+        });
 
-    // Create database record
-    const db = await getDbConnection();
-    const document = await createDocumentRecord(db, {
-        driverId: user.userId,
-        tenantId: user.tenantId,
-        documentType,
-        documentCategory: getDocumentCategory(documentType),
-        s3Key,
-        fileName,
-        fileSize: fileSize || 0,
-        mimeType: contentType,
+        return row;
     });
 
-    console.log(`Document record created: ${document.id} for driver ${user.userId}`);
+    // Claimed by a reviewer (or withdrawn) since it was read
+    if (!withdrawn) {
+        return {
+            statusCode: 409,
+            body: JSON.stringify({ error: 'Document was modified and can no longer be deleted. Reload and try again.' })
+        };
+    }
+
+    // After the commit: the files are only deleted once the document is gone for good
+    try {
+        const deletedVersions = await deleteWithdrawnFiles(db, withdrawn, files);
+        console.log(`Document withdrawn by driver: ${documentId} (${deletedVersions} object versions deleted)`);
+    } catch (error) {
+        console.error(`Document ${documentId} withdrawn, but deleting its files failed; the upload sweep retries:`, error);
+    }
 
     return {
         statusCode: 200,
         body: JSON.stringify({
-            presigned_url: presignedUrl,
-            upload_url: presignedUrl, // Alias for backward compatibility
-            document_id: document.id,
-            s3_key: s3Key,
-            expires_in: 900,
-            instructions: 'Use PUT method to upload file to presigned_url'
+            document_id: withdrawn.id,
+            status: withdrawn.status,
+            deleted_at: withdrawn.deleted_at
         })
     };
 }
 
 /**
- * Handle GET /drivers/documents
+ * Handle POST /drivers/documents/export
+ *
+ * Bundles the driver's documents (metadata, history and files) into a ZIP
+ * archive with a manifest.json and returns a presigned download URL. The
+ * archive itself expires through the bucket's lifecycle rules.
  */
-async function handleListDocuments(event, user) {
+async function handleExportDocuments(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.VIEW_OWN_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.VIEW_OWN_DOCUMENTS);
+    }
+
     const db = await getDbConnection();
 
-    const query = `
-        SELECT
-            id, driver_id, tenant_id, document_type, document_category,
-            s3_key, s3_bucket, file_name, file_size_bytes, mime_type,
-            document_number, issuing_authority, issue_date, expiry_date,
-            status, verified_at, verified_by, auto_verified, confidence_score,
-            rejection_reason, notes, created_at, updated_at
-        FROM driver_documents
-        WHERE driver_id = $1
-        ORDER BY created_at DESC
-    `;
+    let exported;
+    try {
+        exported = await createDriverExport(db, driverDataStorage, {
+            driverId: user.userId,
+            tenantId: user.tenantId,
+            maxBytes: EXPORT_MAX_BYTES
+        });
+    } catch (error) {
+        if (error instanceof ExportTooLargeError) {
+            return {
+                statusCode: 413,
+                body: JSON.stringify({ error: 'Your documents are too large to export at once. Contact support for a copy.' })
+            };
+        }
+        throw error;
+    }
 
-    const result = await db.query(query, [user.userId]);
+    const downloadUrl = await generateViewUrl({
+        s3_bucket: DOCUMENTS_BUCKET,
+        s3_key: exported.key,
+        file_name: 'documents_export.zip',
+        mime_type: 'application/zip'
+    }, 'attachment', user.tenantId);
 
-    // Ensure proper type casting for JSON serialization
-    const documents = result.rows.map(doc => ({
-        ...doc,
-        file_size_bytes: parseInt(doc.file_size_bytes) || 0,
-        auto_verified: doc.auto_verified === true || doc.auto_verified === 'true',
-        confidence_score: doc.confidence_score ? parseFloat(doc.confidence_score) : null
-    }));
+    console.log(`Export created for driver ${user.userId}: ${exported.key} (${exported.size} bytes)`);
 
     return {
-        statusCode: 200,
+        statusCode: 201,
         body: JSON.stringify({
-            documents: documents,
-            total: documents.length
+            download_url: downloadUrl,
+            expires_in: VIEW_URL_EXPIRES_IN,
+            size_bytes: exported.size,
+            generated_at: exported.manifest.generated_at,
+            document_count: exported.manifest.document_count,
+            file_count: exported.manifest.file_count
         })
     };
 }
 
 /**
- * Handle GET /drivers/documents/{documentId}
+ * Handle GET /drivers/documents/{documentId}/history
+ *
+ * Driver-facing summary of the document's audit trail.
  */
-async function handleGetDocument(event, user) {
+async function handleGetDocumentHistory(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.VIEW_OWN_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.VIEW_OWN_DOCUMENTS);
+    }
+
     const documentId = event.pathParameters?.documentId;
 
     if (!documentId) {
@@ -297,43 +2291,47 @@ async function handleGetDocument(event, user) {
     }
 
     const db = await getDbConnection();
+    const document = await getDriverDocument(db, documentId, user.userId, user.tenantId);
 
-    const query = `
-        SELECT
-            id, driver_id, tenant_id, document_type, document_category,
-            s3_key, s3_bucket, file_name, file_size_bytes, mime_type,
-            document_number, issuing_authority, issue_date, expiry_date,
-            status, verified_at, verified_by, auto_verified, confidence_score,
-            rejection_reason, notes, created_at, updated_at
-        FROM driver_documents
-        WHERE id = $1 AND driver_id = $2
-    `;
-
-    const result = await db.query(query, [documentId, user.userId]);
-
-    if (result.rows.length === 0) {
+    if (!document) {
         return {
             statusCode: 404,
             body: JSON.stringify({ error: 'Document not found' })
         };
     }
 
-    const document = result.rows[0];
+    const events = await getDocumentEvents(db, documentId, user.tenantId);
 
-    // Generate presigned GET URL for viewing the document (valid for 1 hour)
-    const command = new PutObjectCommand({
-        Bucket: document.s3_bucket,
-        Key: document.s3_key,
-    });
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            document_id: documentId,
+            status: document.status,
+            history: summarizeForDriver(events)
+        })
+    };
+}
+
+/**
+ * Handle GET /drivers/notifications
+ *
+ * Query params: limit (default 50, max 100)
+ */
+async function handleListNotifications(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.VIEW_OWN_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.VIEW_OWN_DOCUMENTS);
+    }
 
-    const viewUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+    const limit = Math.min(parseInt(event.queryStringParameters?.limit, 10) || 50, 100);
+
+    const db = await getDbConnection();
+    const notifications = await getDriverNotifications(db, user.userId, user.tenantId, limit);
 
     return {
         statusCode: 200,
         body: JSON.stringify({
-            ...document,
-            viewUrl,
-            viewUrlExpiresIn: 3600
+            notifications,
+            total: notifications.length
         })
     };
 }
@@ -342,6 +2340,10 @@ async function handleGetDocument(event, user) {
  * Handle GET /drivers/{driverId}/verification
  */
 async function handleGetVerificationStatus(event, user) {
+    if (!hasPermission(user.roles, PERMISSIONS.VIEW_OWN_DOCUMENTS)) {
+        return forbiddenResponse(PERMISSIONS.VIEW_OWN_DOCUMENTS);
+    }
+
     const driverId = event.pathParameters?.driverId;
 
     // Users can only check their own verification status
@@ -354,55 +2356,39 @@ async function handleGetVerificationStatus(event, user) {
 
     const db = await getDbConnection();
 
-    // Get all documents with their statuses
-    const docsQuery = `
-        SELECT document_type, status, expiry_date, verified_at
-        FROM driver_documents
-        WHERE driver_id = $1
-        ORDER BY created_at DESC
-    `;
-
-    const docsResult = await db.query(docsQuery, [driverId]);
+    // Evaluate documents against the driver's tenant/region compliance policy
+    const compliance = await evaluateDriverCompliance(db, driverId, user.tenantId);
 
     // Get driver profile verification status
     const profileQuery = `
         SELECT
             documents_complete,
             documents_verified_at,
-            status as profile_status
+            status as profile_status,
+            compliance_at_risk_since
         FROM driver_profiles
         WHERE user_id = $1
     `;
 
     const profileResult = await db.query(profileQuery, [driverId]);
 
-    // Calculate overall verification status
-    const requiredDocs = ['license', 'insurance', 'registration', 'profile_photo'];
-    const docStatuses = {};
-    const missingDocs = [];
-
-    requiredDocs.forEach(docType => {
-        const doc = docsResult.rows.find(d => d.document_type === docType);
-        docStatuses[docType] = doc ? doc.status : 'missing';
-        if (!doc || doc.status !== 'approved') {
-            missingDocs.push(docType);
-        }
-    });
-
-    const allDocsApproved = missingDocs.length === 0;
-
     return {
         statusCode: 200,
         body: JSON.stringify({
             driverId,
-            verificationComplete: allDocsApproved,
+            verificationComplete: compliance.allApproved,
             documentsComplete: profileResult.rows[0]?.documents_complete || false,
             verifiedAt: profileResult.rows[0]?.documents_verified_at,
             profileStatus: profileResult.rows[0]?.profile_status,
-            requiredDocuments: docStatuses,
-            missingDocuments: missingDocs,
-            totalDocuments: docsResult.rows.length,
-            allDocuments: docsResult.rows
+            complianceStatus: compliance.status,
+            atRiskSince: compliance.status === 'at_risk' ? profileResult.rows[0]?.compliance_at_risk_since : null,
+            graceEndsOn: compliance.graceEndsOn,
+            policy: compliance.policy,
+            requiredDocuments: compliance.requiredDocuments,
+            missingDocuments: compliance.missingDocuments,
+            unmetRequirements: compliance.unmet,
+            totalDocuments: compliance.documents.length,
+            allDocuments: compliance.documents
         })
     };
 }
@@ -410,13 +2396,39 @@ async function handleGetVerificationStatus(event, user) {
 /**
  * Main Lambda handler
  */
-exports.handler = async (event) => {
+exports.handler = async (event, context) => {
     console.log('Event:', JSON.stringify(event, null, 2));
 
+    // S3 ObjectCreated notifications
+    if (event.Records?.[0]?.eventSource === 'aws:s3') {
+        const results = await handleS3UploadEvent(event, context?.awsRequestId);
+        console.log('S3 upload event results:', results);
+        return results;
+    }
+
+    // EventBridge scheduled sweep
+    if (event.source === 'aws.events') {
+        return sweepAbandonedUploads(context?.awsRequestId);
+    }
+
     try {
         // Extract user from JWT
         const user = extractUserFromEvent(event);
 
+        // Every driver belongs to exactly one tenant
+        if (!user.tenantId) {
+            return {
+                statusCode: 403,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*',
+                },
+                body: JSON.stringify({ error: 'Forbidden: missing tenant' })
+            };
+        }
+
+        await setTenantContext(await getDbConnection(), { tenantId: user.tenantId });
+
         // Route based on HTTP method and path
         const method = event.requestContext.http.method;
         const path = event.rawPath || event.requestContext.http.path;
@@ -425,10 +2437,22 @@ exports.handler = async (event) => {
 
         if (method === 'POST' && path === '/drivers/documents/upload') {
             response = await handleUploadRequest(event, user);
+        } else if (method === 'POST' && path === '/drivers/documents/export') {
+            response = await handleExportDocuments(event, user);
+        } else if (method === 'POST' && path.match(/\/drivers\/documents\/[^/]+\/complete$/)) {
+            response = await handleCompleteUpload(event, user);
         } else if (method === 'GET' && path === '/drivers/documents') {
             response = await handleListDocuments(event, user);
+        } else if (method === 'GET' && path.match(/\/drivers\/documents\/[^/]+\/history$/)) {
+            response = await handleGetDocumentHistory(event, user);
+        } else if (method === 'GET' && path.match(/\/drivers\/documents\/[^/]+\/download$/)) {
+            response = await handleDownloadDocument(event, user);
         } else if (method === 'GET' && path.match(/\/drivers\/documents\/[^/]+$/)) {
             response = await handleGetDocument(event, user);
+        } else if (method === 'DELETE' && path.match(/\/drivers\/documents\/[^/]+$/)) {
+            response = await handleDeleteDocument(event, user);
+        } else if (method === 'GET' && path === '/drivers/notifications') {
+            response = await handleListNotifications(event, user);
         } else if (method === 'GET' && path.match(/\/drivers\/[^/]+\/verification$/)) {
             response = await handleGetVerificationStatus(event, user);
         } else {
@@ -443,13 +2467,26 @@ exports.handler = async (event) => {
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+                'Access-Control-Allow-Headers': 'Content-Type,Authorization,Idempotency-Key',
+                'Access-Control-Expose-Headers': 'Idempotent-Replayed',
+                ...response.headers,
             }
         };
 
     } catch (error) {
         console.error('Error:', error);
 
+        if (error instanceof TenantAccessError) {
+            return {
+                statusCode: 403,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*',
+                },
+                body: JSON.stringify({ error: 'Forbidden' })
+            };
+        }
+
         return {
             statusCode: 500,
             headers: {
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { getIdempotencyKey, isValidIdempotencyKey, hashUploadRequest } = require('../idempotency');
+
+const LICENSE = { fileName: 'license.jpg', contentType: 'image/jpeg', fileSize: 1024 };
+const LICENSE_BACK = { fileName: 'license-back.jpg', contentType: 'image/jpeg', fileSize: 2048 };
+
+const request = (overrides = {}) => ({ documentType: 'license', uploadMode: 'post', files: [LICENSE], ...overrides });
+
+test('getIdempotencyKey reads the header whatever its case', () => {
+    assert.equal(getIdempotencyKey({ 'idempotency-key': 'abc' }), 'abc');
+    assert.equal(getIdempotencyKey({ 'Idempotency-Key': 'abc' }), 'abc');
+    assert.equal(getIdempotencyKey({ 'Content-Type': 'application/json' }), null);
+    assert.equal(getIdempotencyKey(null), null);
+});
+
+test('isValidIdempotencyKey accepts printable keys up to 255 characters', () => {
+    assert.equal(isValidIdempotencyKey('3f0c2a9e-8d1b-4b7a-9c55-0e1f2a3b4c5d'), true);
+    assert.equal(isValidIdempotencyKey('x'.repeat(255)), true);
+    assert.equal(isValidIdempotencyKey('x'.repeat(256)), false);
+    assert.equal(isValidIdempotencyKey(''), false);
+    assert.equal(isValidIdempotencyKey('has space'), false);
+    assert.equal(isValidIdempotencyKey(42), false);
+});
+
+test('hashUploadRequest is stable for the same request', () => {
+    assert.equal(hashUploadRequest(request()), hashUploadRequest(request({ files: [{ ...LICENSE }] })));
+    assert.match(hashUploadRequest(request()), /^[0-9a-f]{64}$/);
+});
+
+test('hashUploadRequest hashes single-file requests as before multi-file documents', () => {
+    const canonical = JSON.stringify(['license', 'license.jpg', 'image/jpeg', 1024, 'post']);
+    const expected = crypto.createHash('sha256').update(canonical).digest('hex');
+
+    assert.equal(hashUploadRequest(request()), expected);
+});
+
+test('hashUploadRequest treats a missing file size as null', () => {
+    const withoutSize = { fileName: 'license.jpg', contentType: 'image/jpeg' };
+
+    assert.equal(
+        hashUploadRequest(request({ files: [withoutSize] })),
+        hashUploadRequest(request({ files: [{ ...withoutSize, fileSize: 0 }] }))
+    );
+    assert.notEqual(hashUploadRequest(request({ files: [withoutSize] })), hashUploadRequest(request()));
+});
+
+test('hashUploadRequest differs when any part of the request differs', () => {
+    const base = hashUploadRequest(request());
+
+    [
+        request({ documentType: 'insurance' }),
+        request({ uploadMode: 'put' }),
+        request({ files: [{ ...LICENSE, fileName: 'other.jpg' }] }),
+        request({ files: [{ ...LICENSE, contentType: 'image/png' }] }),
+        request({ files: [{ ...LICENSE, fileSize: 1025 }] }),
+        request({ files: [LICENSE, LICENSE_BACK] }),
+    ].forEach(changed => assert.notEqual(hashUploadRequest(changed), base));
+});
+
+test('hashUploadRequest depends on the order of files', () => {
+    assert.notEqual(
+        hashUploadRequest(request({ files: [LICENSE, LICENSE_BACK] })),
+        hashUploadRequest(request({ files: [LICENSE_BACK, LICENSE] }))
+    );
+});
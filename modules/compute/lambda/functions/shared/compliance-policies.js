@@ -0,0 +1,243 @@
+/**
+ * Compliance Policies
+ *
+ * Required-document rules per tenant and region, stored in
+ * compliance_policies and compliance_policy_requirements. A driver's policy
+ * is the most specific active match: tenant and region, then tenant only,
+ * then region only, then the default policy (no tenant, no region).
+ *
+ * A driver whose requirements are unmet only because documents lapsed within
+ * their grace period is 'at_risk'; once a grace period ends they are
+ * 'non_compliant' and suspended.
+ */
+
+const COMPLIANCE_STATUSES = {
+    COMPLIANT: 'compliant',
+    AT_RISK: 'at_risk',
+    NON_COMPLIANT: 'non_compliant',
+};
+
+/**
+ * Find the policy for a tenant and region, with its requirements (null if none)
+ */
+async function resolvePolicy(db, tenantId, region) {
+    const policyQuery = `
+        SELECT id, tenant_id, region, name
+        FROM compliance_policies
+        WHERE is_active = TRUE
+          AND (tenant_id = $1 OR tenant_id IS NULL)
+          AND (region = $2 OR region IS NULL)
+        ORDER BY tenant_id IS NULL, region IS NULL
+        LIMIT 1
+    `;
+
+    const policyResult = await db.query(policyQuery, [tenantId || null, region || null]);
+    const policy = policyResult.rows[0];
+
+    if (!policy) return null;
+
+    const requirementsQuery = `
+        SELECT document_type, expiry_required, min_validity_days, grace_period_days
+        FROM compliance_policy_requirements
+        WHERE policy_id = $1
+        ORDER BY document_type
+    `;
+
+    const requirementsResult = await db.query(requirementsQuery, [policy.id]);
+
+    return {
+        ...policy,
+        requirements: requirementsResult.rows
+    };
+}
+
+/**
+ * Find the policy that applies to a driver
+ *
+ * The region comes from driver_profiles.compliance_region; the tenant from
+ * the caller (JWT claim or document record).
+ */
+async function getDriverPolicy(db, driverId, tenantId) {
+    const result = await db.query(
+        'SELECT compliance_region FROM driver_profiles WHERE user_id = $1',
+        [driverId]
+    );
+
+    return resolvePolicy(db, tenantId, result.rows[0]?.compliance_region);
+}
+
+/**
+ * Midnight UTC of a date, shifted by a number of days
+ */
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setUTCHours(0, 0, 0, 0);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+}
+
+/**
+ * Why a document does not satisfy a requirement (null if it does)
+ */
+function unmetReason(requirement, document, today = new Date()) {
+    if (!document) return 'missing';
+    if (document.status !== 'approved') return document.status;
+    if (!document.expiry_date) {
+        return requirement.expiry_required ? 'expiry_date_required' : null;
+    }
+
+    const validUntil = addDays(today, requirement.min_validity_days || 0);
+
+    return new Date(document.expiry_date) < validUntil ? 'insufficient_validity' : null;
+}
+
+/**
+ * Last day of the grace period for a lapsed requirement (null if none)
+ *
+ * A requirement lapses when its newest approved or expired document drops
+ * below the minimum remaining validity; the grace period runs from then.
+ */
+function graceEndsOn(requirement, documents) {
+    if (!requirement.grace_period_days) return null;
+
+    const lapsed = documents.find(doc => ['approved', 'expired'].includes(doc.status) && doc.expiry_date);
+    if (!lapsed) return null;
+
+    return addDays(lapsed.expiry_date, requirement.grace_period_days - (requirement.min_validity_days || 0));
+}
+
+/**
+ * Evaluate a driver's documents against a policy
+ *
+ * documents: the driver's documents, newest first (document_type, status, expiry_date)
+ */
+function evaluateCompliance(policy, documents, today = new Date()) {
+    const requirements = policy?.requirements || [];
+    const requiredDocuments = {};
+    const missingDocuments = [];
+    const unmet = [];
+
+    requirements.forEach(requirement => {
+        const ofType = documents.filter(doc => doc.document_type === requirement.document_type);
+        const satisfying = ofType.find(doc => unmetReason(requirement, doc, today) === null);
+
+        if (satisfying) {
+            requiredDocuments[requirement.document_type] = 'approved';
+        } else {
+            // Report against the newest document of the type
+            const reason = unmetReason(requirement, ofType[0], today);
+            const graceEnds = graceEndsOn(requirement, ofType);
+
+            requiredDocuments[requirement.document_type] = reason;
+            missingDocuments.push(requirement.document_type);
+            unmet.push({
+                documentType: requirement.document_type,
+                reason,
+                graceEndsOn: graceEnds && graceEnds >= addDays(today, 0) ? graceEnds.toISOString().slice(0, 10) : null
+            });
+        }
+    });
+
+    const allApproved = Boolean(policy) && missingDocuments.length === 0;
+    const inGrace = unmet.filter(item => item.graceEndsOn);
+
+    let status = COMPLIANCE_STATUSES.NON_COMPLIANT;
+    if (allApproved) {
+        status = COMPLIANCE_STATUSES.COMPLIANT;
+    } else if (policy && inGrace.length === unmet.length) {
+        status = COMPLIANCE_STATUSES.AT_RISK;
+    }
+
+    return {
+        policy: policy ? { id: policy.id, name: policy.name, tenantId: policy.tenant_id, region: policy.region } : null,
+        status,
+        allApproved,
+        requiredDocuments,
+        missingDocuments,
+        unmet,
+        // Earliest grace period end while at risk
+        graceEndsOn: status === COMPLIANCE_STATUSES.AT_RISK ? inGrace.map(item => item.graceEndsOn).sort()[0] : null
+    };
+}
+
+/**
+ * Load a driver's policy and their documents within the tenant and evaluate them
+ *
+ * Superseded versions are left out: a newer approved version replaced them.
+ */
+async function evaluateDriverCompliance(db, driverId, tenantId) {
+    const policy = await getDriverPolicy(db, driverId, tenantId);
+
+    const result = await db.query(
+        `SELECT id, document_type, status, expiry_date, verified_at
+        FROM driver_documents
+        WHERE driver_id = $1
+          AND ($2::uuid IS NULL OR tenant_id = $2)
+          AND superseded_at IS NULL
+          AND deleted_at IS NULL
+        ORDER BY created_at DESC`,
+        [driverId, tenantId || null]
+    );
+
+    return {
+        ...evaluateCompliance(policy, result.rows),
+        documents: result.rows
+    };
+}
+
+/**
+ * Store a driver's compliance status on their profile
+ *
+ * at_risk keeps the date the risk began until the driver is compliant again
+ * or suspended. Suspension itself (profile status) is left to the caller.
+ */
+async function recordComplianceStatus(db, driverId, compliance) {
+    const query = `
+        UPDATE driver_profiles
+        SET
+            compliance_status = $2,
+            compliance_at_risk_since = CASE
+                WHEN $2 = 'at_risk' THEN COALESCE(compliance_at_risk_since, NOW())
+                ELSE NULL
+            END,
+            compliance_grace_ends_on = $3,
+            updated_at = NOW()
+        WHERE user_id = $1
+        RETURNING user_id, status, compliance_status, compliance_at_risk_since, compliance_grace_ends_on
+    `;
+
+    const result = await db.query(query, [driverId, compliance.status, compliance.graceEndsOn]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Check a reviewer-supplied expiry date against the policy before approval
+ *
+ * Returns an error message, or null if the document may be approved.
+ */
+function validateApproval(policy, documentType, expiryDate, today = new Date()) {
+    const requirement = policy?.requirements.find(req => req.document_type === documentType);
+    if (!requirement) return null;
+
+    const reason = unmetReason(requirement, { status: 'approved', expiry_date: expiryDate }, today);
+
+    if (reason === 'expiry_date_required') {
+        return `expiryDate is required to approve ${documentType}`;
+    }
+    if (reason === 'insufficient_validity') {
+        return `${documentType} must be valid for at least ${requirement.min_validity_days} more days`;
+    }
+    return null;
+}
+
+module.exports = {
+    COMPLIANCE_STATUSES,
+    resolvePolicy,
+    getDriverPolicy,
+    unmetReason,
+    graceEndsOn,
+    evaluateCompliance,
+    evaluateDriverCompliance,
+    recordComplianceStatus,
+    validateApproval,
+};
@@ -0,0 +1,164 @@
+/**
+ * Driver Document Audit Trail
+ *
+ * Append-only record of every change to a driver document, stored in
+ * driver_document_events. Callers pass their own database connection so
+ * events are written in the same transaction as the change they describe.
+ */
+
+const EVENT_TYPES = {
+    CREATED: 'created',
+    UPLOADED: 'uploaded',
+    SCANNED: 'scanned',
+    QUARANTINED: 'quarantined',
+    ABANDONED: 'abandoned',
+    CLAIMED: 'claimed',
+    CLAIM_RELEASED: 'claim_released',
+    REVIEWED: 'reviewed',
+    EXTRACTED: 'extracted',
+    AUTO_APPROVED: 'auto_approved',
+    EXPIRED: 'expired',
+    REPLACED: 'replaced',
+    DELETED: 'deleted',
+    PURGED: 'purged',
+    ERASED: 'erased',
+};
+
+// Document columns captured in before/after snapshots
+const AUDITED_FIELDS = [
+    'status',
+    'document_type',
+    'version_number',
+    'replaces_document_id',
+    'superseded_by_document_id',
+    'superseded_at',
+    's3_key',
+    'file_name',
+    'file_size_bytes',
+    'mime_type',
+    'checksum_sha256',
+    'quarantine_reason',
+    'scan_status',
+    'scan_signature',
+    'auto_verified',
+    'confidence_score',
+    'document_number',
+    'issuing_authority',
+    'issue_date',
+    'expiry_date',
+    'verified_by',
+    'verified_at',
+    'rejection_reason',
+    'notes',
+    'claimed_by',
+    'claim_expires_at',
+    'deleted_at',
+];
+
+// Event types shown to drivers, with the wording used in their history
+const DRIVER_VISIBLE_EVENTS = {
+    created: 'Upload started',
+    uploaded: 'File uploaded',
+    scanned: 'Security check passed',
+    quarantined: 'File could not be accepted',
+    abandoned: 'Upload not completed',
+    reviewed: 'Reviewed',
+    auto_approved: 'Approved automatically',
+    expired: 'Expired',
+    replaced: 'Replaced by a newer upload',
+    deleted: 'Deleted',
+};
+
+/**
+ * Pick the audited fields present on a document row (null if no row)
+ */
+function snapshot(row) {
+    if (!row) return null;
+
+    const result = {};
+    AUDITED_FIELDS.forEach(field => {
+        if (row[field] !== undefined) {
+            result[field] = row[field];
+        }
+    });
+    return result;
+}
+
+/**
+ * Append an event to a document's audit trail
+ *
+ * actor: { type: 'driver' | 'reviewer' | 'system', id } - id is null for system jobs
+ */
+async function recordDocumentEvent(db, event) {
+    const query = `
+        INSERT INTO driver_document_events (
+            document_id, driver_id, tenant_id, event_type,
+            actor_type, actor_id, source, request_id,
+            before_values, after_values
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id, created_at
+    `;
+
+    const values = [
+        event.documentId,
+        event.driverId,
+        event.tenantId || null,
+        event.eventType,
+        event.actor.type,
+        event.actor.id || null,
+        process.env.AWS_LAMBDA_FUNCTION_NAME || null,
+        event.requestId || null,
+        event.before ? JSON.stringify(snapshot(event.before)) : null,
+        event.after ? JSON.stringify(snapshot(event.after)) : null,
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+}
+
+/**
+ * Get a document's full audit trail, oldest first
+ *
+ * tenantId limits the trail to one tenant; null for platform-wide access.
+ */
+async function getDocumentEvents(db, documentId, tenantId = null) {
+    const query = `
+        SELECT
+            id, document_id, driver_id, tenant_id, event_type,
+            actor_type, actor_id, source, request_id,
+            before_values, after_values, created_at
+        FROM driver_document_events
+        WHERE document_id = $1
+          AND ($2::uuid IS NULL OR tenant_id = $2)
+        ORDER BY created_at ASC, id ASC
+    `;
+
+    const result = await db.query(query, [documentId, tenantId]);
+    return result.rows;
+}
+
+/**
+ * Reduce an audit trail to what a driver may see: no reviewer identities,
+ * internal notes or storage details
+ */
+function summarizeForDriver(events) {
+    return events
+        .filter(event => DRIVER_VISIBLE_EVENTS[event.event_type])
+        .map(event => ({
+            event: event.event_type,
+            description: DRIVER_VISIBLE_EVENTS[event.event_type],
+            status: event.after_values?.status || null,
+            reason: event.after_values?.rejection_reason || event.after_values?.quarantine_reason || null,
+            by: event.actor_type,
+            at: event.created_at
+        }));
+}
+
+module.exports = {
+    EVENT_TYPES,
+    AUDITED_FIELDS,
+    snapshot,
+    recordDocumentEvent,
+    getDocumentEvents,
+    summarizeForDriver,
+};
@@ -0,0 +1,228 @@
+/**
+ * Multi-File Documents
+ *
+ * A document owns an ordered set of files (driver_document_files): the
+ * front and back of a license, or the pages of an insurance card. Types in
+ * DOCUMENT_FILE_SETS take several files, every other type exactly one. The
+ * set is one unit: the upload completes once every file has arrived, an
+ * infected or mismatched file quarantines the document, and reviewers
+ * approve the whole set.
+ *
+ * driver_documents mirrors the first file (s3_key, s3_version_id,
+ * file_name, mime_type, renditions), so code handling one file per document
+ * keeps working. Documents uploaded before multi-file support have no file
+ * rows; getDocumentFiles presents their single file the same way.
+ *
+ * s3_version_id is the object version that was verified and scanned. Reads
+ * pass it, so a later upload to the same key (the presigned URL outlives
+ * completion) is never served.
+ */
+
+// Named parts are all required, in order; page sets take 1 to maxFiles files
+const DOCUMENT_FILE_SETS = {
+    license: { partNames: ['front', 'back'] },
+    insurance: { maxFiles: 5 },
+    registration: { maxFiles: 5 },
+    inspection: { maxFiles: 5 },
+};
+
+const FILE_COLUMNS = `
+    id, document_id, tenant_id, part_number, part_name, s3_bucket, s3_key,
+    file_name, mime_type, file_size_bytes, s3_etag, s3_version_id, checksum_sha256,
+    detected_mime_type, uploaded_at, renditions, created_at
+`;
+
+/**
+ * Files a document type takes: { minFiles, maxFiles, partNames } - partNames
+ * is null for numbered pages
+ */
+function getFileSet(documentType) {
+    const set = DOCUMENT_FILE_SETS[documentType];
+
+    if (set?.partNames) {
+        return { minFiles: set.partNames.length, maxFiles: set.partNames.length, partNames: set.partNames };
+    }
+
+    return { minFiles: 1, maxFiles: set?.maxFiles || 1, partNames: null };
+}
+
+/**
+ * Name of a part of a document type's set (null for numbered pages)
+ */
+function partNameFor(documentType, partNumber) {
+    return getFileSet(documentType).partNames?.[partNumber - 1] || null;
+}
+
+/**
+ * How a part is named in messages: its part name ('back'), or 'file N' for
+ * numbered pages
+ */
+function partLabel(file) {
+    return file.part_name || `file ${file.part_number}`;
+}
+
+/**
+ * Labels of the parts a document's files lack (empty if the set is complete)
+ */
+function missingParts(documentType, files) {
+    const { minFiles } = getFileSet(documentType);
+    const present = new Set(files.map(file => file.part_number));
+    const missing = [];
+
+    for (let part = 1; part <= minFiles; part++) {
+        if (!present.has(part)) {
+            missing.push(partLabel({ part_number: part, part_name: partNameFor(documentType, part) }));
+        }
+    }
+
+    return missing;
+}
+
+/**
+ * Present a document without file rows as its single file
+ */
+function legacyDocumentFile(document) {
+    return {
+        id: null,
+        document_id: document.id,
+        tenant_id: document.tenant_id,
+        part_number: 1,
+        part_name: null,
+        s3_bucket: document.s3_bucket,
+        s3_key: document.s3_key,
+        s3_version_id: document.s3_version_id || null,
+        file_name: document.file_name,
+        mime_type: document.mime_type,
+        file_size_bytes: document.file_size_bytes,
+        uploaded_at: document.uploaded_at,
+        renditions: document.renditions || null
+    };
+}
+
+/**
+ * Create the file rows of a new document
+ *
+ * files: [{ s3Key, fileName, mimeType, fileSize }] in part order. Returns
+ * the rows.
+ */
+async function createDocumentFiles(db, document, files) {
+    const rows = [];
+
+    for (const [index, file] of files.entries()) {
+        const result = await db.query(
+            `INSERT INTO driver_document_files (
+                document_id, tenant_id, part_number, part_name,
+                s3_bucket, s3_key, file_name, mime_type, file_size_bytes
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING ${FILE_COLUMNS}`,
+            [
+                document.id,
+                document.tenant_id,
+                index + 1,
+                partNameFor(document.document_type, index + 1),
+                document.s3_bucket,
+                file.s3Key,
+                file.fileName,
+                file.mimeType,
+                file.fileSize || 0
+            ]
+        );
+
+        rows.push(result.rows[0]);
+    }
+
+    return rows;
+}
+
+/**
+ * A document's files in part order
+ *
+ * document: row with id, plus s3_bucket, s3_key, s3_version_id, file_name,
+ * mime_type, file_size_bytes, uploaded_at and renditions for documents
+ * without file rows.
+ */
+async function getDocumentFiles(db, document) {
+    const result = await db.query(
+        `SELECT ${FILE_COLUMNS}
+        FROM driver_document_files
+        WHERE document_id = $1
+        ORDER BY part_number`,
+        [document.id]
+    );
+
+    return result.rows.length > 0 ? result.rows : [legacyDocumentFile(document)];
+}
+
+/**
+ * Record what was stored for a file when its document's upload completes
+ *
+ * upload: { head (HeadObject response), detectedMimeType, s3Key and
+ * s3VersionId (set when the file moved, e.g. into quarantine) }. No-op for
+ * documents without file rows.
+ */
+async function recordFileUpload(db, file, { head, detectedMimeType, s3Key, s3VersionId }) {
+    if (!file.id) return;
+
+    await db.query(
+        `UPDATE driver_document_files
+        SET
+            file_size_bytes = $2,
+            s3_etag = $3,
+            s3_version_id = $4,
+            checksum_sha256 = $5,
+            detected_mime_type = $6,
+            s3_key = COALESCE($7, s3_key),
+            uploaded_at = NOW()
+        WHERE id = $1`,
+        [
+            file.id,
+            head.ContentLength,
+            head.ETag ? head.ETag.replace(/"/g, '') : null,
+            (s3Key ? s3VersionId : head.VersionId) || null,
+            head.ChecksumSHA256 || null,
+            detectedMimeType || null,
+            s3Key || null
+        ]
+    );
+}
+
+/**
+ * Point a file row at a new object (e.g. its quarantine copy)
+ *
+ * No-op for documents without file rows.
+ */
+async function moveDocumentFile(db, file, s3Key, s3VersionId) {
+    if (!file.id) return;
+
+    await db.query(
+        'UPDATE driver_document_files SET s3_key = $2, s3_version_id = $3 WHERE id = $1',
+        [file.id, s3Key, s3VersionId || null]
+    );
+}
+
+/**
+ * Public description of a file for API responses
+ */
+function describeFile(file) {
+    return {
+        part_number: file.part_number,
+        part_name: file.part_name,
+        file_name: file.file_name,
+        mime_type: file.mime_type,
+        file_size_bytes: parseInt(file.file_size_bytes) || 0,
+        uploaded_at: file.uploaded_at
+    };
+}
+
+module.exports = {
+    DOCUMENT_FILE_SETS,
+    getFileSet,
+    partNameFor,
+    partLabel,
+    missingParts,
+    createDocumentFiles,
+    getDocumentFiles,
+    recordFileUpload,
+    moveDocumentFile,
+    describeFile,
+};
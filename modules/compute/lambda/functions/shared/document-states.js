@@ -0,0 +1,137 @@
+/**
+ * Driver Document Status State Machine
+ *
+ * Single definition of the document_status lifecycle shared by the upload,
+ * review and expiry Lambdas. Every status change must be one of the named
+ * transitions below, made by one of the actors allowed to trigger it.
+ *
+ *   awaiting_upload --> scanning | pending | quarantined | abandoned
+ *   abandoned       --> scanning | pending | quarantined (late upload)
+ *   scanning        --> pending | quarantined          (malware scan)
+ *   pending         --> under_review | approved | rejected | withdrawn
+ *                       (approved also automatically)
+ *   under_review    --> pending | approved | rejected
+ *   approved        --> expired | rejected             (expiry, override)
+ *   rejected        --> approved | withdrawn           (override, driver)
+ */
+
+const ACTORS = {
+    DRIVER: 'driver',
+    REVIEWER: 'reviewer',
+    SYSTEM: 'system',
+};
+
+const DOCUMENT_STATUSES = [
+    'awaiting_upload',
+    'scanning',
+    'pending',
+    'under_review',
+    'approved',
+    'rejected',
+    'expired',
+    'abandoned',
+    'quarantined',
+    'withdrawn',
+];
+
+// Status assigned when a document record is created
+const INITIAL_STATUS = 'awaiting_upload';
+
+// Statuses with a stored, verified file that may be viewed
+const VIEWABLE_STATUSES = ['pending', 'under_review', 'approved', 'rejected', 'expired'];
+
+// Named transitions: source statuses, target status and actors allowed to trigger it
+const TRANSITIONS = {
+    complete_upload: { from: ['awaiting_upload', 'abandoned'], to: 'pending', actors: [ACTORS.DRIVER, ACTORS.SYSTEM] },
+    quarantine_upload: { from: ['awaiting_upload', 'abandoned'], to: 'quarantined', actors: [ACTORS.DRIVER, ACTORS.SYSTEM] },
+    start_scan: { from: ['awaiting_upload', 'abandoned'], to: 'scanning', actors: [ACTORS.DRIVER, ACTORS.SYSTEM] },
+    pass_scan: { from: ['scanning'], to: 'pending', actors: [ACTORS.SYSTEM] },
+    fail_scan: { from: ['scanning'], to: 'quarantined', actors: [ACTORS.SYSTEM] },
+    abandon_upload: { from: ['awaiting_upload'], to: 'abandoned', actors: [ACTORS.SYSTEM] },
+    claim: { from: ['pending'], to: 'under_review', actors: [ACTORS.REVIEWER] },
+    release_claim: { from: ['under_review'], to: 'pending', actors: [ACTORS.REVIEWER, ACTORS.SYSTEM] },
+    approve: { from: ['pending', 'under_review'], to: 'approved', actors: [ACTORS.REVIEWER] },
+    auto_approve: { from: ['pending'], to: 'approved', actors: [ACTORS.SYSTEM] },
+    reject: { from: ['pending', 'under_review'], to: 'rejected', actors: [ACTORS.REVIEWER] },
+    override_approval: { from: ['approved'], to: 'rejected', actors: [ACTORS.REVIEWER] },
+    override_rejection: { from: ['rejected'], to: 'approved', actors: [ACTORS.REVIEWER] },
+    expire: { from: ['approved'], to: 'expired', actors: [ACTORS.SYSTEM] },
+    withdraw: { from: ['pending', 'rejected'], to: 'withdrawn', actors: [ACTORS.DRIVER] },
+};
+
+/**
+ * Raised when a status change is not a legal transition for the actor
+ */
+class InvalidTransitionError extends Error {
+    constructor(from, to, actor) {
+        super(`Cannot change document status from '${from}' to '${to}' as ${actor}`);
+        this.name = 'InvalidTransitionError';
+        this.statusCode = 409;
+        this.from = from;
+        this.to = to;
+        this.actor = actor;
+    }
+}
+
+/**
+ * Find the named transition from one status to another (null if none)
+ */
+function findTransition(from, to) {
+    return Object.keys(TRANSITIONS).find(name => TRANSITIONS[name].from.includes(from) && TRANSITIONS[name].to === to) || null;
+}
+
+/**
+ * Check whether an actor may move a document from one status to another
+ *
+ * Several transitions may share a source and target (approve, auto_approve);
+ * any of them allowing the actor will do.
+ */
+function canTransition(from, to, actor) {
+    return Object.values(TRANSITIONS).some(transition =>
+        transition.from.includes(from) && transition.to === to && transition.actors.includes(actor));
+}
+
+/**
+ * Throw InvalidTransitionError unless the transition is legal
+ */
+function assertTransition(from, to, actor) {
+    if (!canTransition(from, to, actor)) {
+        throw new InvalidTransitionError(from, to, actor);
+    }
+}
+
+/**
+ * Statuses an actor may move a document to from the given status
+ */
+function allowedTransitions(from, actor) {
+    return Object.values(TRANSITIONS)
+        .filter(transition => transition.from.includes(from) && transition.actors.includes(actor))
+        .map(transition => transition.to);
+}
+
+/**
+ * Source statuses of a named transition, or none if the actor may not trigger it
+ *
+ * Used to guard UPDATE statements: WHERE status = ANY(transitionSources(...))
+ */
+function transitionSources(name, actor) {
+    const transition = TRANSITIONS[name];
+    if (!transition) {
+        throw new Error(`Unknown document status transition: ${name}`);
+    }
+    return transition.actors.includes(actor) ? [...transition.from] : [];
+}
+
+module.exports = {
+    ACTORS,
+    DOCUMENT_STATUSES,
+    INITIAL_STATUS,
+    VIEWABLE_STATUSES,
+    TRANSITIONS,
+    InvalidTransitionError,
+    findTransition,
+    canTransition,
+    assertTransition,
+    allowedTransitions,
+    transitionSources,
+};
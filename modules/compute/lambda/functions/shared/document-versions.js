@@ -0,0 +1,165 @@
+/**
+ * Document Versions
+ *
+ * A driver's uploads of one document type form a chain of versions. Each
+ * upload gets the next version_number and references the document it
+ * replaces (replaces_document_id). The replaced document stays in force -
+ * an approved one stays approved - until a newer version is approved; every
+ * earlier version still in force is then marked superseded.
+ *
+ * The active document of a type is the newest version with a file that is
+ * not superseded, preferring an approved one: while a replacement awaits
+ * review, the approved original stays active. The driver_active_documents
+ * view (migration 014) applies the same rule in SQL.
+ */
+
+const { VIEWABLE_STATUSES } = require('./document-states');
+const { EVENT_TYPES, recordDocumentEvent } = require('./document-events');
+
+/**
+ * Find a driver's active document of a type, locking it (null if none)
+ */
+async function findActiveDocument(db, driverId, tenantId, documentType) {
+    const query = `
+        SELECT id, driver_id, tenant_id, document_type, status, version_number
+        FROM driver_documents
+        WHERE driver_id = $1
+          AND tenant_id IS NOT DISTINCT FROM $2
+          AND document_type = $3
+          AND superseded_at IS NULL
+          AND status = ANY($4)
+        ORDER BY status = 'approved' DESC, version_number DESC
+        LIMIT 1
+        FOR UPDATE
+    `;
+
+    const result = await db.query(query, [driverId, tenantId || null, documentType, VIEWABLE_STATUSES]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Version details for a new upload: the document it replaces and its number
+ *
+ * Must run in the transaction that creates the document; concurrent uploads
+ * of the same type wait on a transaction-scoped advisory lock so version
+ * numbers stay unique.
+ */
+async function prepareNewVersion(db, driverId, tenantId, documentType) {
+    await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`driver_documents:${driverId}:${documentType}`]);
+
+    const replaces = await findActiveDocument(db, driverId, tenantId, documentType);
+
+    const result = await db.query(
+        `SELECT COALESCE(MAX(version_number), 0) + 1 AS version_number
+        FROM driver_documents
+        WHERE driver_id = $1 AND document_type = $2`,
+        [driverId, documentType]
+    );
+
+    return {
+        replacesDocumentId: replaces?.id || null,
+        versionNumber: parseInt(result.rows[0].version_number, 10)
+    };
+}
+
+/**
+ * Supersede the earlier versions still in force once a document is approved
+ *
+ * Records a 'replaced' event on each. Returns the superseded rows.
+ */
+async function supersedePriorVersions(db, document, { actor, requestId }) {
+    const query = `
+        UPDATE driver_documents
+        SET
+            superseded_by_document_id = $1,
+            superseded_at = NOW(),
+            updated_at = NOW()
+        WHERE driver_id = $2
+          AND document_type = $3
+          AND tenant_id IS NOT DISTINCT FROM $4
+          AND id <> $1
+          AND version_number < (SELECT version_number FROM driver_documents WHERE id = $1)
+          AND superseded_at IS NULL
+        RETURNING id, driver_id, tenant_id, document_type, status, superseded_by_document_id, superseded_at
+    `;
+
+    const result = await db.query(query, [document.id, document.driver_id, document.document_type, document.tenant_id || null]);
+
+    for (const row of result.rows) {
+        await recordDocumentEvent(db, {
+            documentId: row.id,
+            driverId: row.driver_id,
+            tenantId: row.tenant_id,
+            eventType: EVENT_TYPES.REPLACED,
+            actor,
+            requestId,
+            before: { status: row.status, superseded_by_document_id: null, superseded_at: null },
+            after: row
+        });
+    }
+
+    return result.rows;
+}
+
+/**
+ * Pick the active document from one type's versions (null if none)
+ */
+function selectActiveDocument(versions) {
+    const candidates = versions
+        .filter(doc => !doc.superseded_at && VIEWABLE_STATUSES.includes(doc.status))
+        .sort((a, b) => (b.status === 'approved') - (a.status === 'approved') || b.version_number - a.version_number);
+
+    return candidates[0] || null;
+}
+
+/**
+ * Group a driver's documents by type, newest version first
+ *
+ * Returns [{ document_type, active_document_id, versions }].
+ */
+function groupDocumentVersions(documents) {
+    const byType = new Map();
+
+    documents.forEach(doc => {
+        if (!byType.has(doc.document_type)) byType.set(doc.document_type, []);
+        byType.get(doc.document_type).push(doc);
+    });
+
+    return [...byType.entries()].map(([documentType, versions]) => {
+        const sorted = [...versions].sort((a, b) => b.version_number - a.version_number);
+
+        return {
+            document_type: documentType,
+            active_document_id: selectActiveDocument(sorted)?.id || null,
+            versions: sorted
+        };
+    });
+}
+
+/**
+ * All versions of a document's type for its driver, newest first
+ */
+async function getDocumentVersions(db, document) {
+    const query = `
+        SELECT
+            id, document_type, status, version_number, replaces_document_id,
+            superseded_by_document_id, superseded_at, verified_at, uploaded_at, created_at
+        FROM driver_documents
+        WHERE driver_id = $1
+          AND document_type = $2
+          AND tenant_id IS NOT DISTINCT FROM $3
+        ORDER BY version_number DESC
+    `;
+
+    const result = await db.query(query, [document.driver_id, document.document_type, document.tenant_id || null]);
+    return result.rows;
+}
+
+module.exports = {
+    findActiveDocument,
+    prepareNewVersion,
+    supersedePriorVersions,
+    selectActiveDocument,
+    groupDocumentVersions,
+    getDocumentVersions,
+};
@@ -0,0 +1,387 @@
+/**
+ * Driver Data Export and Erasure
+ *
+ * Export bundles a driver's document metadata and files into a ZIP archive
+ * with a manifest.json, stored under {tenant_id}/{driver_id}/exports/ and
+ * tagged so the bucket's lifecycle rules expire it after a few days.
+ *
+ * Erasure removes everything this service holds on a driver: every object
+ * version under the driver's key prefixes (documents and their preview
+ * renditions, quarantine copies, exports), the document rows and
+ * notification records. The audit trail is append-only and stays, with an
+ * 'erased' event per document, and driver_erasures keeps a tombstone of the
+ * erasure itself.
+ *
+ * The S3 client and commands are passed in by callers: { client, bucket,
+ * GetObjectCommand, PutObjectCommand } for export, { client, bucket,
+ * ListObjectVersionsCommand, DeleteObjectCommand } for erasure.
+ */
+
+const { VIEWABLE_STATUSES } = require('./document-states');
+const {
+    EVENT_TYPES,
+    recordDocumentEvent,
+    getDocumentEvents,
+    summarizeForDriver,
+} = require('./document-events');
+const { assertTenantKey } = require('./tenancy');
+const { renditionPrefix } = require('./renditions');
+const { getDocumentFiles } = require('./document-files');
+const { createZipArchive } = require('./zip-archive');
+
+// Bumped when the manifest layout changes (2: files of multi-file documents)
+const EXPORT_FORMAT_VERSION = 2;
+
+// Object tag the bucket's lifecycle rule expires exports by
+const EXPORT_TAG_KEY = 'document-export';
+
+// What triggered an erasure: an admin request or an account deletion event
+const ERASURE_SOURCES = ['admin', 'event'];
+
+// Document columns a driver receives in their export: no reviewer
+// identities, internal notes or storage details
+const EXPORTED_FIELDS = [
+    'id',
+    'document_type',
+    'document_category',
+    'status',
+    'version_number',
+    'replaces_document_id',
+    'superseded_at',
+    'file_name',
+    'file_size_bytes',
+    'mime_type',
+    'file_count',
+    'checksum_sha256',
+    'document_number',
+    'issuing_authority',
+    'issue_date',
+    'expiry_date',
+    'vehicle_make',
+    'vehicle_model',
+    'vehicle_year',
+    'vehicle_plate',
+    'rejection_reason',
+    'quarantine_reason',
+    'uploaded_at',
+    'verified_at',
+    'created_at',
+    'updated_at',
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// driver_profiles columns referencing documents, cleared on erasure
+const PROFILE_DOCUMENT_COLUMNS = [
+    'license_document_id',
+    'insurance_document_id',
+    'registration_document_id',
+    'inspection_document_id',
+    'profile_photo_document_id',
+];
+
+/**
+ * Raised when a driver's files exceed the export size limit
+ */
+class ExportTooLargeError extends Error {
+    constructor(totalBytes, maxBytes) {
+        super(`Export of ${totalBytes} bytes exceeds the ${maxBytes}-byte limit`);
+        this.name = 'ExportTooLargeError';
+        this.statusCode = 413;
+        this.totalBytes = totalBytes;
+        this.maxBytes = maxBytes;
+    }
+}
+
+/**
+ * Check whether a value is a UUID (driver and tenant IDs become key prefixes)
+ */
+function isValidUuid(value) {
+    return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+/**
+ * Key prefixes holding a driver's objects: documents and exports, and the
+ * quarantine copies of their uploads
+ */
+function driverKeyPrefixes(tenantId, driverId) {
+    return [`${tenantId}/${driverId}/`, `quarantine/${tenantId}/${driverId}/`];
+}
+
+/**
+ * Path of one of a document's files inside the export archive
+ *
+ * Files of multi-file documents are named by part: v1_{id}_front_{file}.
+ */
+function archivePath(document, file) {
+    const fileName = (file.file_name || 'document').replace(/[^a-zA-Z0-9._-]/g, '_');
+    const part = document.file_count > 1 ? `_${file.part_name || `p${file.part_number}`}` : '';
+    return `documents/${document.document_type}/v${document.version_number || 1}_${document.id}${part}_${fileName}`;
+}
+
+/**
+ * Permanently delete every object version (delete markers included) under
+ * a prefix, optionally only for keys matching a predicate
+ *
+ * Returns the number of versions deleted.
+ */
+async function deleteVersionsUnder(s3, bucket, prefix, matches = () => true) {
+    let deleted = 0;
+    let markers = {};
+
+    do {
+        const page = await s3.client.send(new s3.ListObjectVersionsCommand({ Bucket: bucket, Prefix: prefix, ...markers }));
+        const versions = [...(page.Versions || []), ...(page.DeleteMarkers || [])]
+            .filter(version => matches(version.Key));
+
+        for (const version of versions) {
+            await s3.client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: version.Key, VersionId: version.VersionId }));
+            deleted += 1;
+        }
+
+        markers = page.IsTruncated
+            ? { KeyMarker: page.NextKeyMarker, VersionIdMarker: page.NextVersionIdMarker }
+            : null;
+    } while (markers);
+
+    return deleted;
+}
+
+/**
+ * Get a driver's documents for export, oldest first (withdrawn ones excluded)
+ */
+async function getExportDocuments(db, driverId, tenantId) {
+    const query = `
+        SELECT ${EXPORTED_FIELDS.join(', ')}, tenant_id, s3_bucket, s3_key, s3_version_id
+        FROM driver_documents
+        WHERE driver_id = $1
+          AND tenant_id = $2
+          AND deleted_at IS NULL
+        ORDER BY document_type, version_number, created_at
+    `;
+
+    const result = await db.query(query, [driverId, tenantId]);
+    return result.rows;
+}
+
+/**
+ * Build a driver's export archive and store it in S3
+ *
+ * Files are included for documents with stored, verified files; other
+ * documents appear in the manifest only. Throws ExportTooLargeError before
+ * reading any file if their recorded total size exceeds maxBytes, or before
+ * reading the file that would take the stored total past it.
+ *
+ * Returns { key, size, manifest }.
+ */
+async function createDriverExport(db, s3, { driverId, tenantId, maxBytes }) {
+    const documents = await getExportDocuments(db, driverId, tenantId);
+    const withFiles = documents.filter(document => VIEWABLE_STATUSES.includes(document.status) && document.s3_key);
+
+    const totalBytes = withFiles.reduce((sum, document) => sum + Number(document.file_size_bytes || 0), 0);
+    if (totalBytes > maxBytes) {
+        throw new ExportTooLargeError(totalBytes, maxBytes);
+    }
+
+    const generatedAt = new Date();
+    const entries = [];
+    const manifestDocuments = [];
+    let readBytes = 0;
+
+    for (const document of documents) {
+        const metadata = {};
+        EXPORTED_FIELDS.forEach(field => {
+            metadata[field] = document[field] ?? null;
+        });
+
+        const history = summarizeForDriver(await getDocumentEvents(db, document.id, tenantId));
+        const paths = [];
+
+        if (withFiles.includes(document)) {
+            for (const file of await getDocumentFiles(db, document)) {
+                assertTenantKey(file.s3_key, tenantId);
+
+                const response = await s3.client.send(new s3.GetObjectCommand({
+                    Bucket: file.s3_bucket || s3.bucket,
+                    Key: file.s3_key,
+                    VersionId: file.s3_version_id || undefined
+                }));
+
+                readBytes += response.ContentLength || 0;
+                if (readBytes > maxBytes) {
+                    response.Body?.destroy?.();
+                    throw new ExportTooLargeError(readBytes, maxBytes);
+                }
+
+                const path = archivePath(document, file);
+                paths.push(path);
+                entries.push({
+                    name: path,
+                    data: Buffer.from(await response.Body.transformToByteArray()),
+                    modifiedAt: file.uploaded_at || document.uploaded_at || document.created_at
+                });
+            }
+        }
+
+        // file: the first file, as in format version 1
+        manifestDocuments.push({ ...metadata, file: paths[0] || null, files: paths, history });
+    }
+
+    const manifest = {
+        format_version: EXPORT_FORMAT_VERSION,
+        driver_id: driverId,
+        tenant_id: tenantId,
+        generated_at: generatedAt.toISOString(),
+        document_count: manifestDocuments.length,
+        file_count: entries.length,
+        documents: manifestDocuments
+    };
+
+    const archive = createZipArchive([
+        { name: 'manifest.json', data: JSON.stringify(manifest, null, 2), modifiedAt: generatedAt },
+        ...entries
+    ]);
+
+    const timestamp = generatedAt.toISOString().replace(/[:.]/g, '-');
+    const key = `${tenantId}/${driverId}/exports/${timestamp}_documents_export.zip`;
+
+    await s3.client.send(new s3.PutObjectCommand({
+        Bucket: s3.bucket,
+        Key: key,
+        Body: archive,
+        ContentType: 'application/zip',
+        Tagging: `${EXPORT_TAG_KEY}=true`
+    }));
+
+    return { key, size: archive.length, manifest };
+}
+
+/**
+ * Erase everything held on a driver within a tenant
+ *
+ * erasure: { driverId, tenantId, source, actor, reason, requestId } - source
+ * is one of ERASURE_SOURCES, actor the audit trail actor ({ type, id }).
+ *
+ * Runs in one transaction: the rows are locked and deleted, then the S3
+ * objects, so if S3 fails the rows stay and the erasure can be retried.
+ * Rows already removed (e.g. by the users foreign key cascade) are fine:
+ * the key prefixes are swept regardless. Returns the driver_erasures row.
+ */
+async function eraseDriverData(db, s3, { driverId, tenantId, source, actor, reason, requestId }) {
+    if (!ERASURE_SOURCES.includes(source)) {
+        throw new Error(`Unknown erasure source: ${source}`);
+    }
+
+    if (!isValidUuid(driverId) || !isValidUuid(tenantId)) {
+        throw new Error('Erasure requires a driver ID and tenant ID');
+    }
+
+    try {
+        await db.query('BEGIN');
+
+        // Legacy documents without a tenant belong to the driver too
+        const documents = await db.query(
+            `SELECT id, driver_id, tenant_id, status, s3_bucket, s3_key
+            FROM driver_documents
+            WHERE driver_id = $1
+              AND (tenant_id = $2 OR tenant_id IS NULL)
+            FOR UPDATE`,
+            [driverId, tenantId]
+        );
+
+        for (const document of documents.rows) {
+            await recordDocumentEvent(db, {
+                documentId: document.id,
+                driverId,
+                tenantId: document.tenant_id,
+                eventType: EVENT_TYPES.ERASED,
+                actor,
+                requestId,
+                // Status only: the trail must not keep a copy of the erased data
+                before: { status: document.status },
+                after: null
+            });
+        }
+
+        // Extracted fields, reminders and idempotency keys cascade with the documents
+        await db.query(
+            'DELETE FROM driver_documents WHERE id = ANY($1)',
+            [documents.rows.map(document => document.id)]
+        );
+        await db.query('DELETE FROM driver_notifications WHERE driver_id = $1', [driverId]);
+        await db.query('DELETE FROM driver_notification_preferences WHERE driver_id = $1', [driverId]);
+
+        await db.query(
+            `UPDATE driver_profiles
+            SET
+                ${PROFILE_DOCUMENT_COLUMNS.map(column => `${column} = NULL`).join(', ')},
+                documents_complete = FALSE,
+                documents_verified_at = NULL,
+                status = CASE
+                    WHEN status = 'active' THEN 'pending_documents'
+                    ELSE status
+                END,
+                updated_at = NOW()
+            WHERE user_id = $1`,
+            [driverId]
+        );
+
+        // Everything under the driver's prefixes, then any file stored elsewhere
+        const prefixes = driverKeyPrefixes(tenantId, driverId);
+        let objectVersionsDeleted = 0;
+
+        for (const prefix of prefixes) {
+            objectVersionsDeleted += await deleteVersionsUnder(s3, s3.bucket, prefix);
+        }
+
+        for (const document of documents.rows) {
+            if (!document.s3_key || prefixes.some(prefix => document.s3_key.startsWith(prefix))) continue;
+
+            if (document.tenant_id) {
+                assertTenantKey(document.s3_key, document.tenant_id);
+            }
+
+            const bucket = document.s3_bucket || s3.bucket;
+            for (const key of [document.s3_key, `quarantine/${document.s3_key}`]) {
+                objectVersionsDeleted += await deleteVersionsUnder(s3, bucket, key, candidate => candidate === key);
+            }
+            objectVersionsDeleted += await deleteVersionsUnder(s3, bucket, renditionPrefix(document.s3_key));
+        }
+
+        const erasure = await db.query(
+            `INSERT INTO driver_erasures (
+                driver_id, tenant_id, source, requested_by, reason,
+                documents_deleted, object_versions_deleted, request_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *`,
+            [
+                driverId,
+                tenantId,
+                source,
+                actor.id || null,
+                reason || null,
+                documents.rows.length,
+                objectVersionsDeleted,
+                requestId || null
+            ]
+        );
+
+        await db.query('COMMIT');
+        return erasure.rows[0];
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    }
+}
+
+module.exports = {
+    EXPORT_FORMAT_VERSION,
+    EXPORT_TAG_KEY,
+    ERASURE_SOURCES,
+    ExportTooLargeError,
+    isValidUuid,
+    driverKeyPrefixes,
+    deleteVersionsUnder,
+    createDriverExport,
+    eraseDriverData,
+};
@@ -0,0 +1,27 @@
+/**
+ * Shared Compliance Modules
+ *
+ * Code shared by the document-upload, document-review, document-expiry and
+ * document-retention Lambdas. Each Lambda depends on this package via
+ * "file:../shared", so it is bundled into every deployment package. Modules
+ * must not require third-party packages: AWS clients and database
+ * connections are passed in by callers.
+ */
+
+module.exports = {
+    documentStates: require('./document-states'),
+    documentEvents: require('./document-events'),
+    notificationTemplates: require('./notification-templates'),
+    notifications: require('./notifications'),
+    compliancePolicies: require('./compliance-policies'),
+    tenancy: require('./tenancy'),
+    permissions: require('./permissions'),
+    extraction: require('./extraction'),
+    documentVersions: require('./document-versions'),
+    storageLifecycle: require('./storage-lifecycle'),
+    zipArchive: require('./zip-archive'),
+    driverData: require('./driver-data'),
+    malwareScanning: require('./malware-scanning'),
+    renditions: require('./renditions'),
+    documentFiles: require('./document-files'),
+};
@@ -0,0 +1,214 @@
+/**
+ * Malware Scanning
+ *
+ * Scans uploaded files before they reach a reviewer. Documents wait in the
+ * 'scanning' status, hidden from the review queue and view URLs, until the
+ * scanner reports them clean; infected files are quarantined.
+ *
+ * Scanners share one interface, { provider, scan(data) }, resolving to
+ * { clean, signature } (signature names the malware found, null if clean)
+ * and rejecting when the file could not be scanned. data is a Buffer or a
+ * stream of chunks (e.g. a GetObject Body), which is never buffered whole.
+ * Build them with createScanner: 'clamav' streams the file to a clamd
+ * daemon (INSTREAM command over TCP); 'local' only recognizes the EICAR
+ * test file, for tests and local runs.
+ */
+
+const net = require('net');
+const { once } = require('events');
+
+const SCAN_STATUSES = {
+    CLEAN: 'clean',
+    INFECTED: 'infected',
+    FAILED: 'failed',
+};
+
+// quarantine_reason of documents whose file failed the scan
+const MALWARE_QUARANTINE_REASON = 'malware_detected';
+
+// clamd INSTREAM chunk size (well under clamd's default StreamMaxLength)
+const CLAMAV_CHUNK_BYTES = 64 * 1024;
+
+const EICAR_MARKER = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+/**
+ * Interpret a clamd INSTREAM reply, e.g. 'stream: OK' or
+ * 'stream: Win.Test.EICAR_HDB-1 FOUND'; anything else is an error
+ */
+function parseClamdReply(reply) {
+    const text = reply.replace(/\0/g, '').trim();
+
+    if (/^stream: OK$/.test(text)) {
+        return { clean: true, signature: null };
+    }
+
+    const found = text.match(/^stream: (.+) FOUND$/);
+    if (found) {
+        return { clean: false, signature: found[1] };
+    }
+
+    throw new Error(`ClamAV scan failed: ${text || 'empty reply'}`);
+}
+
+/**
+ * The chunks of a Buffer or of a stream (any async iterable of byte arrays)
+ */
+async function* chunksOf(data) {
+    if (data instanceof Uint8Array) {
+        yield Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        return;
+    }
+
+    for await (const chunk of data) {
+        yield Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    }
+}
+
+/**
+ * Stream a file to clamd and return its raw reply
+ *
+ * Writes wait for the socket to drain, so at most a chunk or two of the file
+ * is held in memory. clamd closes the connection early when the stream
+ * exceeds its StreamMaxLength; its reply then says so.
+ */
+async function clamdInstream({ host, port, timeoutMs }, data) {
+    const socket = net.createConnection({ host, port });
+
+    socket.setTimeout(timeoutMs, () => {
+        socket.destroy(new Error(`ClamAV did not reply within ${timeoutMs} ms`));
+    });
+
+    const reply = new Promise((resolve, reject) => {
+        const chunks = [];
+        socket.on('data', chunk => chunks.push(chunk));
+        // Writing on after clamd closed resets the connection; keep its reply
+        socket.on('error', error => {
+            if (chunks.length > 0) {
+                resolve(Buffer.concat(chunks).toString('utf8'));
+            } else {
+                reject(error);
+            }
+        });
+        socket.on('close', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    });
+    // Observed below; keeps an early failure from going unhandled meanwhile
+    reply.catch(() => {});
+
+    const write = async buffer => {
+        if (!socket.write(buffer)) {
+            await Promise.race([once(socket, 'drain'), reply]);
+        }
+    };
+
+    try {
+        await Promise.race([once(socket, 'connect'), reply]);
+        await write(Buffer.from('zINSTREAM\0'));
+
+        for await (const part of chunksOf(data)) {
+            for (let offset = 0; offset < part.length && !socket.destroyed; offset += CLAMAV_CHUNK_BYTES) {
+                const chunk = part.subarray(offset, offset + CLAMAV_CHUNK_BYTES);
+                const size = Buffer.alloc(4);
+                size.writeUInt32BE(chunk.length, 0);
+                await write(size);
+                await write(chunk);
+            }
+
+            if (socket.destroyed) break;
+        }
+
+        // Zero-length chunk ends the stream
+        if (!socket.destroyed) {
+            socket.write(Buffer.alloc(4));
+        }
+    } catch (error) {
+        socket.destroy();
+        throw error;
+    }
+
+    return reply;
+}
+
+/**
+ * Scanner backed by a clamd daemon
+ *
+ * options: { host, port (default 3310), timeoutMs (default 30000) }. Without
+ * a host every scan fails, so uploads stay in 'scanning' rather than pass
+ * unscanned.
+ */
+function createClamavScanner({ host, port = 3310, timeoutMs = 30000 } = {}) {
+    return {
+        provider: 'clamav',
+        async scan(data) {
+            if (!host) {
+                throw new Error('ClamAV host is not configured');
+            }
+            return parseClamdReply(await clamdInstream({ host, port: Number(port), timeoutMs }, data));
+        }
+    };
+}
+
+/**
+ * Local stub: flags the EICAR test file, passes everything else
+ */
+function createLocalScanner() {
+    return {
+        provider: 'local',
+        async scan(data) {
+            // Keep the end of the previous chunk in case the marker spans two
+            let tail = Buffer.alloc(0);
+
+            for await (const chunk of chunksOf(data)) {
+                const window = Buffer.concat([tail, chunk]);
+                if (window.includes(EICAR_MARKER)) {
+                    return { clean: false, signature: 'Win.Test.EICAR_HDB-1' };
+                }
+                tail = window.subarray(Math.max(0, window.length - EICAR_MARKER.length + 1));
+            }
+
+            return { clean: true, signature: null };
+        }
+    };
+}
+
+/**
+ * Build a scanner
+ *
+ * provider: 'clamav', 'local' or 'none' (returns null: scanning disabled)
+ * options.clamav: { host, port, timeoutMs }
+ */
+function createScanner(provider, options = {}) {
+    switch (provider) {
+        case 'clamav':
+            return createClamavScanner(options.clamav);
+        case 'local':
+            return createLocalScanner();
+        case 'none':
+        case '':
+        case undefined:
+            return null;
+        default:
+            throw new Error(`Unknown scanner provider: ${provider}`);
+    }
+}
+
+/**
+ * Scan a file (Buffer or stream of chunks), returning { provider, status,
+ * signature }
+ */
+async function scanFile(scanner, data) {
+    const result = await scanner.scan(data);
+
+    return {
+        provider: scanner.provider,
+        status: result.clean ? SCAN_STATUSES.CLEAN : SCAN_STATUSES.INFECTED,
+        signature: result.clean ? null : (result.signature || 'unknown')
+    };
+}
+
+module.exports = {
+    SCAN_STATUSES,
+    MALWARE_QUARANTINE_REASON,
+    parseClamdReply,
+    createScanner,
+    scanFile,
+};
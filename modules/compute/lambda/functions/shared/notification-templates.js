@@ -0,0 +1,108 @@
+/**
+ * Driver Notification Templates
+ *
+ * Each template renders a subject and body (email) and a short text
+ * (SMS and push) from the data passed by the sending Lambda.
+ */
+
+const TEMPLATE_NAMES = {
+    EXPIRING_SOON: 'document_expiring_soon',
+    EXPIRED: 'document_expired',
+    APPROVED: 'document_approved',
+    REJECTED: 'document_rejected',
+    QUARANTINED: 'document_quarantined',
+    VERIFICATION_COMPLETE: 'verification_complete',
+};
+
+/**
+ * Human-readable document type, e.g. 'profile_photo' -> 'profile photo'
+ */
+function documentLabel(documentType) {
+    return (documentType || 'document').replace(/_/g, ' ');
+}
+
+/**
+ * Format a DATE column (pg returns a Date) as YYYY-MM-DD
+ */
+function formatDate(value) {
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+}
+
+/**
+ * 'today', 'tomorrow' or 'in N days'
+ */
+function expiresIn(days) {
+    if (Number(days) === 0) return 'today';
+    if (Number(days) === 1) return 'tomorrow';
+    return `in ${days} days`;
+}
+
+const TEMPLATES = {
+    [TEMPLATE_NAMES.EXPIRING_SOON]: {
+        subject: data => `Your ${documentLabel(data.documentType)} expires ${expiresIn(data.daysUntilExpiry)}`,
+        body: data => [
+            `Your ${documentLabel(data.documentType)} on file expires on ${formatDate(data.expiryDate)}.`,
+            'Upload a renewed document before then to keep driving without interruption.',
+        ].join('\n\n'),
+        short: data => `VeHealth: your ${documentLabel(data.documentType)} expires on ${formatDate(data.expiryDate)}. Upload a renewed copy in the app.`,
+    },
+    [TEMPLATE_NAMES.EXPIRED]: {
+        subject: data => `Your ${documentLabel(data.documentType)} has expired`,
+        body: data => [
+            `Your ${documentLabel(data.documentType)} expired on ${formatDate(data.expiryDate)}.`,
+            'Upload a current document in the app to restore your account.',
+        ].join('\n\n'),
+        short: data => `VeHealth: your ${documentLabel(data.documentType)} has expired. Upload a current copy in the app.`,
+    },
+    [TEMPLATE_NAMES.APPROVED]: {
+        subject: data => `Your ${documentLabel(data.documentType)} was approved`,
+        body: data => `Your ${documentLabel(data.documentType)} has been reviewed and approved.`,
+        short: data => `VeHealth: your ${documentLabel(data.documentType)} was approved.`,
+    },
+    [TEMPLATE_NAMES.REJECTED]: {
+        subject: data => `Your ${documentLabel(data.documentType)} needs attention`,
+        body: data => [
+            `Your ${documentLabel(data.documentType)} could not be approved.`,
+            `Reason: ${data.rejectionReason}`,
+            'Upload a new copy in the app.',
+        ].join('\n\n'),
+        short: data => `VeHealth: your ${documentLabel(data.documentType)} was not approved (${data.rejectionReason}). Upload a new copy in the app.`,
+    },
+    [TEMPLATE_NAMES.QUARANTINED]: {
+        subject: data => `Your ${documentLabel(data.documentType)} upload could not be accepted`,
+        body: data => [
+            `The file you uploaded for your ${documentLabel(data.documentType)} failed our security check and has been removed.`,
+            'Upload a new copy in the app, ideally a fresh photo or scan of the original document.',
+        ].join('\n\n'),
+        short: data => `VeHealth: your ${documentLabel(data.documentType)} upload failed our security check. Upload a new copy in the app.`,
+    },
+    [TEMPLATE_NAMES.VERIFICATION_COMPLETE]: {
+        subject: () => 'Your documents are verified',
+        body: () => 'All of your required documents have been approved. You are ready to drive.',
+        short: () => 'VeHealth: all your documents are verified. You are ready to drive.',
+    },
+};
+
+/**
+ * Render a template to { subject, body, short }
+ */
+function renderTemplate(name, data = {}) {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown notification template: ${name}`);
+    }
+
+    return {
+        subject: template.subject(data),
+        body: template.body(data),
+        short: template.short(data),
+    };
+}
+
+module.exports = {
+    TEMPLATE_NAMES,
+    TEMPLATES,
+    documentLabel,
+    formatDate,
+    renderTemplate,
+};
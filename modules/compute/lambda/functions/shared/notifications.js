@@ -0,0 +1,267 @@
+/**
+ * Driver Notifications
+ *
+ * Sends templated notifications to drivers over email (SES), SMS (SNS) and
+ * push (SNS platform endpoints), and records every delivery attempt in
+ * driver_notifications. Callers build the channel adapters with their own AWS
+ * clients (see createChannels); the 'local' transport writes messages to a
+ * file or the console instead, for tests and local runs.
+ */
+
+const fs = require('fs');
+const { renderTemplate } = require('./notification-templates');
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+const DELIVERY_STATUSES = {
+    SENT: 'sent',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+};
+
+/**
+ * Email adapter backed by SES
+ */
+function createEmailAdapter({ client, SendEmailCommand, from }) {
+    return {
+        channel: 'email',
+        async send(recipient, message) {
+            const response = await client.send(new SendEmailCommand({
+                Source: from,
+                Destination: { ToAddresses: [recipient] },
+                Message: {
+                    Subject: { Data: message.subject },
+                    Body: { Text: { Data: message.body } }
+                }
+            }));
+            return { messageId: response.MessageId };
+        }
+    };
+}
+
+/**
+ * SMS adapter backed by SNS direct publish
+ */
+function createSmsAdapter({ client, PublishCommand }) {
+    return {
+        channel: 'sms',
+        async send(recipient, message) {
+            const response = await client.send(new PublishCommand({
+                PhoneNumber: recipient,
+                Message: message.short,
+                MessageAttributes: {
+                    'AWS.SNS.SMS.SMSType': { DataType: 'String', StringValue: 'Transactional' }
+                }
+            }));
+            return { messageId: response.MessageId };
+        }
+    };
+}
+
+/**
+ * Push adapter backed by SNS platform application endpoints
+ */
+function createPushAdapter({ client, PublishCommand }) {
+    return {
+        channel: 'push',
+        async send(recipient, message) {
+            const response = await client.send(new PublishCommand({
+                TargetArn: recipient,
+                Subject: message.subject,
+                Message: message.short
+            }));
+            return { messageId: response.MessageId };
+        }
+    };
+}
+
+/**
+ * Local adapter: appends messages as JSON lines to outboxFile, or logs them
+ */
+function createLocalAdapter(channel, { outboxFile } = {}) {
+    return {
+        channel,
+        async send(recipient, message) {
+            const messageId = `local-${channel}-${Date.now()}`;
+            const line = JSON.stringify({ messageId, channel, recipient, ...message });
+
+            if (outboxFile) {
+                fs.appendFileSync(outboxFile, line + '\n');
+            } else {
+                console.log(`NOTIFICATION: ${line}`);
+            }
+
+            return { messageId };
+        }
+    };
+}
+
+/**
+ * Build channel adapters
+ *
+ * names: channels to enable, e.g. 'email,sms,push'
+ * options.transport: 'aws' (default) or 'local'
+ * options.ses: { client, SendEmailCommand }, options.sns: { client, PublishCommand }
+ * options.emailFrom: SES sender address; options.outboxFile: local transport output
+ */
+function createChannels(names, options = {}) {
+    const requested = (Array.isArray(names) ? names : String(names || '').split(','))
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    const unknown = requested.filter(name => !CHANNELS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown notification channel: ${unknown.join(', ')}`);
+    }
+
+    return requested.map(name => {
+        if (options.transport === 'local') {
+            return createLocalAdapter(name, options);
+        }
+
+        switch (name) {
+            case 'email':
+                return createEmailAdapter({ ...options.ses, from: options.emailFrom });
+            case 'sms':
+                return createSmsAdapter(options.sns);
+            default:
+                return createPushAdapter(options.sns);
+        }
+    });
+}
+
+/**
+ * Get a driver's contact details and channel preferences (null if no user)
+ */
+async function getDriverRecipients(db, driverId) {
+    const query = `
+        SELECT
+            COALESCE(p.email, u.email) AS email,
+            p.phone_number AS sms,
+            p.push_endpoint_arn AS push,
+            COALESCE(p.email_enabled, TRUE) AS email_enabled,
+            COALESCE(p.sms_enabled, TRUE) AS sms_enabled,
+            COALESCE(p.push_enabled, TRUE) AS push_enabled
+        FROM users u
+        LEFT JOIN driver_notification_preferences p ON p.driver_id = u.id
+        WHERE u.id = $1
+    `;
+
+    const result = await db.query(query, [driverId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Record a delivery attempt
+ */
+async function recordDelivery(db, delivery) {
+    const query = `
+        INSERT INTO driver_notifications (
+            driver_id, tenant_id, document_id, template, channel, recipient,
+            subject, body, status, provider_message_id, error, sent_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CASE WHEN $9 = 'sent' THEN NOW() END)
+        RETURNING id, channel, status, provider_message_id, error, created_at, sent_at
+    `;
+
+    const values = [
+        delivery.driverId,
+        delivery.tenantId || null,
+        delivery.documentId || null,
+        delivery.template,
+        delivery.channel,
+        delivery.recipient || null,
+        delivery.subject,
+        delivery.body,
+        delivery.status,
+        delivery.messageId || null,
+        delivery.error || null,
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+}
+
+/**
+ * Send a templated notification to a driver on every configured channel
+ *
+ * Never throws for delivery failures: each attempt is recorded as sent,
+ * failed or skipped (no contact details or opted out) and returned.
+ */
+async function sendNotification(db, channels, notification) {
+    const message = renderTemplate(notification.template, notification.data);
+    const recipients = await getDriverRecipients(db, notification.driverId);
+    const deliveries = [];
+
+    for (const adapter of channels) {
+        const recipient = recipients?.[adapter.channel];
+        const delivery = {
+            driverId: notification.driverId,
+            tenantId: notification.tenantId,
+            documentId: notification.documentId,
+            template: notification.template,
+            channel: adapter.channel,
+            recipient,
+            subject: message.subject,
+            body: adapter.channel === 'email' ? message.body : message.short,
+        };
+
+        if (!recipient || !recipients[`${adapter.channel}_enabled`]) {
+            delivery.status = DELIVERY_STATUSES.SKIPPED;
+            delivery.error = recipient ? 'Channel disabled by driver' : 'No recipient on file';
+        } else {
+            try {
+                const result = await adapter.send(recipient, message);
+                delivery.status = DELIVERY_STATUSES.SENT;
+                delivery.messageId = result.messageId;
+            } catch (error) {
+                console.error(`Failed to send ${notification.template} via ${adapter.channel} to driver ${notification.driverId}:`, error);
+                delivery.status = DELIVERY_STATUSES.FAILED;
+                delivery.error = error.message;
+            }
+        }
+
+        deliveries.push(await recordDelivery(db, delivery));
+    }
+
+    return deliveries;
+}
+
+/**
+ * True if at least one delivery actually went out
+ */
+function wasDelivered(deliveries) {
+    return deliveries.some(delivery => delivery.status === DELIVERY_STATUSES.SENT);
+}
+
+/**
+ * Notifications sent to a driver within a tenant, newest first
+ */
+async function getDriverNotifications(db, driverId, tenantId, limit = 50) {
+    const query = `
+        SELECT id, document_id, template, channel, subject, body, sent_at
+        FROM driver_notifications
+        WHERE driver_id = $1
+          AND tenant_id = $2
+          AND status = 'sent'
+        ORDER BY sent_at DESC, id DESC
+        LIMIT $3
+    `;
+
+    const result = await db.query(query, [driverId, tenantId, limit]);
+    return result.rows;
+}
+
+module.exports = {
+    CHANNELS,
+    DELIVERY_STATUSES,
+    createEmailAdapter,
+    createSmsAdapter,
+    createPushAdapter,
+    createLocalAdapter,
+    createChannels,
+    getDriverRecipients,
+    recordDelivery,
+    sendNotification,
+    wasDelivered,
+    getDriverNotifications,
+};
@@ -0,0 +1,106 @@
+/**
+ * Roles and Permissions
+ *
+ * Maps the roles in the custom:roles JWT claim (comma-separated, matched
+ * exactly) to the actions they allow. Users without any role are drivers.
+ * Unknown roles grant nothing.
+ */
+
+const PERMISSIONS = {
+    UPLOAD_OWN_DOCUMENTS: 'own_documents:upload',
+    VIEW_OWN_DOCUMENTS: 'own_documents:view',
+    VIEW_DOCUMENTS: 'documents:view',
+    REVIEW_DOCUMENTS: 'documents:review',
+    OVERRIDE_DECISIONS: 'documents:override',
+    BULK_APPROVE: 'documents:bulk_approve',
+    EXPORT_REPORTS: 'reports:export',
+    PURGE_DATA: 'data:purge',
+};
+
+const ROLES = {
+    DRIVER: 'driver',
+    AUDITOR: 'auditor',
+    REVIEWER: 'reviewer',
+    BACKGROUND_CHECK_REVIEWER: 'background_check_reviewer',
+    SENIOR_REVIEWER: 'senior_reviewer',
+    ADMIN: 'admin',
+    PLATFORM_ADMIN: 'platform_admin',
+};
+
+// Role assumed when the claim is missing or empty
+const DEFAULT_ROLE = ROLES.DRIVER;
+
+const ADMIN_PERMISSIONS = [
+    PERMISSIONS.VIEW_DOCUMENTS,
+    PERMISSIONS.REVIEW_DOCUMENTS,
+    PERMISSIONS.OVERRIDE_DECISIONS,
+    PERMISSIONS.BULK_APPROVE,
+    PERMISSIONS.EXPORT_REPORTS,
+    PERMISSIONS.PURGE_DATA,
+];
+
+const ROLE_PERMISSIONS = {
+    [ROLES.DRIVER]: [PERMISSIONS.UPLOAD_OWN_DOCUMENTS, PERMISSIONS.VIEW_OWN_DOCUMENTS],
+    [ROLES.AUDITOR]: [PERMISSIONS.VIEW_DOCUMENTS, PERMISSIONS.EXPORT_REPORTS],
+    [ROLES.REVIEWER]: [PERMISSIONS.VIEW_DOCUMENTS, PERMISSIONS.REVIEW_DOCUMENTS],
+    [ROLES.BACKGROUND_CHECK_REVIEWER]: [PERMISSIONS.VIEW_DOCUMENTS, PERMISSIONS.REVIEW_DOCUMENTS],
+    [ROLES.SENIOR_REVIEWER]: [
+        PERMISSIONS.VIEW_DOCUMENTS,
+        PERMISSIONS.REVIEW_DOCUMENTS,
+        PERMISSIONS.OVERRIDE_DECISIONS,
+        PERMISSIONS.BULK_APPROVE,
+        PERMISSIONS.EXPORT_REPORTS,
+    ],
+    [ROLES.ADMIN]: ADMIN_PERMISSIONS,
+    [ROLES.PLATFORM_ADMIN]: ADMIN_PERMISSIONS,
+};
+
+// Document types only some reviewing roles may review; other types are open
+// to anyone with documents:review
+const DOCUMENT_TYPE_REVIEW_ROLES = {
+    background_check: [ROLES.BACKGROUND_CHECK_REVIEWER, ROLES.SENIOR_REVIEWER, ROLES.ADMIN, ROLES.PLATFORM_ADMIN],
+};
+
+/**
+ * Parse the custom:roles claim into a list of roles
+ */
+function parseRoles(claim) {
+    const roles = String(claim || '').split(',').map(role => role.trim()).filter(Boolean);
+    return roles.length > 0 ? roles : [DEFAULT_ROLE];
+}
+
+/**
+ * All permissions granted by a list of roles
+ */
+function permissionsFor(roles) {
+    return [...new Set((roles || []).flatMap(role => ROLE_PERMISSIONS[role] || []))];
+}
+
+/**
+ * Check whether any of the roles grants a permission
+ */
+function hasPermission(roles, permission) {
+    return permissionsFor(roles).includes(permission);
+}
+
+/**
+ * Check whether the roles may review a document type
+ */
+function canReviewDocumentType(roles, documentType) {
+    if (!hasPermission(roles, PERMISSIONS.REVIEW_DOCUMENTS)) return false;
+
+    const allowedRoles = DOCUMENT_TYPE_REVIEW_ROLES[documentType];
+    return !allowedRoles || (roles || []).some(role => allowedRoles.includes(role));
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    DEFAULT_ROLE,
+    ROLE_PERMISSIONS,
+    DOCUMENT_TYPE_REVIEW_ROLES,
+    parseRoles,
+    permissionsFor,
+    hasPermission,
+    canReviewDocumentType,
+};
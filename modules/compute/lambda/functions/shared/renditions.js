@@ -0,0 +1,222 @@
+/**
+ * Document Preview Renditions
+ *
+ * Reviewers look at downsized previews instead of full-resolution phone
+ * photos and multi-page PDFs. Each viewable upload gets JPEG renditions at
+ * RENDITION_SIZES, auto-rotated with EXIF metadata (location, camera)
+ * stripped; PDFs are rendered from their first page, and HEIC photos are
+ * converted so every browser can show them.
+ *
+ * Renditions are stored under a key derived from the document's key,
+ * {document key directory}/renditions/{file}/{size}.jpg, so they stay
+ * inside the driver's prefix (tenant checks and erasure cover them), and
+ * recorded in driver_documents.renditions.
+ *
+ * Renderers share one interface, { provider, render(data, mimeType) },
+ * resolving to [{ name, data, width, height }] in RENDITION_SIZES order.
+ * Build them with createRenderer: 'sharp' resizes with the sharp library,
+ * decodes HEIC with heic-decode and rasterizes PDFs with poppler's
+ * pdftoppm. The libraries are passed in by the caller.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Longest edge of each rendition, in pixels (smaller images are not enlarged)
+const RENDITION_SIZES = [
+    { name: 'thumbnail', maxDimension: 320, quality: 70 },
+    { name: 'preview', maxDimension: 1600, quality: 82 },
+];
+
+const RENDITION_CONTENT_TYPE = 'image/jpeg';
+
+// Uploaded file types renditions are generated for
+const RENDITION_SOURCE_TYPES = ['image/jpeg', 'image/png', 'image/heic', 'application/pdf'];
+
+// Key segment between the document's directory and its renditions
+const RENDITIONS_SEGMENT = 'renditions';
+
+// Resolution PDF first pages are rasterized at before resizing
+const PDF_RENDER_DPI = 150;
+
+/**
+ * Key prefix holding a document's renditions
+ */
+function renditionPrefix(s3Key) {
+    const separator = s3Key.lastIndexOf('/');
+    return `${s3Key.slice(0, separator + 1)}${RENDITIONS_SEGMENT}/${s3Key.slice(separator + 1)}/`;
+}
+
+/**
+ * Key of one of a document's renditions
+ */
+function renditionKey(s3Key, name) {
+    return `${renditionPrefix(s3Key)}${name}.jpg`;
+}
+
+/**
+ * Check whether an object key is a rendition rather than an upload
+ *
+ * Document keys end in {document_type}/{file}, and no document type is
+ * named 'renditions'.
+ */
+function isRenditionKey(key) {
+    const segments = key.split('/');
+    return segments.length >= 3 && segments[segments.length - 3] === RENDITIONS_SEGMENT;
+}
+
+/**
+ * Rasterize the first page of a PDF to PNG with pdftoppm
+ */
+async function renderPdfFirstPage(data, { pdftoppmPath, timeoutMs }) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'rendition-'));
+
+    try {
+        const input = path.join(directory, 'document.pdf');
+        const output = path.join(directory, 'page');
+        await fs.writeFile(input, data);
+
+        await new Promise((resolve, reject) => {
+            execFile(
+                pdftoppmPath,
+                ['-f', '1', '-l', '1', '-singlefile', '-png', '-r', String(PDF_RENDER_DPI), input, output],
+                { timeout: timeoutMs },
+                (error, stdout, stderr) => (error ? reject(new Error(`pdftoppm failed: ${stderr || error.message}`)) : resolve())
+            );
+        });
+
+        return await fs.readFile(`${output}.png`);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Renderer backed by the sharp image library
+ *
+ * options: { sharp (the sharp module), decodeHeic (the heic-decode module),
+ * pdftoppmPath (default 'pdftoppm', e.g. from a Lambda layer), timeoutMs
+ * (default 20000, per PDF) }
+ */
+function createSharpRenderer({ sharp, decodeHeic, pdftoppmPath = 'pdftoppm', timeoutMs = 20000 } = {}) {
+    // Decode what sharp cannot read itself: [input, sharp options]
+    async function toImage(data, mimeType) {
+        if (mimeType === 'application/pdf') {
+            return [await renderPdfFirstPage(data, { pdftoppmPath, timeoutMs })];
+        }
+
+        if (mimeType === 'image/heic') {
+            // RGBA pixels, with the file's rotation already applied by libheif
+            const image = await decodeHeic({ buffer: data });
+            const pixels = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+            return [pixels, { raw: { width: image.width, height: image.height, channels: 4 } }];
+        }
+
+        return [data];
+    }
+
+    return {
+        provider: 'sharp',
+        async render(data, mimeType) {
+            const [input, inputOptions] = await toImage(data, mimeType);
+            const renditions = [];
+
+            for (const size of RENDITION_SIZES) {
+                // sharp drops EXIF and other metadata unless asked to keep it
+                const { data: output, info } = await sharp(input, inputOptions)
+                    .rotate()
+                    .resize({
+                        width: size.maxDimension,
+                        height: size.maxDimension,
+                        fit: 'inside',
+                        withoutEnlargement: true
+                    })
+                    .flatten({ background: '#ffffff' })
+                    .jpeg({ quality: size.quality, mozjpeg: true })
+                    .toBuffer({ resolveWithObject: true });
+
+                renditions.push({ name: size.name, data: output, width: info.width, height: info.height });
+            }
+
+            return renditions;
+        }
+    };
+}
+
+/**
+ * Build a renderer
+ *
+ * provider: 'sharp' or 'none' (returns null: renditions disabled)
+ * options.sharp: { sharp, decodeHeic, pdftoppmPath, timeoutMs }
+ */
+function createRenderer(provider, options = {}) {
+    switch (provider) {
+        case 'sharp':
+            return createSharpRenderer(options.sharp);
+        case 'none':
+        case '':
+        case undefined:
+            return null;
+        default:
+            throw new Error(`Unknown rendition provider: ${provider}`);
+    }
+}
+
+/**
+ * Render a document's file and store its renditions
+ *
+ * s3: { client, bucket, PutObjectCommand } - bucket is used for rows
+ * without s3_bucket. Returns the renditions manifest stored in
+ * driver_documents.renditions: { name: { key, width, height, size_bytes } }.
+ */
+async function generateRenditions(s3, renderer, document, data) {
+    const renditions = await renderer.render(data, document.mime_type);
+    const manifest = {};
+
+    for (const rendition of renditions) {
+        const key = renditionKey(document.s3_key, rendition.name);
+
+        await s3.client.send(new s3.PutObjectCommand({
+            Bucket: document.s3_bucket || s3.bucket,
+            Key: key,
+            Body: rendition.data,
+            ContentType: RENDITION_CONTENT_TYPE
+        }));
+
+        manifest[rendition.name] = {
+            key,
+            width: rendition.width,
+            height: rendition.height,
+            size_bytes: rendition.data.length
+        };
+    }
+
+    return manifest;
+}
+
+/**
+ * A document's stored renditions as [{ name, key }], in RENDITION_SIZES order
+ *
+ * document: row with renditions (if selected)
+ */
+function storedRenditions(document) {
+    const manifest = document.renditions || {};
+
+    return RENDITION_SIZES
+        .filter(size => manifest[size.name]?.key)
+        .map(size => ({ name: size.name, key: manifest[size.name].key }));
+}
+
+module.exports = {
+    RENDITION_SIZES,
+    RENDITION_CONTENT_TYPE,
+    RENDITION_SOURCE_TYPES,
+    renditionPrefix,
+    renditionKey,
+    isRenditionKey,
+    createRenderer,
+    generateRenditions,
+    storedRenditions,
+};
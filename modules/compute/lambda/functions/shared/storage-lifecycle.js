@@ -0,0 +1,82 @@
+/**
+ * Document Storage Lifecycle Tags
+ *
+ * Document objects keep their {tenant_id}/{driver_id}/{document_type}/ keys
+ * for life, so the bucket's lifecycle rules select them by a document-status
+ * object tag instead of a key prefix: approved files move to colder storage
+ * (see modules/storage). Deletion is left to the retention job, which
+ * honours each tenant's retention period. Every file of a document carries
+ * the document's tag. Callers tag objects after the status change
+ * commits; driver_documents.s3_lifecycle_tag records the tag applied, and
+ * the retention job re-applies tags that are out of date.
+ *
+ * The S3 client and PutObjectTaggingCommand are passed in by callers.
+ */
+
+const { getDocumentFiles } = require('./document-files');
+
+const LIFECYCLE_TAG_KEY = 'document-status';
+
+// Statuses the lifecycle rules (or their reports) act on
+const LIFECYCLE_TAGGED_STATUSES = ['approved', 'rejected', 'expired'];
+
+/**
+ * Check whether a document's object needs (re)tagging for its status
+ *
+ * document: row with status, s3_key and s3_lifecycle_tag (if selected)
+ */
+function needsLifecycleTag(document) {
+    return LIFECYCLE_TAGGED_STATUSES.includes(document.status)
+        && !!document.s3_key
+        && document.s3_lifecycle_tag !== document.status;
+}
+
+/**
+ * Tag a document's objects with its status and record the tag
+ *
+ * s3: { client, PutObjectTaggingCommand, bucket } - bucket is used for rows
+ * without s3_bucket. Throws if S3 refuses a tag.
+ */
+async function applyLifecycleTag(db, s3, document) {
+    for (const file of await getDocumentFiles(db, document)) {
+        await s3.client.send(new s3.PutObjectTaggingCommand({
+            Bucket: file.s3_bucket || s3.bucket,
+            Key: file.s3_key,
+            Tagging: { TagSet: [{ Key: LIFECYCLE_TAG_KEY, Value: document.status }] }
+        }));
+    }
+
+    await db.query(
+        'UPDATE driver_documents SET s3_lifecycle_tag = $2 WHERE id = $1 AND status = $2',
+        [document.id, document.status]
+    );
+}
+
+/**
+ * Tag the objects of documents whose status changed, logging failures
+ *
+ * A failed tag is left for the retention job to retry. Returns the ids of
+ * the documents tagged.
+ */
+async function syncLifecycleTags(db, s3, documents) {
+    const tagged = [];
+
+    for (const document of documents.filter(needsLifecycleTag)) {
+        try {
+            await applyLifecycleTag(db, s3, document);
+            tagged.push(document.id);
+        } catch (error) {
+            console.error(`Failed to tag object of document ${document.id} as ${document.status}:`, error);
+        }
+    }
+
+    return tagged;
+}
+
+module.exports = {
+    LIFECYCLE_TAG_KEY,
+    LIFECYCLE_TAGGED_STATUSES,
+    needsLifecycleTag,
+    applyLifecycleTag,
+    syncLifecycleTags,
+};
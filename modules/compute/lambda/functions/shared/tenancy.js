@@ -0,0 +1,79 @@
+/**
+ * Tenant Isolation
+ *
+ * Every request runs with a tenant context on its database session, which
+ * the row-level security policies in migration 011 check. Platform access
+ * (platform admins and system jobs that span tenants) bypasses the tenant
+ * match. S3 keys are laid out as {tenant_id}/{driver_id}/..., so a key can be
+ * checked against the tenant it is served for.
+ */
+
+// Roles that may act across tenants
+const PLATFORM_ROLES = ['platform_admin'];
+
+/**
+ * Raised when a caller reaches for another tenant's data
+ */
+class TenantAccessError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TenantAccessError';
+        this.statusCode = 403;
+    }
+}
+
+/**
+ * Check whether any of the roles grants cross-tenant access
+ */
+function hasPlatformRole(roles) {
+    return (roles || []).some(role => PLATFORM_ROLES.includes(role));
+}
+
+/**
+ * Set the tenant context for the database session
+ *
+ * Session-level (not transaction-local) because Lambdas reuse one connection
+ * across queries outside transactions; it must be set at the start of every
+ * invocation so a previous caller's context never carries over. Behind RDS
+ * Proxy this pins the connection for the session.
+ */
+async function setTenantContext(db, { tenantId = null, platform = false } = {}) {
+    await db.query(
+        "SELECT set_config('app.tenant_id', $1, false), set_config('app.platform_access', $2, false)",
+        [tenantId || '', platform ? 'on' : 'off']
+    );
+}
+
+/**
+ * Tenant ID from the first segment of an S3 key (null if none)
+ */
+function tenantFromKey(key) {
+    const [first] = String(key || '').split('/');
+    return /^[0-9a-f-]{36}$/i.test(first) ? first : null;
+}
+
+/**
+ * Check whether an S3 key sits under a tenant's prefix
+ */
+function isTenantKey(key, tenantId) {
+    return Boolean(tenantId) && typeof key === 'string' && key.startsWith(`${tenantId}/`);
+}
+
+/**
+ * Throw TenantAccessError unless the key sits under the tenant's prefix
+ */
+function assertTenantKey(key, tenantId) {
+    if (!isTenantKey(key, tenantId)) {
+        throw new TenantAccessError('Object key is outside the tenant prefix');
+    }
+}
+
+module.exports = {
+    PLATFORM_ROLES,
+    TenantAccessError,
+    hasPlatformRole,
+    setTenantContext,
+    tenantFromKey,
+    isTenantKey,
+    assertTenantKey,
+};
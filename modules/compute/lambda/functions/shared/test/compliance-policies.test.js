@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    COMPLIANCE_STATUSES,
+    unmetReason,
+    graceEndsOn,
+    evaluateCompliance,
+    validateApproval,
+} = require('../compliance-policies');
+
+const TODAY = new Date('2026-06-01T12:00:00Z');
+
+const POLICY = {
+    id: 'policy-1',
+    name: 'Default',
+    tenant_id: null,
+    region: null,
+    requirements: [
+        { document_type: 'insurance', expiry_required: true, min_validity_days: 30, grace_period_days: 14 },
+        { document_type: 'license', expiry_required: true, min_validity_days: 0, grace_period_days: 0 },
+    ]
+};
+
+const approved = (documentType, expiryDate) => ({ document_type: documentType, status: 'approved', expiry_date: expiryDate });
+
+test('unmetReason explains why a document does not satisfy a requirement', () => {
+    const [insurance, license] = POLICY.requirements;
+
+    assert.equal(unmetReason(license, undefined, TODAY), 'missing');
+    assert.equal(unmetReason(license, { status: 'pending' }, TODAY), 'pending');
+    assert.equal(unmetReason(license, { status: 'approved', expiry_date: null }, TODAY), 'expiry_date_required');
+    assert.equal(unmetReason({ ...license, expiry_required: false }, { status: 'approved', expiry_date: null }, TODAY), null);
+    assert.equal(unmetReason(insurance, { status: 'approved', expiry_date: '2026-06-20' }, TODAY), 'insufficient_validity');
+    assert.equal(unmetReason(insurance, { status: 'approved', expiry_date: '2026-07-01' }, TODAY), null);
+});
+
+test('graceEndsOn runs the grace period from when the requirement lapsed', () => {
+    const [insurance] = POLICY.requirements;
+
+    // Lapsed 30 days before expiry (2026-05-21), plus 14 days of grace
+    const ends = graceEndsOn(insurance, [approved('insurance', '2026-06-20')]);
+    assert.equal(ends.toISOString(), '2026-06-04T00:00:00.000Z');
+
+    const expired = graceEndsOn(insurance, [{ status: 'expired', expiry_date: '2026-06-20' }]);
+    assert.equal(expired.toISOString(), '2026-06-04T00:00:00.000Z');
+});
+
+test('graceEndsOn is null without a grace period or a lapsed document', () => {
+    const [insurance, license] = POLICY.requirements;
+
+    assert.equal(graceEndsOn(license, [approved('license', '2026-05-01')]), null);
+    assert.equal(graceEndsOn(insurance, []), null);
+    assert.equal(graceEndsOn(insurance, [{ status: 'rejected', expiry_date: '2026-06-20' }]), null);
+});
+
+test('evaluateCompliance is compliant when every requirement is met', () => {
+    const result = evaluateCompliance(POLICY, [
+        approved('license', '2028-01-01'),
+        approved('insurance', '2027-01-01'),
+    ], TODAY);
+
+    assert.equal(result.status, COMPLIANCE_STATUSES.COMPLIANT);
+    assert.equal(result.allApproved, true);
+    assert.deepEqual(result.requiredDocuments, { insurance: 'approved', license: 'approved' });
+    assert.deepEqual(result.missingDocuments, []);
+    assert.equal(result.graceEndsOn, null);
+    assert.deepEqual(result.policy, { id: 'policy-1', name: 'Default', tenantId: null, region: null });
+});
+
+test('evaluateCompliance is at risk while a lapsed requirement is in grace', () => {
+    const result = evaluateCompliance(POLICY, [
+        approved('license', '2028-01-01'),
+        approved('insurance', '2026-06-20'),
+    ], TODAY);
+
+    assert.equal(result.status, COMPLIANCE_STATUSES.AT_RISK);
+    assert.deepEqual(result.unmet, [
+        { documentType: 'insurance', reason: 'insufficient_validity', graceEndsOn: '2026-06-04' }
+    ]);
+    assert.equal(result.graceEndsOn, '2026-06-04');
+});
+
+test('evaluateCompliance is non-compliant once grace has ended', () => {
+    const result = evaluateCompliance(POLICY, [
+        approved('license', '2028-01-01'),
+        approved('insurance', '2026-06-10'),
+    ], TODAY);
+
+    assert.equal(result.status, COMPLIANCE_STATUSES.NON_COMPLIANT);
+    assert.equal(result.unmet[0].graceEndsOn, null);
+    assert.equal(result.graceEndsOn, null);
+});
+
+test('evaluateCompliance is non-compliant when any requirement has no grace', () => {
+    const result = evaluateCompliance(POLICY, [approved('insurance', '2026-06-20')], TODAY);
+
+    assert.equal(result.status, COMPLIANCE_STATUSES.NON_COMPLIANT);
+    assert.deepEqual(result.missingDocuments, ['insurance', 'license']);
+    assert.equal(result.requiredDocuments.license, 'missing');
+});
+
+test('evaluateCompliance reports against the newest document of a type', () => {
+    const result = evaluateCompliance(POLICY, [
+        { document_type: 'license', status: 'rejected', expiry_date: '2028-01-01' },
+        approved('license', '2026-05-01'),
+        approved('insurance', '2027-01-01'),
+    ], TODAY);
+
+    assert.equal(result.requiredDocuments.license, 'rejected');
+});
+
+test('evaluateCompliance without a policy is non-compliant', () => {
+    const result = evaluateCompliance(null, [approved('license', '2028-01-01')], TODAY);
+
+    assert.equal(result.status, COMPLIANCE_STATUSES.NON_COMPLIANT);
+    assert.equal(result.allApproved, false);
+    assert.equal(result.policy, null);
+});
+
+test('validateApproval checks a reviewer-supplied expiry date', () => {
+    assert.equal(validateApproval(POLICY, 'insurance', '2027-01-01', TODAY), null);
+    assert.equal(validateApproval(POLICY, 'background_check', null, TODAY), null);
+    assert.equal(validateApproval(POLICY, 'license', null, TODAY), 'expiryDate is required to approve license');
+    assert.equal(
+        validateApproval(POLICY, 'insurance', '2026-06-20', TODAY),
+        'insurance must be valid for at least 30 more days'
+    );
+});
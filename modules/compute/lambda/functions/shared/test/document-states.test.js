@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    ACTORS,
+    DOCUMENT_STATUSES,
+    INITIAL_STATUS,
+    TRANSITIONS,
+    InvalidTransitionError,
+    findTransition,
+    canTransition,
+    assertTransition,
+    allowedTransitions,
+    transitionSources,
+} = require('../document-states');
+
+test('every transition moves between known statuses', () => {
+    assert.ok(DOCUMENT_STATUSES.includes(INITIAL_STATUS));
+
+    Object.entries(TRANSITIONS).forEach(([name, transition]) => {
+        transition.from.forEach(from => assert.ok(DOCUMENT_STATUSES.includes(from), `${name} from ${from}`));
+        assert.ok(DOCUMENT_STATUSES.includes(transition.to), `${name} to ${transition.to}`);
+        assert.ok(transition.actors.length > 0, `${name} has no actors`);
+    });
+});
+
+test('findTransition names the transition between two statuses', () => {
+    assert.equal(findTransition('pending', 'under_review'), 'claim');
+    assert.equal(findTransition('under_review', 'pending'), 'release_claim');
+    assert.equal(findTransition('approved', 'expired'), 'expire');
+    assert.equal(findTransition('expired', 'approved'), null);
+});
+
+test('canTransition checks the actor', () => {
+    assert.equal(canTransition('pending', 'under_review', ACTORS.REVIEWER), true);
+    assert.equal(canTransition('pending', 'under_review', ACTORS.DRIVER), false);
+    assert.equal(canTransition('scanning', 'pending', ACTORS.SYSTEM), true);
+    assert.equal(canTransition('scanning', 'pending', ACTORS.DRIVER), false);
+});
+
+test('canTransition accepts any transition sharing a source and target', () => {
+    // approve (reviewer) and auto_approve (system) both go pending -> approved
+    assert.equal(canTransition('pending', 'approved', ACTORS.REVIEWER), true);
+    assert.equal(canTransition('pending', 'approved', ACTORS.SYSTEM), true);
+    assert.equal(canTransition('under_review', 'approved', ACTORS.SYSTEM), false);
+});
+
+test('terminal statuses have no way out', () => {
+    ['withdrawn', 'quarantined', 'expired'].forEach(status => {
+        Object.values(ACTORS).forEach(actor => {
+            assert.deepEqual(allowedTransitions(status, actor), [], `${status} as ${actor}`);
+        });
+    });
+});
+
+test('assertTransition throws InvalidTransitionError with a 409', () => {
+    assert.doesNotThrow(() => assertTransition('rejected', 'withdrawn', ACTORS.DRIVER));
+
+    assert.throws(() => assertTransition('approved', 'withdrawn', ACTORS.DRIVER), error => {
+        assert.ok(error instanceof InvalidTransitionError);
+        assert.equal(error.statusCode, 409);
+        assert.equal(error.from, 'approved');
+        assert.equal(error.to, 'withdrawn');
+        assert.equal(error.actor, ACTORS.DRIVER);
+        return true;
+    });
+});
+
+test('allowedTransitions lists targets for the actor', () => {
+    assert.deepEqual(allowedTransitions('pending', ACTORS.DRIVER), ['withdrawn']);
+    assert.deepEqual(
+        [...new Set(allowedTransitions('pending', ACTORS.REVIEWER))].sort(),
+        ['approved', 'rejected', 'under_review']
+    );
+});
+
+test('transitionSources returns a copy, or none for a disallowed actor', () => {
+    const sources = transitionSources('complete_upload', ACTORS.DRIVER);
+    assert.deepEqual(sources, ['awaiting_upload', 'abandoned']);
+
+    sources.push('pending');
+    assert.deepEqual(TRANSITIONS.complete_upload.from, ['awaiting_upload', 'abandoned']);
+
+    assert.deepEqual(transitionSources('expire', ACTORS.REVIEWER), []);
+    assert.throws(() => transitionSources('resurrect', ACTORS.SYSTEM), /Unknown document status transition/);
+});
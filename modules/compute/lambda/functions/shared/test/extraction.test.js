@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    fieldsForDocumentType,
+    normalizeFields,
+    createExtractor,
+    extractDocument,
+    decideExtraction,
+} = require('../extraction');
+
+const SETTINGS = { auto_approve_enabled: true, auto_approve_min_confidence: 0.95, prefill_min_confidence: 0.8 };
+
+const extraction = (fields, confidence = Math.min(...Object.values(fields).map(field => field.confidence))) => ({
+    provider: 'local',
+    fields,
+    confidence
+});
+
+const LICENSE_FIELDS = {
+    document_number: { value: 'D123', confidence: 0.99 },
+    expiry_date: { value: '2030-01-01', confidence: 0.97 },
+};
+
+test('fieldsForDocumentType is empty for types that are not extracted', () => {
+    assert.ok(fieldsForDocumentType('insurance').includes('vehicle_plate'));
+    assert.ok(!fieldsForDocumentType('license').includes('vehicle_plate'));
+    assert.deepEqual(fieldsForDocumentType('profile_photo'), []);
+});
+
+test('normalizeFields keeps requested fields with usable values', () => {
+    const normalized = normalizeFields({
+        document_number: { value: '  D123  ', confidence: 0.9 },
+        issue_date: { value: 'March 3, 2025', confidence: 1.5 },
+        expiry_date: { value: 'not a date', confidence: 0.9 },
+        vehicle_year: { value: '1850', confidence: 0.9 },
+        issuing_authority: { value: '   ', confidence: 0.9 },
+        vehicle_make: { value: 'Toyota', confidence: 'high' },
+        unknown_field: { value: 'x', confidence: 1 },
+    }, ['document_number', 'issue_date', 'expiry_date', 'vehicle_year', 'issuing_authority', 'vehicle_make']);
+
+    assert.deepEqual(normalized, {
+        document_number: { value: 'D123', confidence: 0.9 },
+        issue_date: { value: '2025-03-03', confidence: 1 },
+        vehicle_make: { value: 'Toyota', confidence: 0 },
+    });
+});
+
+test('normalizeFields truncates text to the column length', () => {
+    const normalized = normalizeFields({ vehicle_plate: { value: 'P'.repeat(40), confidence: 0.9 } }, ['vehicle_plate']);
+
+    assert.equal(normalized.vehicle_plate.value.length, 20);
+});
+
+test('createExtractor builds extractors by provider', () => {
+    assert.equal(createExtractor('local').provider, 'local');
+    assert.equal(createExtractor('none'), null);
+    assert.equal(createExtractor(undefined), null);
+    assert.throws(() => createExtractor('ocr'), /Unknown extraction provider/);
+});
+
+test('the local extractor is deterministic per document', async () => {
+    const extractor = createExtractor('local');
+    const document = { id: 'doc-1', document_type: 'insurance' };
+
+    const first = await extractDocument(extractor, document);
+    const second = await extractDocument(extractor, document);
+    const other = await extractDocument(extractor, { ...document, id: 'doc-2' });
+
+    assert.deepEqual(first, second);
+    assert.equal(first.provider, 'local');
+    assert.equal(first.confidence, 0.99);
+    assert.deepEqual(Object.keys(first.fields).sort(), [...fieldsForDocumentType('insurance')].sort());
+    assert.notEqual(first.fields.document_number.value, other.fields.document_number.value);
+});
+
+test('extractDocument reports the lowest field confidence', async () => {
+    const extractor = createExtractor('local', { fields: { expiry_date: { value: '2031-06-30', confidence: 0.5 } } });
+
+    const result = await extractDocument(extractor, { id: 'doc-1', document_type: 'license' });
+
+    assert.equal(result.fields.expiry_date.value, '2031-06-30');
+    assert.equal(result.confidence, 0.5);
+});
+
+test('extractDocument skips types that are not extracted and disabled extraction', async () => {
+    assert.equal(await extractDocument(createExtractor('local'), { id: 'doc-1', document_type: 'profile_photo' }), null);
+    assert.equal(await extractDocument(null, { id: 'doc-1', document_type: 'license' }), null);
+});
+
+test('decideExtraction approves a confident, complete, compliant extraction', () => {
+    assert.deepEqual(decideExtraction(SETTINGS, 'license', extraction(LICENSE_FIELDS)), {
+        prefill: { document_number: 'D123', expiry_date: '2030-01-01' },
+        autoApprove: true,
+        reason: null
+    });
+});
+
+test('decideExtraction pre-fills only fields above the pre-fill confidence', () => {
+    const fields = { ...LICENSE_FIELDS, issuing_authority: { value: 'DMV', confidence: 0.6 } };
+
+    const decision = decideExtraction(SETTINGS, 'license', extraction(fields));
+
+    assert.deepEqual(decision.prefill, { document_number: 'D123', expiry_date: '2030-01-01' });
+    assert.equal(decision.reason, 'low_confidence');
+});
+
+test('decideExtraction explains why a document goes to a reviewer', () => {
+    const cases = [
+        [decideExtraction(null, 'license', extraction(LICENSE_FIELDS)), 'auto_approval_disabled'],
+        [decideExtraction({ ...SETTINGS, auto_approve_enabled: false }, 'license', extraction(LICENSE_FIELDS)), 'auto_approval_disabled'],
+        [decideExtraction(SETTINGS, 'background_check', extraction(LICENSE_FIELDS)), 'restricted_document_type'],
+        [decideExtraction(SETTINGS, 'license', extraction({ expiry_date: LICENSE_FIELDS.expiry_date })), 'document_number_missing'],
+        [decideExtraction(SETTINGS, 'license', extraction(LICENSE_FIELDS), 'license must be valid for at least 30 more days'), 'policy_not_met'],
+        [decideExtraction(SETTINGS, 'license', extraction(LICENSE_FIELDS), null, ['back']), 'incomplete_file_set'],
+    ];
+
+    cases.forEach(([decision, reason]) => {
+        assert.equal(decision.autoApprove, false);
+        assert.equal(decision.reason, reason);
+    });
+
+    // Without settings nothing is pre-filled
+    assert.deepEqual(cases[0][0].prefill, {});
+});
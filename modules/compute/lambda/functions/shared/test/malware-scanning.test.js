@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const { Readable } = require('stream');
+
+const { SCAN_STATUSES, parseClamdReply, createScanner, scanFile } = require('../malware-scanning');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * Minimal clamd: reads one INSTREAM request and replies 'stream: OK', or
+ * FOUND for the EICAR marker. With maxBytes it refuses longer streams the
+ * way clamd does when StreamMaxLength is exceeded.
+ */
+async function startFakeClamd({ maxBytes = Infinity } = {}) {
+    const received = [];
+
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        let command = null;
+        const file = [];
+        let fileBytes = 0;
+
+        socket.on('data', data => {
+            buffer = Buffer.concat([buffer, data]);
+
+            if (command === null) {
+                const end = buffer.indexOf(0);
+                if (end === -1) return;
+                command = buffer.toString('utf8', 0, end);
+                buffer = buffer.subarray(end + 1);
+            }
+
+            while (buffer.length >= 4) {
+                const size = buffer.readUInt32BE(0);
+
+                if (size === 0) {
+                    const content = Buffer.concat(file);
+                    received.push({ command, content });
+                    socket.end(content.includes('EICAR-STANDARD-ANTIVIRUS-TEST-FILE')
+                        ? 'stream: Win.Test.EICAR_HDB-1 FOUND\0'
+                        : 'stream: OK\0');
+                    return;
+                }
+
+                if (buffer.length < 4 + size) return;
+
+                file.push(buffer.subarray(4, 4 + size));
+                fileBytes += size;
+                buffer = buffer.subarray(4 + size);
+
+                if (fileBytes > maxBytes) {
+                    socket.end('INSTREAM size limit exceeded. ERROR\0');
+                    socket.destroySoon();
+                    return;
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    return { server, port: server.address().port, received };
+}
+
+test('parseClamdReply reads clean, infected and error replies', () => {
+    assert.deepEqual(parseClamdReply('stream: OK\0'), { clean: true, signature: null });
+    assert.deepEqual(parseClamdReply('stream: Win.Test.EICAR_HDB-1 FOUND\0'), { clean: false, signature: 'Win.Test.EICAR_HDB-1' });
+    assert.throws(() => parseClamdReply('INSTREAM size limit exceeded. ERROR\0'), /ClamAV scan failed: INSTREAM size limit exceeded/);
+    assert.throws(() => parseClamdReply(''), /empty reply/);
+});
+
+test('createScanner builds scanners by provider', () => {
+    assert.equal(createScanner('local').provider, 'local');
+    assert.equal(createScanner('clamav', { clamav: { host: 'clamd' } }).provider, 'clamav');
+    assert.equal(createScanner('none'), null);
+    assert.equal(createScanner(undefined), null);
+    assert.throws(() => createScanner('virustotal'), /Unknown scanner provider/);
+});
+
+test('the local scanner flags only the EICAR test file', async () => {
+    const scanner = createScanner('local');
+
+    assert.deepEqual(await scanFile(scanner, Buffer.from('%PDF-1.7 clean')), { provider: 'local', status: SCAN_STATUSES.CLEAN, signature: null });
+    assert.deepEqual(await scanFile(scanner, Buffer.from(EICAR)), { provider: 'local', status: SCAN_STATUSES.INFECTED, signature: 'Win.Test.EICAR_HDB-1' });
+});
+
+test('the local scanner finds the marker split across stream chunks', async () => {
+    const scanner = createScanner('local');
+    const marker = Buffer.from(`${'a'.repeat(100)}${EICAR}${'b'.repeat(100)}`);
+    const chunks = [marker.subarray(0, 130), marker.subarray(130, 131), marker.subarray(131)];
+
+    const result = await scanFile(scanner, Readable.from(chunks));
+    assert.equal(result.status, SCAN_STATUSES.INFECTED);
+
+    const clean = await scanFile(scanner, Readable.from([Buffer.from('EICAR-STANDARD'), Buffer.from('-nothing')]));
+    assert.equal(clean.status, SCAN_STATUSES.CLEAN);
+});
+
+test('the clamav scanner fails without a host', async () => {
+    await assert.rejects(createScanner('clamav').scan(Buffer.from('x')), /ClamAV host is not configured/);
+});
+
+test('the clamav scanner streams the file to clamd in INSTREAM chunks', async t => {
+    const clamd = await startFakeClamd();
+    t.after(() => clamd.server.close());
+
+    const scanner = createScanner('clamav', { clamav: { host: '127.0.0.1', port: clamd.port, timeoutMs: 5000 } });
+    const file = Buffer.alloc(200 * 1024, 'x');
+
+    const clean = await scanFile(scanner, Readable.from([file.subarray(0, 100), file.subarray(100)]));
+    assert.deepEqual(clean, { provider: 'clamav', status: SCAN_STATUSES.CLEAN, signature: null });
+    assert.equal(clamd.received[0].command, 'zINSTREAM');
+    assert.deepEqual(clamd.received[0].content, file);
+
+    const infected = await scanFile(scanner, Buffer.from(EICAR));
+    assert.deepEqual(infected, { provider: 'clamav', status: SCAN_STATUSES.INFECTED, signature: 'Win.Test.EICAR_HDB-1' });
+});
+
+test('the clamav scanner reports clamd refusing an oversized stream', async t => {
+    const clamd = await startFakeClamd({ maxBytes: 64 * 1024 });
+    t.after(() => clamd.server.close());
+
+    const scanner = createScanner('clamav', { clamav: { host: '127.0.0.1', port: clamd.port, timeoutMs: 5000 } });
+    const chunks = Array.from({ length: 64 }, () => Buffer.alloc(64 * 1024, 'x'));
+
+    await assert.rejects(scanner.scan(Readable.from(chunks)), /INSTREAM size limit exceeded/);
+});
+
+test('the clamav scanner fails when clamd is unreachable', async () => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+
+    const scanner = createScanner('clamav', { clamav: { host: '127.0.0.1', port, timeoutMs: 5000 } });
+    await assert.rejects(scanner.scan(Buffer.from('x')), /ECONNREFUSED/);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DELIVERY_STATUSES, createChannels, sendNotification, wasDelivered } = require('../notifications');
+const { TEMPLATE_NAMES } = require('../notification-templates');
+
+/**
+ * Database stub answering the recipient lookup and recording deliveries
+ */
+function createDb(recipients) {
+    const deliveries = [];
+
+    return {
+        deliveries,
+        async query(sql, values) {
+            if (sql.includes('FROM users')) {
+                return { rows: recipients ? [recipients] : [] };
+            }
+
+            const [driverId, tenantId, documentId, template, channel, recipient, subject, body, status, messageId, error] = values;
+            const delivery = { driverId, tenantId, documentId, template, channel, recipient, subject, body, status, messageId, error };
+            deliveries.push(delivery);
+            return { rows: [{ channel, status, provider_message_id: messageId, error }] };
+        }
+    };
+}
+
+const RECIPIENTS = {
+    email: 'driver@example.com',
+    sms: '+15555550100',
+    push: null,
+    email_enabled: true,
+    sms_enabled: false,
+    push_enabled: true,
+};
+
+const NOTIFICATION = {
+    driverId: 'driver-1',
+    tenantId: 'tenant-1',
+    documentId: 'doc-1',
+    template: TEMPLATE_NAMES.REJECTED,
+    data: { documentType: 'license_back', rejectionReason: 'Image is blurry' }
+};
+
+test('createChannels parses channel lists', () => {
+    assert.deepEqual(createChannels(' email, sms ,,push', { transport: 'local' }).map(adapter => adapter.channel), ['email', 'sms', 'push']);
+    assert.deepEqual(createChannels(['sms'], { transport: 'local' }).map(adapter => adapter.channel), ['sms']);
+    assert.deepEqual(createChannels('', { transport: 'local' }), []);
+    assert.throws(() => createChannels('email,fax,pager'), /Unknown notification channel: fax, pager/);
+});
+
+test('the local transport appends messages to the outbox file', async t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const outboxFile = path.join(directory, 'outbox.jsonl');
+
+    const [email] = createChannels('email', { transport: 'local', outboxFile });
+    const result = await email.send('driver@example.com', { subject: 'Hello', body: 'Body', short: 'Short' });
+
+    const lines = fs.readFileSync(outboxFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines, [{
+        messageId: result.messageId,
+        channel: 'email',
+        recipient: 'driver@example.com',
+        subject: 'Hello',
+        body: 'Body',
+        short: 'Short'
+    }]);
+    assert.match(result.messageId, /^local-email-/);
+});
+
+test('sendNotification records a delivery per channel', async () => {
+    const db = createDb(RECIPIENTS);
+    const channels = createChannels('email,sms,push', { transport: 'local', outboxFile: os.devNull });
+
+    const deliveries = await sendNotification(db, channels, NOTIFICATION);
+
+    assert.deepEqual(deliveries.map(delivery => [delivery.channel, delivery.status]), [
+        ['email', DELIVERY_STATUSES.SENT],
+        ['sms', DELIVERY_STATUSES.SKIPPED],
+        ['push', DELIVERY_STATUSES.SKIPPED],
+    ]);
+    assert.equal(db.deliveries[1].error, 'Channel disabled by driver');
+    assert.equal(db.deliveries[2].error, 'No recipient on file');
+    assert.equal(wasDelivered(deliveries), true);
+});
+
+test('sendNotification sends the full body by email and the short text elsewhere', async () => {
+    const db = createDb({ ...RECIPIENTS, sms_enabled: true });
+    const channels = createChannels('email,sms', { transport: 'local', outboxFile: os.devNull });
+
+    await sendNotification(db, channels, NOTIFICATION);
+
+    const [email, sms] = db.deliveries;
+    assert.equal(email.subject, 'Your license back needs attention');
+    assert.match(email.body, /Reason: Image is blurry/);
+    assert.equal(sms.body, 'VeHealth: your license back was not approved (Image is blurry). Upload a new copy in the app.');
+    assert.equal(email.tenantId, 'tenant-1');
+    assert.equal(email.documentId, 'doc-1');
+});
+
+test('sendNotification records failed sends instead of throwing', async t => {
+    t.mock.method(console, 'error', () => {});
+    const db = createDb(RECIPIENTS);
+    const failing = { channel: 'email', send: async () => { throw new Error('SES throttled'); } };
+
+    const deliveries = await sendNotification(db, [failing], NOTIFICATION);
+
+    assert.deepEqual(deliveries, [{ channel: 'email', status: DELIVERY_STATUSES.FAILED, provider_message_id: null, error: 'SES throttled' }]);
+    assert.equal(wasDelivered(deliveries), false);
+});
+
+test('sendNotification skips every channel for an unknown driver', async () => {
+    const db = createDb(null);
+    const channels = createChannels('email,push', { transport: 'local', outboxFile: os.devNull });
+
+    const deliveries = await sendNotification(db, channels, NOTIFICATION);
+
+    assert.deepEqual(deliveries.map(delivery => delivery.status), [DELIVERY_STATUSES.SKIPPED, DELIVERY_STATUSES.SKIPPED]);
+});
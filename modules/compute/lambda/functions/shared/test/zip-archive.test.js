@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crc32, createZipArchive } = require('../zip-archive');
+
+/**
+ * Read an archive back through its central directory
+ */
+function readZipArchive(archive) {
+    const endOffset = archive.length - 22;
+    assert.equal(archive.readUInt32LE(endOffset), 0x06054B50);
+
+    const count = archive.readUInt16LE(endOffset + 10);
+    const directorySize = archive.readUInt32LE(endOffset + 12);
+    const directoryOffset = archive.readUInt32LE(endOffset + 16);
+    assert.equal(directoryOffset + directorySize, endOffset);
+
+    const entries = [];
+    let position = directoryOffset;
+
+    for (let i = 0; i < count; i++) {
+        assert.equal(archive.readUInt32LE(position), 0x02014B50);
+        const nameLength = archive.readUInt16LE(position + 28);
+        const localOffset = archive.readUInt32LE(position + 42);
+        const central = {
+            flags: archive.readUInt16LE(position + 8),
+            method: archive.readUInt16LE(position + 10),
+            time: archive.readUInt16LE(position + 12),
+            date: archive.readUInt16LE(position + 14),
+            crc: archive.readUInt32LE(position + 16),
+            size: archive.readUInt32LE(position + 24),
+            name: archive.toString('utf8', position + 46, position + 46 + nameLength),
+        };
+
+        // The local header repeats the central directory's fields
+        assert.equal(archive.readUInt32LE(localOffset), 0x04034B50);
+        assert.equal(archive.readUInt16LE(localOffset + 6), central.flags);
+        assert.equal(archive.readUInt32LE(localOffset + 14), central.crc);
+        assert.equal(archive.readUInt32LE(localOffset + 18), central.size);
+        assert.equal(archive.readUInt32LE(localOffset + 22), central.size);
+        assert.equal(archive.readUInt16LE(localOffset + 26), nameLength);
+        assert.equal(archive.toString('utf8', localOffset + 30, localOffset + 30 + nameLength), central.name);
+
+        const dataStart = localOffset + 30 + nameLength;
+        entries.push({ ...central, data: archive.subarray(dataStart, dataStart + central.size) });
+        position += 46 + nameLength;
+    }
+
+    return entries;
+}
+
+test('crc32 matches the standard check values', () => {
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+    assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.equal(crc32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x414FA339);
+});
+
+test('createZipArchive stores each entry with its name, size and checksum', () => {
+    const image = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]);
+    const archive = createZipArchive([
+        { name: 'profile.json', data: '{"driver":"d-1"}' },
+        { name: 'documents/license/front.jpg', data: image },
+    ]);
+
+    const entries = readZipArchive(archive);
+
+    assert.deepEqual(entries.map(entry => entry.name), ['profile.json', 'documents/license/front.jpg']);
+    assert.equal(entries[0].data.toString('utf8'), '{"driver":"d-1"}');
+    assert.deepEqual(entries[1].data, image);
+
+    entries.forEach(entry => {
+        assert.equal(entry.method, 0);
+        assert.equal(entry.flags, 0x0800);
+        assert.equal(entry.crc, crc32(entry.data));
+    });
+});
+
+test('createZipArchive writes UTF-8 names', () => {
+    const [entry] = readZipArchive(createZipArchive([{ name: 'documents/permis-de-conduire-été.pdf', data: '%PDF' }]));
+
+    assert.equal(entry.name, 'documents/permis-de-conduire-été.pdf');
+});
+
+test('createZipArchive records the modification time in MS-DOS format', () => {
+    const [entry, early] = readZipArchive(createZipArchive([
+        { name: 'a.txt', data: 'a', modifiedAt: new Date(2026, 4, 17, 13, 45, 31) },
+        { name: 'b.txt', data: 'b', modifiedAt: new Date(1970, 0, 1, 0, 0, 0) },
+    ]));
+
+    assert.equal(entry.time, (13 << 11) | (45 << 5) | 15);
+    assert.equal(entry.date, ((2026 - 1980) << 9) | (5 << 5) | 17);
+
+    // MS-DOS dates start in 1980
+    assert.equal(early.date >> 9, 0);
+});
+
+test('createZipArchive with no entries is an empty archive', () => {
+    const archive = createZipArchive([]);
+
+    assert.equal(archive.length, 22);
+    assert.deepEqual(readZipArchive(archive), []);
+});
@@ -0,0 +1,117 @@
+/**
+ * ZIP Archives
+ *
+ * Minimal ZIP writer for driver data exports. Entries are stored without
+ * compression: document files are already compressed (PDF, JPEG, PNG), and
+ * storing keeps the writer dependency-free. Archives are built in memory,
+ * so callers cap their total size. No ZIP64: entries and archives must stay
+ * under 4 GB.
+ */
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, as ZIP headers record it
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields for a timestamp (local time, 2-second precision)
+ */
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive
+ *
+ * entries: [{ name, data, modifiedAt }] - name is the path inside the
+ * archive ('/'-separated), data a Buffer or string, modifiedAt optional.
+ * Returns the archive as a Buffer.
+ */
+function createZipArchive(entries) {
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+        const { time, date } = dosDateTime(entry.modifiedAt ? new Date(entry.modifiedAt) : new Date());
+        const checksum = crc32(data);
+
+        // Local file header: version 2.0, UTF-8 names (bit 11), stored (method 0)
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034B50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(0x0800, 6);
+        header.writeUInt16LE(0, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(checksum, 14);
+        header.writeUInt32LE(data.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(name.length, 26);
+        header.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt16LE(0, 30);
+        central.writeUInt16LE(0, 32);
+        central.writeUInt16LE(0, 34);
+        central.writeUInt16LE(0, 36);
+        central.writeUInt32LE(0, 38);
+        central.writeUInt32LE(offset, 42);
+
+        parts.push(header, name, data);
+        centralDirectory.push(central, name);
+        offset += header.length + name.length + data.length;
+    }
+
+    const directory = Buffer.concat(centralDirectory);
+
+    // End of central directory record
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    end.writeUInt16LE(0, 20);
+
+    return Buffer.concat([...parts, directory, end]);
+}
+
+module.exports = {
+    crc32,
+    createZipArchive,
+};
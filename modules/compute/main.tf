@@ -5,18 +5,32 @@
 # - document_upload: Handle document uploads to S3
 # - document_review: Review and approve/reject documents
 # - document_expiry: Check for expiring documents
+# - document_retention: Purge documents past their retention period and
+#   erase the data of deleted driver accounts
 # ==============================================================================
 
 locals {
   name_prefix = "${var.project_name}-${var.environment}"
   common_tags = merge(var.tags, { Module = "compute" })
   lambda_environment = {
-    ENVIRONMENT        = var.environment
-    LOG_LEVEL          = var.log_level
-    RDS_PROXY_ENDPOINT = var.rds_proxy_endpoint
-    RDS_SECRET_ARN     = var.rds_secret_arn
-    DATABASE_NAME      = var.database_name
-    DOCUMENTS_BUCKET   = var.documents_bucket_name
+    ENVIRONMENT               = var.environment
+    LOG_LEVEL                 = var.log_level
+    RDS_PROXY_ENDPOINT        = var.rds_proxy_endpoint
+    RDS_SECRET_ARN            = var.rds_secret_arn
+    DATABASE_NAME             = var.database_name
+    DOCUMENTS_BUCKET          = var.documents_bucket_name
+    UPLOAD_MODE               = var.upload_mode
+    NOTIFICATION_CHANNELS     = var.notification_channels
+    NOTIFICATION_EMAIL_FROM   = var.notification_email_from
+    EXPIRY_REMINDER_DAYS      = var.expiry_reminder_days
+    EXTRACTION_PROVIDER       = var.extraction_provider
+    SCANNER_PROVIDER          = var.scanner_provider
+    CLAMAV_HOST               = var.clamav_host
+    CLAMAV_PORT               = var.clamav_port
+    RENDITION_PROVIDER        = var.rendition_provider
+    IDEMPOTENCY_KEY_TTL_HOURS = var.idempotency_key_ttl_hours
+    REVIEW_BATCH_MAX_ITEMS    = var.review_batch_max_items
+    EXPORT_MAX_BYTES          = var.export_max_bytes
   }
 }
 
@@ -91,7 +105,7 @@ resource "aws_iam_role_policy" "lambda_s3" {
     Version = "2012-10-17"
     Statement = [{
       Effect   = "Allow"
-      Action   = ["s3:GetObject", "s3:PutObject", "s3:DeleteObject", "s3:ListBucket"]
+      Action   = ["s3:GetObject", "s3:GetObjectVersion", "s3:PutObject", "s3:DeleteObject", "s3:ListBucket", "s3:ListBucketVersions", "s3:DeleteObjectVersion", "s3:PutObjectTagging"]
       Resource = [
         "arn:aws:s3:::${var.documents_bucket_name}",
         "arn:aws:s3:::${var.documents_bucket_name}/*"
@@ -100,6 +114,43 @@ resource "aws_iam_role_policy" "lambda_s3" {
   })
 }
 
+resource "aws_iam_role_policy" "lambda_notifications" {
+  name = "${local.name_prefix}-compliance-lambda-notifications"
+  role = aws_iam_role.compliance_lambda_role.id
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["ses:SendEmail"]
+        Resource = "*"
+        Condition = {
+          StringEquals = { "ses:FromAddress" = var.notification_email_from }
+        }
+      },
+      {
+        Effect   = "Allow"
+        Action   = ["sns:Publish"]
+        Resource = "*"
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy" "lambda_extraction" {
+  count = var.extraction_provider == "textract" ? 1 : 0
+  name  = "${local.name_prefix}-compliance-lambda-extraction"
+  role  = aws_iam_role.compliance_lambda_role.id
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [{
+      Effect   = "Allow"
+      Action   = ["textract:AnalyzeDocument"]
+      Resource = "*"
+    }]
+  })
+}
+
 # ------------------------------------------------------------------------------
 # Security Group
 # ------------------------------------------------------------------------------
@@ -127,21 +178,28 @@ data "archive_file" "document_upload" {
   type        = "zip"
   source_dir  = "${path.module}/lambda/functions/document-upload"
   output_path = "${path.module}/lambda/functions/document-upload.zip"
-  excludes    = ["build.sh", "*.zip", ".git*"]
+  excludes    = ["build.sh", "*.zip", ".git*", "test/**"]
 }
 
 data "archive_file" "document_review" {
   type        = "zip"
   source_dir  = "${path.module}/lambda/functions/document-review"
   output_path = "${path.module}/lambda/functions/document-review.zip"
-  excludes    = ["build.sh", "*.zip", ".git*"]
+  excludes    = ["build.sh", "*.zip", ".git*", "test/**"]
 }
 
 data "archive_file" "document_expiry" {
   type        = "zip"
   source_dir  = "${path.module}/lambda/functions/document-expiry"
   output_path = "${path.module}/lambda/functions/document-expiry.zip"
-  excludes    = ["build.sh", "*.zip", ".git*"]
+  excludes    = ["build.sh", "*.zip", ".git*", "test/**"]
+}
+
+data "archive_file" "document_retention" {
+  type        = "zip"
+  source_dir  = "${path.module}/lambda/functions/document-retention"
+  output_path = "${path.module}/lambda/functions/document-retention.zip"
+  excludes    = ["build.sh", "*.zip", ".git*", "test/**"]
 }
 
 # ------------------------------------------------------------------------------
@@ -153,8 +211,9 @@ resource "aws_lambda_function" "document_upload" {
   role             = aws_iam_role.compliance_lambda_role.arn
   handler          = "index.handler"
   runtime          = var.lambda_runtime
-  memory_size      = var.lambda_memory_size
-  timeout          = var.lambda_timeout
+  memory_size      = var.document_upload_memory_size
+  timeout          = var.document_upload_timeout
+  layers           = var.rendition_layer_arns
   filename         = data.archive_file.document_upload.output_path
   source_code_hash = data.archive_file.document_upload.output_base64sha256
   description      = "Handle document uploads for driver verification - Stores documents in S3 and creates metadata records"
@@ -169,6 +228,20 @@ resource "aws_lambda_function" "document_upload" {
 
   environment { variables = local.lambda_environment }
   tags = merge(local.common_tags, { Name = "${local.name_prefix}-document-upload", Function = "document-upload" })
+
+  lifecycle {
+    # Without a host every upload would wait in 'scanning'
+    precondition {
+      condition     = var.scanner_provider != "clamav" || var.clamav_host != ""
+      error_message = "clamav_host is required when scanner_provider is clamav."
+    }
+
+    # PDFs, an accepted upload type, are rasterized by pdftoppm from a layer
+    precondition {
+      condition     = var.rendition_provider != "sharp" || length(var.rendition_layer_arns) > 0
+      error_message = "rendition_layer_arns must provide pdftoppm when rendition_provider is sharp."
+    }
+  }
 }
 
 resource "aws_lambda_function" "document_review" {
@@ -217,6 +290,29 @@ resource "aws_lambda_function" "document_expiry" {
   tags = merge(local.common_tags, { Name = "${local.name_prefix}-document-expiry", Function = "document-expiry" })
 }
 
+resource "aws_lambda_function" "document_retention" {
+  function_name    = "${local.name_prefix}-document-retention"
+  role             = aws_iam_role.compliance_lambda_role.arn
+  handler          = "index.handler"
+  runtime          = var.lambda_runtime
+  memory_size      = var.lambda_memory_size
+  timeout          = 300
+  filename         = data.archive_file.document_retention.output_path
+  source_code_hash = data.archive_file.document_retention.output_base64sha256
+  description      = "Purge rejected, superseded, quarantined and withdrawn driver documents past their retention period - Runs scheduled, and on driver account deletion"
+
+  dynamic "vpc_config" {
+    for_each = var.private_subnet_ids != null && length(var.private_subnet_ids) > 0 ? [1] : []
+    content {
+      subnet_ids         = var.private_subnet_ids
+      security_group_ids = compact([aws_security_group.compliance_lambda_sg.id, var.rds_security_group])
+    }
+  }
+
+  environment { variables = local.lambda_environment }
+  tags = merge(local.common_tags, { Name = "${local.name_prefix}-document-retention", Function = "document-retention" })
+}
+
 # ------------------------------------------------------------------------------
 # CloudWatch Log Groups
 # ------------------------------------------------------------------------------
@@ -238,3 +334,105 @@ resource "aws_cloudwatch_log_group" "document_expiry" {
   retention_in_days = var.environment == "prod" ? 90 : 30
   tags              = local.common_tags
 }
+
+resource "aws_cloudwatch_log_group" "document_retention" {
+  name              = "/aws/lambda/${aws_lambda_function.document_retention.function_name}"
+  retention_in_days = var.environment == "prod" ? 90 : 30
+  tags              = local.common_tags
+}
+
+# ------------------------------------------------------------------------------
+# Upload Completion Triggers
+# ------------------------------------------------------------------------------
+
+resource "aws_lambda_permission" "document_upload_s3" {
+  statement_id  = "AllowS3ObjectCreated"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.document_upload.function_name
+  principal     = "s3.amazonaws.com"
+  source_arn    = "arn:aws:s3:::${var.documents_bucket_name}"
+}
+
+resource "aws_s3_bucket_notification" "document_uploaded" {
+  bucket = var.documents_bucket_name
+
+  lambda_function {
+    lambda_function_arn = aws_lambda_function.document_upload.arn
+    events              = ["s3:ObjectCreated:*"]
+  }
+
+  depends_on = [aws_lambda_permission.document_upload_s3]
+}
+
+resource "aws_cloudwatch_event_rule" "abandoned_upload_sweep" {
+  name                = "${local.name_prefix}-abandoned-upload-sweep"
+  description         = "Mark driver documents whose presigned upload URL expired without an upload as abandoned"
+  schedule_expression = var.abandoned_upload_sweep_schedule
+  tags                = local.common_tags
+}
+
+resource "aws_cloudwatch_event_target" "abandoned_upload_sweep" {
+  rule = aws_cloudwatch_event_rule.abandoned_upload_sweep.name
+  arn  = aws_lambda_function.document_upload.arn
+}
+
+resource "aws_lambda_permission" "document_upload_sweep" {
+  statement_id  = "AllowEventBridgeSweep"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.document_upload.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.abandoned_upload_sweep.arn
+}
+
+# ------------------------------------------------------------------------------
+# Retention Schedule
+# ------------------------------------------------------------------------------
+
+resource "aws_cloudwatch_event_rule" "document_retention" {
+  name                = "${local.name_prefix}-document-retention"
+  description         = "Tag document objects for the storage lifecycle rules and purge documents past their retention period"
+  schedule_expression = var.retention_schedule
+  tags                = local.common_tags
+}
+
+resource "aws_cloudwatch_event_target" "document_retention" {
+  rule = aws_cloudwatch_event_rule.document_retention.name
+  arn  = aws_lambda_function.document_retention.arn
+}
+
+resource "aws_lambda_permission" "document_retention_schedule" {
+  statement_id  = "AllowEventBridgeRetention"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.document_retention.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.document_retention.arn
+}
+
+# ------------------------------------------------------------------------------
+# Driver Account Deletion
+# ------------------------------------------------------------------------------
+# Deleting a user cascades to driver_documents but leaves their S3 objects;
+# the account deletion event erases everything under the driver's prefixes.
+
+resource "aws_cloudwatch_event_rule" "driver_account_deleted" {
+  name        = "${local.name_prefix}-driver-account-deleted"
+  description = "Erase a deleted driver's documents, files and notifications"
+  event_pattern = jsonencode({
+    source        = [var.driver_deletion_event_source]
+    "detail-type" = ["Driver Account Deleted"]
+  })
+  tags = local.common_tags
+}
+
+resource "aws_cloudwatch_event_target" "driver_account_deleted" {
+  rule = aws_cloudwatch_event_rule.driver_account_deleted.name
+  arn  = aws_lambda_function.document_retention.arn
+}
+
+resource "aws_lambda_permission" "document_retention_driver_deleted" {
+  statement_id  = "AllowEventBridgeDriverDeleted"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.document_retention.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.driver_account_deleted.arn
+}
@@ -1,16 +1,18 @@
 output "lambda_arns" {
   value = {
-    document_upload = aws_lambda_function.document_upload.arn
-    document_review = aws_lambda_function.document_review.arn
-    document_expiry = aws_lambda_function.document_expiry.arn
+    document_upload    = aws_lambda_function.document_upload.arn
+    document_review    = aws_lambda_function.document_review.arn
+    document_expiry    = aws_lambda_function.document_expiry.arn
+    document_retention = aws_lambda_function.document_retention.arn
   }
 }
 
 output "lambda_function_names" {
   value = {
-    document_upload = aws_lambda_function.document_upload.function_name
-    document_review = aws_lambda_function.document_review.function_name
-    document_expiry = aws_lambda_function.document_expiry.function_name
+    document_upload    = aws_lambda_function.document_upload.function_name
+    document_review    = aws_lambda_function.document_review.function_name
+    document_expiry    = aws_lambda_function.document_expiry.function_name
+    document_retention = aws_lambda_function.document_retention.function_name
   }
 }
 
@@ -38,3 +38,121 @@ variable "tags" {
   type    = map(string)
   default = {}
 }
+
+variable "abandoned_upload_sweep_schedule" {
+  type    = string
+  default = "rate(1 hour)"
+}
+
+variable "retention_schedule" {
+  type    = string
+  default = "cron(0 4 * * ? *)"
+}
+
+variable "upload_mode" {
+  type        = string
+  description = "post (S3 enforces size and type) or put (legacy clients; oversized files are quarantined on completion)"
+  default     = "post"
+
+  validation {
+    condition     = contains(["post", "put"], var.upload_mode)
+    error_message = "upload_mode must be post or put."
+  }
+}
+
+variable "notification_channels" {
+  type    = string
+  default = "email"
+}
+
+variable "notification_email_from" {
+  type    = string
+  default = "no-reply@vehealth.com"
+}
+
+variable "expiry_reminder_days" {
+  type    = string
+  default = "30,14,7,1,0"
+}
+
+variable "extraction_provider" {
+  type        = string
+  description = "textract (billed per page), local (fixed values) or none (no extraction)"
+  default     = "none"
+
+  validation {
+    condition     = contains(["textract", "local", "none"], var.extraction_provider)
+    error_message = "extraction_provider must be textract, local or none."
+  }
+}
+
+variable "scanner_provider" {
+  type        = string
+  description = "clamav (needs clamav_host), local (EICAR-only stub) or none (no scanning)"
+  default     = "none"
+
+  validation {
+    condition     = contains(["clamav", "local", "none"], var.scanner_provider)
+    error_message = "scanner_provider must be clamav, local or none."
+  }
+}
+
+variable "clamav_host" {
+  type        = string
+  description = "clamd host reachable from the Lambda subnets; required when scanner_provider is clamav"
+  default     = ""
+}
+
+variable "clamav_port" {
+  type    = number
+  default = 3310
+}
+
+variable "rendition_provider" {
+  type        = string
+  description = "sharp (needs rendition_layer_arns) or none (no previews)"
+  default     = "none"
+
+  validation {
+    condition     = contains(["sharp", "none"], var.rendition_provider)
+    error_message = "rendition_provider must be sharp or none."
+  }
+}
+
+variable "rendition_layer_arns" {
+  type        = list(string)
+  description = "Layers for the upload Lambda; PDF previews need one providing poppler's pdftoppm in /opt/bin"
+  default     = []
+}
+
+# Decoding phone photos for preview renditions needs more than the other Lambdas
+variable "document_upload_memory_size" {
+  type    = number
+  default = 1024
+}
+
+# Completion verifies, scans, renders and extracts every file of a document in one invocation
+variable "document_upload_timeout" {
+  type    = number
+  default = 120
+}
+
+variable "idempotency_key_ttl_hours" {
+  type    = number
+  default = 24
+}
+
+variable "review_batch_max_items" {
+  type    = number
+  default = 50
+}
+
+variable "export_max_bytes" {
+  type    = number
+  default = 52428800
+}
+
+variable "driver_deletion_event_source" {
+  type    = string
+  default = "vehealth.identity"
+}
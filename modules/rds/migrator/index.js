@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * Compliance Schema Migrator
+ *
+ * Applies the numbered migrations in modules/rds/schema (NNN_name.sql) in
+ * order, recording each as 'compliance-NNN' in schema_versions. Migrations
+ * already recorded are skipped, so the runner can be re-run safely, and a
+ * Postgres advisory lock keeps two runs from overlapping.
+ *
+ * Each migration runs in its own transaction unless the file contains
+ * '-- migrate: no-transaction' (ALTER TYPE ... ADD VALUE), in which case its
+ * statements run one at a time.
+ *
+ * Usage:
+ *   node index.js [--dry-run] [--local]
+ *
+ *   --dry-run  list pending migrations without applying them
+ *   --local    first apply schema/local/000_local_prerequisites.sql, the
+ *              tables normally owned by vehealth-infrastructure (users,
+ *              driver_profiles), for a standalone local Postgres
+ *
+ * Connection: DATABASE_URL, or the standard PGHOST/PGPORT/PGDATABASE/
+ * PGUSER/PGPASSWORD variables. DOCUMENTS_BUCKET, if set, is exposed to
+ * migrations as app.documents_bucket.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+
+const SCHEMA_DIR = process.env.SCHEMA_DIR || path.join(__dirname, '..', 'schema');
+const LOCAL_PREREQUISITES = path.join(SCHEMA_DIR, 'local', '000_local_prerequisites.sql');
+const VERSION_PREFIX = 'compliance-';
+const NO_TRANSACTION_DIRECTIVE = /^--\s*migrate:\s*no-transaction\s*$/m;
+const MIGRATION_FILE = /^(\d{3})_.+\.sql$/;
+
+// Arbitrary key shared by every runner so only one applies migrations at a time
+const ADVISORY_LOCK_KEY = 804120013;
+
+/**
+ * Numbered migrations in the schema directory, in order
+ */
+function listMigrations(schemaDir = SCHEMA_DIR) {
+    return fs.readdirSync(schemaDir)
+        .filter(file => MIGRATION_FILE.test(file))
+        .sort()
+        .map(file => ({
+            version: `${VERSION_PREFIX}${file.match(MIGRATION_FILE)[1]}`,
+            file,
+            path: path.join(schemaDir, file)
+        }));
+}
+
+/**
+ * Versions already recorded in schema_versions
+ */
+async function getAppliedVersions(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_versions (
+            version VARCHAR(50) PRIMARY KEY,
+            description TEXT,
+            applied_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+
+    const result = await db.query('SELECT version FROM schema_versions');
+    return new Set(result.rows.map(row => row.version));
+}
+
+/**
+ * Split a SQL file into statements
+ *
+ * Semicolons inside quotes, dollar-quoted bodies ($$ ... $$, $tag$ ... $tag$)
+ * and comments do not end a statement.
+ */
+function splitStatements(sql) {
+    const statements = [];
+    let current = '';
+    let i = 0;
+
+    while (i < sql.length) {
+        const rest = sql.slice(i);
+        let token = null;
+
+        if (rest.startsWith('--')) {
+            const end = rest.indexOf('\n');
+            token = end === -1 ? rest : rest.slice(0, end + 1);
+        } else if (rest.startsWith('/*')) {
+            const end = rest.indexOf('*/');
+            token = end === -1 ? rest : rest.slice(0, end + 2);
+        } else if (rest[0] === "'" || rest[0] === '"') {
+            const quoted = rest.match(rest[0] === "'" ? /^'(?:[^']|'')*'?/ : /^"(?:[^"]|"")*"?/);
+            token = quoted[0];
+        } else {
+            const dollar = rest.match(/^\$[A-Za-z_]*\$/);
+            if (dollar) {
+                const end = rest.indexOf(dollar[0], dollar[0].length);
+                token = end === -1 ? rest : rest.slice(0, end + dollar[0].length);
+            }
+        }
+
+        if (token) {
+            current += token;
+            i += token.length;
+        } else if (rest[0] === ';') {
+            statements.push(current);
+            current = '';
+            i += 1;
+        } else {
+            current += rest[0];
+            i += 1;
+        }
+    }
+
+    statements.push(current);
+
+    // Drop statements that are only whitespace and comments
+    return statements.filter(statement =>
+        statement.replace(/--[^\n]*/g, '').replace(/\/\*[\s\S]*?\*\//g, '').trim() !== ''
+    );
+}
+
+/**
+ * Run one SQL file, in a transaction unless it opts out
+ *
+ * Files that opt out run one statement at a time, so values added with
+ * ALTER TYPE ... ADD VALUE are committed before later statements use them.
+ */
+async function applyFile(db, filePath) {
+    const sql = fs.readFileSync(filePath, 'utf8');
+
+    if (NO_TRANSACTION_DIRECTIVE.test(sql)) {
+        for (const statement of splitStatements(sql)) {
+            await db.query(statement);
+        }
+        return;
+    }
+
+    await db.query('BEGIN');
+    try {
+        await db.query(sql);
+        await db.query('COMMIT');
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * Apply pending migrations
+ *
+ * Options: { dryRun, local, documentsBucket, schemaDir, log }.
+ * Returns { applied: [version], pending: [version] }.
+ */
+async function runMigrations(db, options = {}) {
+    const log = options.log || console.log;
+    const migrations = listMigrations(options.schemaDir);
+
+    await db.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+
+    try {
+        // Row-level security (compliance-011) hides rows from sessions without
+        // a tenant context, so migrations run with platform access
+        await db.query(`SELECT set_config('app.platform_access', 'on', false)`);
+        if (options.documentsBucket) {
+            await db.query(`SELECT set_config('app.documents_bucket', $1, false)`, [options.documentsBucket]);
+        }
+
+        if (options.local && !options.dryRun) {
+            log('Applying local prerequisites');
+            await applyFile(db, LOCAL_PREREQUISITES);
+        }
+
+        const applied = await getAppliedVersions(db);
+        const pending = migrations.filter(migration => !applied.has(migration.version));
+
+        if (pending.length === 0) {
+            log('Schema is up to date');
+            return { applied: [], pending: [] };
+        }
+
+        if (options.dryRun) {
+            pending.forEach(migration => log(`Pending: ${migration.version} (${migration.file})`));
+            return { applied: [], pending: pending.map(migration => migration.version) };
+        }
+
+        const done = [];
+        for (const migration of pending) {
+            log(`Applying ${migration.version} (${migration.file})`);
+
+            try {
+                await applyFile(db, migration.path);
+            } catch (error) {
+                throw new Error(`${migration.file} failed: ${error.message}`);
+            }
+
+            // Migrations insert their own row; this covers any that do not
+            await db.query(`
+                INSERT INTO schema_versions (version, description)
+                VALUES ($1, $2)
+                ON CONFLICT (version) DO NOTHING
+            `, [migration.version, migration.file]);
+
+            done.push(migration.version);
+        }
+
+        log(`Applied ${done.length} migration(s)`);
+        return { applied: done, pending: [] };
+    } finally {
+        await db.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+    }
+}
+
+async function main(argv) {
+    const args = new Set(argv);
+    const db = new Client(process.env.DATABASE_URL ? { connectionString: process.env.DATABASE_URL } : {});
+
+    await db.connect();
+    try {
+        await runMigrations(db, {
+            dryRun: args.has('--dry-run'),
+            local: args.has('--local'),
+            documentsBucket: process.env.DOCUMENTS_BUCKET
+        });
+    } finally {
+        await db.end();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('Migration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    splitStatements,
+    listMigrations,
+    runMigrations,
+};
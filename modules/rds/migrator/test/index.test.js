@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { splitStatements, listMigrations } = require('..');
+
+test('splitStatements splits on top-level semicolons', () => {
+    assert.deepEqual(
+        splitStatements('SELECT 1; SELECT 2;\nSELECT 3').map(statement => statement.trim()),
+        ['SELECT 1', 'SELECT 2', 'SELECT 3']
+    );
+});
+
+test('splitStatements keeps semicolons inside quotes and identifiers', () => {
+    const sql = `INSERT INTO t VALUES ('a;b', 'it''s; fine'); SELECT "odd;name" FROM t;`;
+
+    assert.deepEqual(splitStatements(sql).map(statement => statement.trim()), [
+        `INSERT INTO t VALUES ('a;b', 'it''s; fine')`,
+        `SELECT "odd;name" FROM t`,
+    ]);
+});
+
+test('splitStatements keeps semicolons inside comments', () => {
+    const sql = [
+        '-- first; not a statement',
+        'SELECT 1; /* block; comment */ SELECT 2;',
+    ].join('\n');
+
+    const statements = splitStatements(sql);
+    assert.equal(statements.length, 2);
+    assert.match(statements[0], /first; not a statement\nSELECT 1$/);
+    assert.equal(statements[1].trim(), '/* block; comment */ SELECT 2');
+});
+
+test('splitStatements keeps dollar-quoted bodies whole', () => {
+    const sql = `
+        CREATE FUNCTION f() RETURNS void AS $$
+        BEGIN
+            PERFORM 1;
+            PERFORM 2;
+        END;
+        $$ LANGUAGE plpgsql;
+        DO $body$ BEGIN RAISE NOTICE 'x;y'; END $body$;
+    `;
+
+    const statements = splitStatements(sql);
+    assert.equal(statements.length, 2);
+    assert.match(statements[0], /PERFORM 2;\s+END;\s+\$\$ LANGUAGE plpgsql$/);
+    assert.match(statements[1], /^\s*DO \$body\$.*END \$body\$$/);
+});
+
+test('splitStatements drops statements that are only whitespace and comments', () => {
+    assert.deepEqual(splitStatements(''), []);
+    assert.deepEqual(splitStatements('-- nothing here\n;\n/* or here */;  \n'), []);
+});
+
+test('splitStatements copes with unterminated quotes and comments', () => {
+    assert.deepEqual(splitStatements(`SELECT 'open; quote`), [`SELECT 'open; quote`]);
+    assert.deepEqual(splitStatements('SELECT 1 /* open; comment'), ['SELECT 1 /* open; comment']);
+});
+
+test('listMigrations numbers each migration once, in order', () => {
+    const migrations = listMigrations();
+
+    assert.ok(migrations.length > 0);
+    migrations.forEach((migration, index) => {
+        const number = String(index + 1).padStart(3, '0');
+        assert.equal(migration.version, `compliance-${number}`);
+        assert.ok(migration.file.startsWith(`${number}_`));
+    });
+});
+
+test('every migration records its own schema version', () => {
+    listMigrations().forEach(migration => {
+        const sql = fs.readFileSync(migration.path, 'utf8');
+        assert.ok(sql.includes(`'${migration.version}'`), `${migration.file} does not record ${migration.version}`);
+    });
+});
@@ -0,0 +1,46 @@
+-- ==============================================================================
+-- Migration 002: Document Upload Completion
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents
+-- Dependencies: compliance-001 (driver_documents)
+-- ==============================================================================
+
+-- Note: ALTER TYPE ... ADD VALUE cannot be used in the same transaction that
+-- adds it, so run this migration outside an explicit transaction block.
+-- migrate: no-transaction
+
+-- ==============================================================================
+-- ENUM Values for Upload Lifecycle
+-- ==============================================================================
+-- awaiting_upload: row created, presigned URL issued, no object in S3 yet
+-- abandoned:       presigned URL expired without an object being uploaded
+-- pending:         object uploaded and verified present, awaiting review
+
+ALTER TYPE document_status ADD VALUE IF NOT EXISTS 'awaiting_upload' BEFORE 'pending';
+ALTER TYPE document_status ADD VALUE IF NOT EXISTS 'abandoned';
+
+-- ==============================================================================
+-- 1. Uploaded Object Details (recorded from S3, not from the client)
+-- ==============================================================================
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS s3_etag VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS s3_version_id VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS checksum_sha256 VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS uploaded_content_type VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS uploaded_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS upload_expires_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN driver_documents.upload_expires_at IS 'When the presigned upload URL expires; rows still awaiting_upload after this are swept to abandoned';
+
+-- Sweep of expired upload URLs
+CREATE INDEX IF NOT EXISTS idx_driver_documents_upload_expires ON driver_documents(upload_expires_at) WHERE status = 'awaiting_upload';
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-002', 'Driver compliance: upload completion tracking')
+ON CONFLICT (version) DO NOTHING;
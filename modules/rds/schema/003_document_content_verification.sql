@@ -0,0 +1,38 @@
+-- ==============================================================================
+-- Migration 003: Document Content Verification
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents
+-- Dependencies: compliance-002 (upload completion)
+-- ==============================================================================
+
+-- Note: ALTER TYPE ... ADD VALUE cannot be used in the same transaction that
+-- adds it, so run this migration outside an explicit transaction block.
+-- migrate: no-transaction
+
+-- ==============================================================================
+-- ENUM Values for Content Verification
+-- ==============================================================================
+-- quarantined: uploaded file failed magic-byte verification and was moved
+--              under the quarantine/ prefix; the driver must re-upload
+
+ALTER TYPE document_status ADD VALUE IF NOT EXISTS 'quarantined';
+
+-- ==============================================================================
+-- 1. Verification Results
+-- ==============================================================================
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS detected_mime_type VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS quarantine_reason VARCHAR(50);
+
+COMMENT ON COLUMN driver_documents.detected_mime_type IS 'Format detected from the file''s leading bytes';
+COMMENT ON COLUMN driver_documents.quarantine_reason IS 'Machine-readable reason: unrecognized_format, content_type_mismatch, format_not_allowed, file_too_large';
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-003', 'Driver compliance: upload content verification and quarantine')
+ON CONFLICT (version) DO NOTHING;
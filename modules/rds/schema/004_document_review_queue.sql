@@ -0,0 +1,27 @@
+-- ==============================================================================
+-- Migration 004: Document Review Queue
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents
+-- Dependencies: compliance-002 (upload completion)
+-- ==============================================================================
+
+-- ==============================================================================
+-- 1. Review Queue Indexes (GET /admin/documents keyset pagination)
+-- ==============================================================================
+
+-- Oldest-first queue
+CREATE INDEX IF NOT EXISTS idx_driver_documents_queue_oldest
+    ON driver_documents(status, (COALESCE(uploaded_at, created_at)), id);
+
+-- Soonest-expiry queue
+CREATE INDEX IF NOT EXISTS idx_driver_documents_queue_expiry
+    ON driver_documents(status, (COALESCE(expiry_date, 'infinity'::date)), id);
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-004', 'Driver compliance: review queue indexes')
+ON CONFLICT (version) DO NOTHING;
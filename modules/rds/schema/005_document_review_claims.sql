@@ -0,0 +1,31 @@
+-- ==============================================================================
+-- Migration 005: Document Review Claims
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents
+-- Dependencies: compliance-001 (driver_documents)
+-- ==============================================================================
+
+-- ==============================================================================
+-- 1. Review Claim Lease and Optimistic Concurrency
+-- ==============================================================================
+-- A reviewer claims a document (status 'under_review') for a limited lease;
+-- expired leases return the document to 'pending'. version is incremented on
+-- every review-side write and checked by PUT /admin/documents/{id}/review.
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS claimed_by UUID REFERENCES users(id),
+    ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS claim_expires_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1 NOT NULL;
+
+-- Expired lease release
+CREATE INDEX IF NOT EXISTS idx_driver_documents_claim_expires ON driver_documents(claim_expires_at) WHERE status = 'under_review';
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-005', 'Driver compliance: review claims and document versioning')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,65 @@
+-- ==============================================================================
+-- Migration 006: Driver Document Audit Trail
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_document_events
+-- Dependencies: compliance-001 (driver_documents)
+-- ==============================================================================
+
+-- ==============================================================================
+-- 1. Driver Document Events (append-only)
+-- ==============================================================================
+-- document_id and driver_id deliberately have no foreign keys: events must
+-- outlive the documents and users they describe.
+
+CREATE TABLE IF NOT EXISTS driver_document_events (
+    id BIGSERIAL PRIMARY KEY,
+    document_id UUID NOT NULL,
+    driver_id UUID NOT NULL,
+    tenant_id UUID,
+
+    -- What happened
+    event_type VARCHAR(50) NOT NULL, -- created, uploaded, quarantined, abandoned, claimed, claim_released, reviewed, expired, replaced, deleted
+
+    -- Who or what did it
+    actor_type VARCHAR(20) NOT NULL, -- driver, reviewer, system
+    actor_id UUID,                   -- NULL for system jobs
+    source VARCHAR(100),             -- Lambda function name
+    request_id VARCHAR(100),
+
+    -- Changed values
+    before_values JSONB,
+    after_values JSONB,
+
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_document_events_document ON driver_document_events(document_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_driver_document_events_driver ON driver_document_events(driver_id, created_at);
+
+COMMENT ON TABLE driver_document_events IS 'Append-only audit trail of driver document changes - Owner: vehealth-compliance-infra-services';
+
+-- ==============================================================================
+-- Triggers: reject UPDATE, DELETE and TRUNCATE
+-- ==============================================================================
+
+CREATE OR REPLACE FUNCTION prevent_driver_document_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'driver_document_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS driver_document_events_append_only ON driver_document_events;
+CREATE TRIGGER driver_document_events_append_only BEFORE UPDATE OR DELETE ON driver_document_events FOR EACH ROW EXECUTE FUNCTION prevent_driver_document_event_changes();
+
+DROP TRIGGER IF EXISTS driver_document_events_no_truncate ON driver_document_events;
+CREATE TRIGGER driver_document_events_no_truncate BEFORE TRUNCATE ON driver_document_events FOR EACH STATEMENT EXECUTE FUNCTION prevent_driver_document_event_changes();
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-006', 'Driver compliance: driver_document_events audit trail')
+ON CONFLICT (version) DO NOTHING;
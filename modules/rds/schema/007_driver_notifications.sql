@@ -0,0 +1,70 @@
+-- ==============================================================================
+-- Migration 007: Driver Notifications
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_notification_preferences, driver_notifications
+-- Dependencies: vehealth-infrastructure (users), compliance-001 (driver_documents)
+-- ==============================================================================
+
+-- ==============================================================================
+-- 1. Driver Notification Preferences
+-- ==============================================================================
+-- Contact details per channel. Email falls back to users.email when unset.
+
+CREATE TABLE IF NOT EXISTS driver_notification_preferences (
+    driver_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Contact details
+    email VARCHAR(255),
+    phone_number VARCHAR(20),            -- E.164, e.g. +15555550100
+    push_endpoint_arn VARCHAR(512),      -- SNS platform application endpoint
+
+    -- Channel opt-ins
+    email_enabled BOOLEAN DEFAULT TRUE NOT NULL,
+    sms_enabled BOOLEAN DEFAULT TRUE NOT NULL,
+    push_enabled BOOLEAN DEFAULT TRUE NOT NULL,
+
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+COMMENT ON TABLE driver_notification_preferences IS 'Driver notification contact details and channel opt-ins - Owner: vehealth-compliance-infra-services';
+
+-- ==============================================================================
+-- 2. Driver Notifications (delivery log)
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS driver_notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tenant_id UUID,
+    document_id UUID REFERENCES driver_documents(id) ON DELETE SET NULL,
+
+    -- Message
+    template VARCHAR(50) NOT NULL,       -- document_expiring_soon, document_expired, document_approved, document_rejected, verification_complete
+    channel VARCHAR(20) NOT NULL,        -- email, sms, push
+    recipient VARCHAR(512),
+    subject VARCHAR(255),
+    body TEXT,
+
+    -- Delivery
+    status VARCHAR(20) NOT NULL,         -- sent, failed, skipped
+    provider_message_id VARCHAR(255),
+    error TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_notifications_driver ON driver_notifications(driver_id, sent_at DESC) WHERE status = 'sent';
+CREATE INDEX IF NOT EXISTS idx_driver_notifications_document ON driver_notifications(document_id);
+
+COMMENT ON TABLE driver_notifications IS 'Driver notification delivery attempts - Owner: vehealth-compliance-infra-services';
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-007', 'Driver compliance: driver_notifications and driver_notification_preferences')
+ON CONFLICT (version) DO NOTHING;
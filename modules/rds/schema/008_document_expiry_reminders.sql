@@ -0,0 +1,57 @@
+-- ==============================================================================
+-- Migration 008: Multi-Stage Document Expiry Reminders
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: document_expiry_reminders, driver_documents
+-- Dependencies: compliance-001 (driver_documents)
+-- ==============================================================================
+
+-- ==============================================================================
+-- 1. Document Expiry Reminders (one row per stage sent)
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS document_expiry_reminders (
+    document_id UUID NOT NULL REFERENCES driver_documents(id) ON DELETE CASCADE,
+    stage_days INTEGER NOT NULL,         -- days before expiry, 0 = day of expiry
+    sent_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    PRIMARY KEY (document_id, stage_days)
+);
+
+COMMENT ON TABLE document_expiry_reminders IS 'Expiry reminder stages sent per document - Owner: vehealth-compliance-infra-services';
+
+-- ==============================================================================
+-- 2. Reminder Cancellation
+-- ==============================================================================
+-- Set when a replacement document is uploaded; no further reminders are sent.
+
+ALTER TABLE driver_documents ADD COLUMN IF NOT EXISTS reminders_cancelled_at TIMESTAMPTZ;
+
+-- ==============================================================================
+-- 3. Backfill
+-- ==============================================================================
+-- Documents already notified under the single 30-day reminder count as having
+-- had the 30-day stage. expiration_notified_at is not in the 001 definition,
+-- so only backfill where the deployed table has it.
+
+DO $$ BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'driver_documents' AND column_name = 'expiration_notified_at'
+    ) THEN
+        EXECUTE '
+            INSERT INTO document_expiry_reminders (document_id, stage_days, sent_at)
+            SELECT id, 30, expiration_notified_at
+            FROM driver_documents
+            WHERE expiration_notified_at IS NOT NULL
+            ON CONFLICT (document_id, stage_days) DO NOTHING';
+    END IF;
+END $$;
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-008', 'Driver compliance: multi-stage expiry reminders')
+ON CONFLICT (version) DO NOTHING;
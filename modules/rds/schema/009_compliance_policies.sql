@@ -0,0 +1,94 @@
+-- ==============================================================================
+-- Migration 009: Compliance Policies
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: compliance_policies, compliance_policy_requirements, driver_profiles
+-- Dependencies: vehealth-infrastructure (driver_profiles)
+-- ==============================================================================
+
+-- ==============================================================================
+-- 1. Compliance Policies
+-- ==============================================================================
+-- tenant_id NULL applies to every tenant, region NULL to every region. The
+-- policy with tenant_id and region both NULL is the default.
+
+CREATE TABLE IF NOT EXISTS compliance_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID,
+    region VARCHAR(50),                  -- Jurisdiction, e.g. US-CA
+    name VARCHAR(255) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- One active policy per tenant/region pair
+CREATE UNIQUE INDEX IF NOT EXISTS idx_compliance_policies_scope
+    ON compliance_policies ((COALESCE(tenant_id, '00000000-0000-0000-0000-000000000000'::uuid)), (COALESCE(region, '')))
+    WHERE is_active;
+
+COMMENT ON TABLE compliance_policies IS 'Required-document policies per tenant and region - Owner: vehealth-compliance-infra-services';
+
+-- ==============================================================================
+-- 2. Compliance Policy Requirements
+-- ==============================================================================
+
+CREATE TABLE IF NOT EXISTS compliance_policy_requirements (
+    policy_id UUID NOT NULL REFERENCES compliance_policies(id) ON DELETE CASCADE,
+    document_type VARCHAR(50) NOT NULL,  -- license, insurance, registration, inspection, background_check, ...
+    expiry_required BOOLEAN DEFAULT FALSE NOT NULL,
+    min_validity_days INTEGER DEFAULT 0 NOT NULL CHECK (min_validity_days >= 0),
+
+    PRIMARY KEY (policy_id, document_type)
+);
+
+COMMENT ON TABLE compliance_policy_requirements IS 'Document types required by a compliance policy - Owner: vehealth-compliance-infra-services';
+
+-- ==============================================================================
+-- 3. Driver Region
+-- ==============================================================================
+
+ALTER TABLE driver_profiles ADD COLUMN IF NOT EXISTS compliance_region VARCHAR(50);
+
+-- ==============================================================================
+-- 4. Default Policy
+-- ==============================================================================
+-- Matches the document list previously hardcoded in the Lambdas.
+
+DO $$
+DECLARE
+    default_policy_id UUID;
+BEGIN
+    SELECT id INTO default_policy_id
+    FROM compliance_policies
+    WHERE tenant_id IS NULL AND region IS NULL AND is_active;
+
+    IF default_policy_id IS NULL THEN
+        INSERT INTO compliance_policies (name)
+        VALUES ('Default')
+        RETURNING id INTO default_policy_id;
+
+        INSERT INTO compliance_policy_requirements (policy_id, document_type)
+        VALUES
+            (default_policy_id, 'license'),
+            (default_policy_id, 'insurance'),
+            (default_policy_id, 'registration'),
+            (default_policy_id, 'profile_photo');
+    END IF;
+END $$;
+
+-- ==============================================================================
+-- Triggers for updated_at
+-- ==============================================================================
+
+DROP TRIGGER IF EXISTS update_compliance_policies_updated_at ON compliance_policies;
+CREATE TRIGGER update_compliance_policies_updated_at BEFORE UPDATE ON compliance_policies FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-009', 'Driver compliance: compliance_policies and compliance_policy_requirements')
+ON CONFLICT (version) DO NOTHING;
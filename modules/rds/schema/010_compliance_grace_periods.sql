@@ -0,0 +1,38 @@
+-- ==============================================================================
+-- Migration 010: Compliance Grace Periods
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: compliance_policy_requirements, driver_profiles
+-- Dependencies: compliance-009 (compliance_policies)
+-- ==============================================================================
+
+-- ==============================================================================
+-- 1. Grace Period per Requirement
+-- ==============================================================================
+-- Days a driver stays active after a required document lapses (expires or
+-- drops below min_validity_days). 0 suspends immediately.
+
+ALTER TABLE compliance_policy_requirements
+    ADD COLUMN IF NOT EXISTS grace_period_days INTEGER DEFAULT 0 NOT NULL CHECK (grace_period_days >= 0);
+
+-- ==============================================================================
+-- 2. Driver Compliance Status
+-- ==============================================================================
+
+ALTER TABLE driver_profiles
+    ADD COLUMN IF NOT EXISTS compliance_status VARCHAR(20), -- compliant, at_risk, non_compliant
+    ADD COLUMN IF NOT EXISTS compliance_at_risk_since TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS compliance_grace_ends_on DATE;
+
+-- Daily check for grace periods that have ended
+CREATE INDEX IF NOT EXISTS idx_driver_profiles_compliance_grace
+    ON driver_profiles(compliance_grace_ends_on)
+    WHERE compliance_status = 'at_risk';
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-010', 'Driver compliance: grace periods and at-risk driver status')
+ON CONFLICT (version) DO NOTHING;
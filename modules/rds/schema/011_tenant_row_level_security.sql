@@ -0,0 +1,114 @@
+-- ==============================================================================
+-- Migration 011: Tenant Row-Level Security
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents, driver_document_events, driver_notifications,
+--         document_expiry_reminders, compliance_policies,
+--         compliance_policy_requirements
+-- Dependencies: compliance-006 through compliance-010
+-- ==============================================================================
+-- The Lambdas set two session settings at the start of every invocation
+-- (see shared/tenancy.js):
+--   app.tenant_id        the caller's tenant
+--   app.platform_access  'on' for platform admins and cross-tenant system jobs
+-- Rows are visible only when their tenant matches, or with platform access.
+-- Policies are FORCEd so they also apply to the table owner the Lambdas
+-- connect as; migrations therefore run with platform access (set below).
+-- ==============================================================================
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- Older installs created driver_documents before tenants existed
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS tenant_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_driver_documents_tenant_driver
+    ON driver_documents(tenant_id, driver_id);
+
+-- ==============================================================================
+-- 1. Visibility Check
+-- ==============================================================================
+-- Unset settings read as NULL (missing_ok), so a session that never set a
+-- tenant context sees nothing.
+
+CREATE OR REPLACE FUNCTION compliance_tenant_visible(row_tenant UUID)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(current_setting('app.platform_access', true), 'off') = 'on'
+        OR row_tenant = NULLIF(current_setting('app.tenant_id', true), '')::uuid;
+$$ LANGUAGE sql STABLE;
+
+-- ==============================================================================
+-- 2. Tenant-Owned Tables
+-- ==============================================================================
+
+ALTER TABLE driver_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE driver_documents FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON driver_documents;
+CREATE POLICY tenant_isolation ON driver_documents
+    USING (compliance_tenant_visible(tenant_id))
+    WITH CHECK (compliance_tenant_visible(tenant_id));
+
+ALTER TABLE driver_document_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE driver_document_events FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON driver_document_events;
+CREATE POLICY tenant_isolation ON driver_document_events
+    USING (compliance_tenant_visible(tenant_id))
+    WITH CHECK (compliance_tenant_visible(tenant_id));
+
+ALTER TABLE driver_notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE driver_notifications FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON driver_notifications;
+CREATE POLICY tenant_isolation ON driver_notifications
+    USING (compliance_tenant_visible(tenant_id))
+    WITH CHECK (compliance_tenant_visible(tenant_id));
+
+-- Reminders follow their document
+ALTER TABLE document_expiry_reminders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_expiry_reminders FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON document_expiry_reminders;
+CREATE POLICY tenant_isolation ON document_expiry_reminders
+    USING (EXISTS (
+        SELECT 1 FROM driver_documents d
+        WHERE d.id = document_expiry_reminders.document_id
+    ));
+
+-- ==============================================================================
+-- 3. Compliance Policies
+-- ==============================================================================
+-- Policies without a tenant apply to every tenant and stay readable; only
+-- platform access may change them.
+
+ALTER TABLE compliance_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE compliance_policies FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON compliance_policies;
+CREATE POLICY tenant_isolation ON compliance_policies
+    USING (tenant_id IS NULL OR compliance_tenant_visible(tenant_id))
+    WITH CHECK (compliance_tenant_visible(tenant_id));
+
+ALTER TABLE compliance_policy_requirements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE compliance_policy_requirements FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON compliance_policy_requirements;
+CREATE POLICY tenant_isolation ON compliance_policy_requirements
+    USING (EXISTS (
+        SELECT 1 FROM compliance_policies p
+        WHERE p.id = compliance_policy_requirements.policy_id
+    ))
+    WITH CHECK (EXISTS (
+        SELECT 1 FROM compliance_policies p
+        WHERE p.id = compliance_policy_requirements.policy_id
+          AND compliance_tenant_visible(p.tenant_id)
+    ));
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-011', 'Tenant isolation: row-level security on tenant-owned tables')
+ON CONFLICT (version) DO NOTHING;
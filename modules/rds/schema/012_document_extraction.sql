@@ -0,0 +1,118 @@
+-- ==============================================================================
+-- Migration 012: Document Field Extraction and Auto-Verification
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents, document_extracted_fields, extraction_settings
+-- Dependencies: compliance-011 (row-level security)
+-- ==============================================================================
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- 1. Extraction Results on Documents
+-- ==============================================================================
+-- auto_verified marks documents approved by the extraction stage rather than
+-- a reviewer (verified_by stays NULL); a reviewer's later decision clears it.
+-- confidence_score is the lowest confidence of the extracted fields.
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS auto_verified BOOLEAN DEFAULT FALSE NOT NULL,
+    ADD COLUMN IF NOT EXISTS confidence_score NUMERIC(5, 4),
+    ADD COLUMN IF NOT EXISTS extraction_status VARCHAR(20), -- completed, failed
+    ADD COLUMN IF NOT EXISTS extraction_error TEXT,
+    ADD COLUMN IF NOT EXISTS extracted_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS vehicle_make VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS vehicle_model VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS vehicle_year INTEGER,
+    ADD COLUMN IF NOT EXISTS vehicle_plate VARCHAR(20);
+
+-- The index on automatic approvals is created in compliance-013, once
+-- verified_at is guaranteed to exist
+
+-- ==============================================================================
+-- 2. Extracted Fields
+-- ==============================================================================
+-- One row per field read from the latest extraction run. prefilled marks
+-- values copied into the document's columns for the reviewer's form.
+
+CREATE TABLE IF NOT EXISTS document_extracted_fields (
+    document_id UUID NOT NULL REFERENCES driver_documents(id) ON DELETE CASCADE,
+    field_name VARCHAR(50) NOT NULL,
+    value TEXT NOT NULL,
+    confidence NUMERIC(5, 4) NOT NULL CHECK (confidence BETWEEN 0 AND 1),
+    prefilled BOOLEAN DEFAULT FALSE NOT NULL,
+    provider VARCHAR(50) NOT NULL,       -- textract, local
+    extracted_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    PRIMARY KEY (document_id, field_name)
+);
+
+COMMENT ON TABLE document_extracted_fields IS 'Fields read from driver documents with per-field confidence - Owner: vehealth-compliance-infra-services';
+
+-- Fields follow their document
+ALTER TABLE document_extracted_fields ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_extracted_fields FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON document_extracted_fields;
+CREATE POLICY tenant_isolation ON document_extracted_fields
+    USING (EXISTS (
+        SELECT 1 FROM driver_documents d
+        WHERE d.id = document_extracted_fields.document_id
+    ));
+
+-- ==============================================================================
+-- 3. Extraction Settings
+-- ==============================================================================
+-- tenant_id NULL applies to every tenant, document_type NULL to every type.
+-- The row with both NULL is the default. Confidences range from 0 to 1.
+
+CREATE TABLE IF NOT EXISTS extraction_settings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID,
+    document_type VARCHAR(50),
+    auto_approve_enabled BOOLEAN DEFAULT FALSE NOT NULL,
+    auto_approve_min_confidence NUMERIC(5, 4) DEFAULT 0.98 NOT NULL CHECK (auto_approve_min_confidence BETWEEN 0 AND 1),
+    prefill_min_confidence NUMERIC(5, 4) DEFAULT 0.80 NOT NULL CHECK (prefill_min_confidence BETWEEN 0 AND 1),
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- One active row per tenant/document type pair
+CREATE UNIQUE INDEX IF NOT EXISTS idx_extraction_settings_scope
+    ON extraction_settings ((COALESCE(tenant_id, '00000000-0000-0000-0000-000000000000'::uuid)), (COALESCE(document_type, '')))
+    WHERE is_active;
+
+COMMENT ON TABLE extraction_settings IS 'Pre-fill and auto-approval thresholds per tenant and document type - Owner: vehealth-compliance-infra-services';
+
+ALTER TABLE extraction_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE extraction_settings FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON extraction_settings;
+CREATE POLICY tenant_isolation ON extraction_settings
+    USING (tenant_id IS NULL OR compliance_tenant_visible(tenant_id))
+    WITH CHECK (compliance_tenant_visible(tenant_id));
+
+-- Default: pre-fill confident fields, never approve automatically
+INSERT INTO extraction_settings (tenant_id, document_type)
+SELECT NULL, NULL
+WHERE NOT EXISTS (
+    SELECT 1 FROM extraction_settings
+    WHERE tenant_id IS NULL AND document_type IS NULL AND is_active
+);
+
+-- ==============================================================================
+-- Triggers for updated_at
+-- ==============================================================================
+
+DROP TRIGGER IF EXISTS update_extraction_settings_updated_at ON extraction_settings;
+CREATE TRIGGER update_extraction_settings_updated_at BEFORE UPDATE ON extraction_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-012', 'Document extraction: extracted fields, auto-verification and extraction_settings')
+ON CONFLICT (version) DO NOTHING;
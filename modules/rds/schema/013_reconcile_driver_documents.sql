@@ -0,0 +1,136 @@
+-- ==============================================================================
+-- Migration 013: Reconcile driver_documents with the Lambdas
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents
+-- Dependencies: compliance-001 through compliance-012
+-- ==============================================================================
+-- Migration 001 predates the upload and review Lambdas: it stores the object
+-- as file_key, the decision as reviewed_by/reviewed_at and the type as an
+-- ENUM of legacy names (drivers_license, vehicle_insurance, ...). This brings
+-- it in line with what the Lambdas read and write. Every step checks the
+-- current shape first, so it is safe on databases already patched by hand.
+--
+-- s3_bucket is backfilled from the app.documents_bucket setting when the
+-- migration runner is given one (DOCUMENTS_BUCKET).
+-- ==============================================================================
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- 1. Renamed Columns
+-- ==============================================================================
+-- Rename a legacy column when only it exists; when both exist (patched by
+-- hand), copy missing values across and stop requiring the legacy one.
+
+CREATE OR REPLACE FUNCTION pg_temp.reconcile_column(legacy_name TEXT, current_name TEXT)
+RETURNS VOID AS $$
+DECLARE
+    has_legacy BOOLEAN;
+    has_current BOOLEAN;
+BEGIN
+    SELECT
+        COALESCE(bool_or(column_name = legacy_name), FALSE),
+        COALESCE(bool_or(column_name = current_name), FALSE)
+    INTO has_legacy, has_current
+    FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'driver_documents';
+
+    IF has_legacy AND NOT has_current THEN
+        EXECUTE format('ALTER TABLE driver_documents RENAME COLUMN %I TO %I', legacy_name, current_name);
+    ELSIF has_legacy AND has_current THEN
+        EXECUTE format('UPDATE driver_documents SET %I = %I WHERE %I IS NULL', current_name, legacy_name, current_name);
+        EXECUTE format('ALTER TABLE driver_documents ALTER COLUMN %I DROP NOT NULL', legacy_name);
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+SELECT pg_temp.reconcile_column('file_key', 's3_key');
+SELECT pg_temp.reconcile_column('reviewed_by', 'verified_by');
+SELECT pg_temp.reconcile_column('reviewed_at', 'verified_at');
+
+-- ==============================================================================
+-- 2. Missing Columns
+-- ==============================================================================
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS s3_key VARCHAR(500),
+    ADD COLUMN IF NOT EXISTS s3_bucket VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS document_category VARCHAR(50), -- identity, vehicle, compliance
+    ADD COLUMN IF NOT EXISTS verified_by UUID REFERENCES users(id),
+    ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS expiration_notified_at TIMESTAMPTZ;
+
+UPDATE driver_documents
+SET s3_bucket = current_setting('app.documents_bucket', true)
+WHERE s3_bucket IS NULL
+  AND NULLIF(current_setting('app.documents_bucket', true), '') IS NOT NULL;
+
+-- ==============================================================================
+-- 3. Document Types
+-- ==============================================================================
+-- The Lambdas own the list of types (document-upload/document-types.js), so
+-- the column becomes plain text like compliance_policy_requirements and
+-- legacy names map to the current ones. The document_type ENUM is left in
+-- place for anything else still using it.
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema()
+          AND table_name = 'driver_documents'
+          AND column_name = 'document_type'
+          AND data_type = 'USER-DEFINED'
+    ) THEN
+        ALTER TABLE driver_documents
+            ALTER COLUMN document_type TYPE VARCHAR(50)
+            USING document_type::text;
+    END IF;
+END $$;
+
+UPDATE driver_documents
+SET document_type = CASE document_type
+        WHEN 'drivers_license' THEN 'license'
+        WHEN 'vehicle_registration' THEN 'registration'
+        WHEN 'vehicle_insurance' THEN 'insurance'
+    END
+WHERE document_type IN ('drivers_license', 'vehicle_registration', 'vehicle_insurance');
+
+UPDATE driver_documents
+SET document_category = CASE
+        WHEN document_type IN ('license', 'license_back', 'profile_photo', 'proof_of_address') THEN 'identity'
+        WHEN document_type IN ('insurance', 'registration', 'vehicle_photo') THEN 'vehicle'
+        ELSE 'compliance'
+    END
+WHERE document_category IS NULL;
+
+-- ==============================================================================
+-- 4. Indexes
+-- ==============================================================================
+
+-- S3 ObjectCreated events find their document by bucket and key
+CREATE INDEX IF NOT EXISTS idx_driver_documents_s3_object
+    ON driver_documents(s3_bucket, s3_key);
+
+-- A driver's documents of one type, newest first (compliance checks, replacements)
+CREATE INDEX IF NOT EXISTS idx_driver_documents_driver_type
+    ON driver_documents(driver_id, document_type, created_at DESC);
+
+-- Expiry reminders: approved documents still due reminders
+CREATE INDEX IF NOT EXISTS idx_driver_documents_reminders_due
+    ON driver_documents(expiry_date)
+    WHERE status = 'approved' AND reminders_cancelled_at IS NULL;
+
+-- Reviewers audit automatic approvals (compliance-012)
+CREATE INDEX IF NOT EXISTS idx_driver_documents_auto_verified
+    ON driver_documents(verified_at)
+    WHERE auto_verified;
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-013', 'Driver compliance: reconcile driver_documents columns and document types with the Lambdas')
+ON CONFLICT (version) DO NOTHING;
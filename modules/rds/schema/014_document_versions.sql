@@ -0,0 +1,108 @@
+-- ==============================================================================
+-- Migration 014: Document Versions and Replacement
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents
+-- Dependencies: compliance-013 (reconciled driver_documents)
+-- ==============================================================================
+-- A driver's uploads of one document type form a chain of versions. A new
+-- upload references the document it replaces; the replaced document stays
+-- in force until a newer version is approved, which supersedes it.
+-- ==============================================================================
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- 1. Version Columns
+-- ==============================================================================
+-- version_number counts uploads per driver and type (1, 2, ...). It is not
+-- the row-level version column used for optimistic locking during review.
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS version_number INTEGER,
+    ADD COLUMN IF NOT EXISTS replaces_document_id UUID REFERENCES driver_documents(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS superseded_by_document_id UUID REFERENCES driver_documents(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMPTZ;
+
+-- ==============================================================================
+-- 2. Backfill
+-- ==============================================================================
+-- Existing documents are chained in creation order. Each is superseded by
+-- the first later version that was approved (approved or since expired).
+
+WITH ordered AS (
+    SELECT
+        id,
+        ROW_NUMBER() OVER w AS version_number,
+        LAG(id) OVER w AS replaces_document_id
+    FROM driver_documents
+    WINDOW w AS (PARTITION BY driver_id, document_type ORDER BY created_at, id)
+)
+UPDATE driver_documents d
+SET
+    version_number = o.version_number,
+    replaces_document_id = o.replaces_document_id
+FROM ordered o
+WHERE d.id = o.id
+  AND d.version_number IS NULL;
+
+UPDATE driver_documents d
+SET superseded_by_document_id = (
+    SELECT n.id
+    FROM driver_documents n
+    WHERE n.driver_id = d.driver_id
+      AND n.document_type = d.document_type
+      AND n.version_number > d.version_number
+      AND n.status IN ('approved', 'expired')
+    ORDER BY n.version_number
+    LIMIT 1
+)
+WHERE d.superseded_at IS NULL;
+
+UPDATE driver_documents d
+SET superseded_at = COALESCE(n.verified_at, n.updated_at)
+FROM driver_documents n
+WHERE n.id = d.superseded_by_document_id
+  AND d.superseded_at IS NULL;
+
+ALTER TABLE driver_documents
+    ALTER COLUMN version_number SET DEFAULT 1,
+    ALTER COLUMN version_number SET NOT NULL;
+
+-- ==============================================================================
+-- 3. Indexes
+-- ==============================================================================
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_driver_documents_version
+    ON driver_documents(driver_id, document_type, version_number);
+
+-- Versions still in force, for finding the active document
+CREATE INDEX IF NOT EXISTS idx_driver_documents_not_superseded
+    ON driver_documents(driver_id, document_type)
+    WHERE superseded_at IS NULL;
+
+-- ==============================================================================
+-- 4. Active Documents
+-- ==============================================================================
+-- One row per driver and type: the newest version with a file that is not
+-- superseded, preferring an approved one (see shared/document-versions.js).
+-- Row-level security on driver_documents applies through the view.
+
+CREATE OR REPLACE VIEW driver_active_documents AS
+SELECT DISTINCT ON (driver_id, document_type)
+    id, driver_id, tenant_id, document_type, document_category, status,
+    version_number, replaces_document_id, expiry_date, verified_at, uploaded_at, created_at
+FROM driver_documents
+WHERE superseded_at IS NULL
+  AND status IN ('pending', 'under_review', 'approved', 'rejected', 'expired')
+ORDER BY driver_id, document_type, status = 'approved' DESC, version_number DESC;
+
+COMMENT ON VIEW driver_active_documents IS 'Active document per driver and document type - Owner: vehealth-compliance-infra-services';
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-014', 'Driver compliance: document versions, replacement and active documents')
+ON CONFLICT (version) DO NOTHING;
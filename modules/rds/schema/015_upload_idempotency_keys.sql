@@ -0,0 +1,52 @@
+-- ==============================================================================
+-- Migration 015: Idempotent Upload Requests
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: upload_idempotency_keys
+-- Dependencies: compliance-011 (row-level security)
+-- ==============================================================================
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- 1. Idempotency Keys
+-- ==============================================================================
+-- One row per driver and Idempotency-Key header value: the document the first
+-- request created and a hash of that request. Retries with the same key and
+-- request return the document; a different request with the key is refused.
+-- Rows past expires_at are ignored and deleted by the upload sweep.
+
+CREATE TABLE IF NOT EXISTS upload_idempotency_keys (
+    driver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    tenant_id UUID,
+    request_hash VARCHAR(64) NOT NULL,   -- SHA-256 of the normalized request
+    document_id UUID NOT NULL REFERENCES driver_documents(id) ON DELETE CASCADE,
+
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+
+    PRIMARY KEY (driver_id, idempotency_key)
+);
+
+-- Sweep of expired keys
+CREATE INDEX IF NOT EXISTS idx_upload_idempotency_keys_expires
+    ON upload_idempotency_keys(expires_at);
+
+COMMENT ON TABLE upload_idempotency_keys IS 'Idempotency-Key values of upload requests and the documents they created - Owner: vehealth-compliance-infra-services';
+
+ALTER TABLE upload_idempotency_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE upload_idempotency_keys FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON upload_idempotency_keys;
+CREATE POLICY tenant_isolation ON upload_idempotency_keys
+    USING (compliance_tenant_visible(tenant_id))
+    WITH CHECK (compliance_tenant_visible(tenant_id));
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-015', 'Driver compliance: idempotent upload requests')
+ON CONFLICT (version) DO NOTHING;
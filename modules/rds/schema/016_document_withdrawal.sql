@@ -0,0 +1,41 @@
+-- ==============================================================================
+-- Migration 016: Driver Document Withdrawal
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents
+-- Dependencies: compliance-014 (document versions)
+-- ==============================================================================
+
+-- Note: ALTER TYPE ... ADD VALUE cannot be used in the same transaction that
+-- adds it, so run this migration outside an explicit transaction block.
+-- migrate: no-transaction
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- ENUM Values for Withdrawal
+-- ==============================================================================
+-- withdrawn: the driver removed a pending or rejected upload; its file is
+--            deleted from S3 (every object version) and the row is kept,
+--            soft-deleted, for the audit trail
+
+ALTER TYPE document_status ADD VALUE IF NOT EXISTS 'withdrawn';
+
+-- ==============================================================================
+-- 1. Soft Delete
+-- ==============================================================================
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS deleted_by UUID;
+
+COMMENT ON COLUMN driver_documents.deleted_at IS 'When the document was withdrawn and its file deleted; hidden from the driver from then on';
+COMMENT ON COLUMN driver_documents.deleted_by IS 'User who withdrew the document';
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-016', 'Driver compliance: driver document withdrawal and soft delete')
+ON CONFLICT (version) DO NOTHING;
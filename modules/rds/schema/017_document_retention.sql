@@ -0,0 +1,125 @@
+-- ==============================================================================
+-- Migration 017: Document Retention and Storage Lifecycle
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents, retention_settings, document_purges
+-- Dependencies: compliance-016 (document withdrawal)
+-- ==============================================================================
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- 1. Lifecycle Tags
+-- ==============================================================================
+-- The bucket's lifecycle rules select objects by their document-status tag
+-- (see shared/storage-lifecycle.js). s3_lifecycle_tag is the tag last
+-- applied; the retention job re-tags objects whose tag lags their status,
+-- which also covers objects stored before tagging existed.
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS s3_lifecycle_tag VARCHAR(50);
+
+COMMENT ON COLUMN driver_documents.s3_lifecycle_tag IS 'document-status object tag last applied to the file in S3';
+
+-- The enum-to-text cast is not immutable, so the lagging-tag comparison
+-- cannot be part of the predicate; the retention job filters on it
+CREATE INDEX IF NOT EXISTS idx_driver_documents_lifecycle_tag_due
+    ON driver_documents(tenant_id)
+    WHERE status IN ('approved', 'rejected', 'expired');
+
+-- Documents the retention job may purge
+CREATE INDEX IF NOT EXISTS idx_driver_documents_retention
+    ON driver_documents(tenant_id)
+    WHERE status IN ('rejected', 'withdrawn') OR superseded_at IS NOT NULL;
+
+-- ==============================================================================
+-- 2. Retention Settings
+-- ==============================================================================
+-- How long rejected, superseded and withdrawn documents are kept, counted
+-- from the rejection, supersession or withdrawal. tenant_id NULL is the
+-- default for tenants without their own row.
+
+CREATE TABLE IF NOT EXISTS retention_settings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID,
+    retention_days INTEGER NOT NULL CHECK (retention_days > 0),
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- One active row per tenant (and one default)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_settings_scope
+    ON retention_settings ((COALESCE(tenant_id, '00000000-0000-0000-0000-000000000000'::uuid)))
+    WHERE is_active;
+
+COMMENT ON TABLE retention_settings IS 'Retention period of rejected, superseded and withdrawn documents per tenant - Owner: vehealth-compliance-infra-services';
+
+ALTER TABLE retention_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE retention_settings FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON retention_settings;
+CREATE POLICY tenant_isolation ON retention_settings
+    USING (tenant_id IS NULL OR compliance_tenant_visible(tenant_id))
+    WITH CHECK (compliance_tenant_visible(tenant_id));
+
+-- Default: keep for one year
+INSERT INTO retention_settings (tenant_id, retention_days)
+SELECT NULL, 365
+WHERE NOT EXISTS (
+    SELECT 1 FROM retention_settings
+    WHERE tenant_id IS NULL AND is_active
+);
+
+DROP TRIGGER IF EXISTS update_retention_settings_updated_at ON retention_settings;
+CREATE TRIGGER update_retention_settings_updated_at BEFORE UPDATE ON retention_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ==============================================================================
+-- 3. Purge Report
+-- ==============================================================================
+-- One row per document the retention job deleted, with the file it removed.
+-- Like driver_document_events, rows outlive the documents they describe, so
+-- there are no foreign keys.
+
+CREATE TABLE IF NOT EXISTS document_purges (
+    id BIGSERIAL PRIMARY KEY,
+    document_id UUID NOT NULL,
+    driver_id UUID NOT NULL,
+    tenant_id UUID,
+    document_type VARCHAR(50) NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    version_number INTEGER,
+
+    reason VARCHAR(20) NOT NULL,          -- rejected, superseded, withdrawn
+    retained_since TIMESTAMPTZ NOT NULL,  -- rejection, supersession or withdrawal
+    retention_days INTEGER NOT NULL,
+
+    s3_bucket VARCHAR(255),
+    s3_key VARCHAR(500),
+    object_versions_deleted INTEGER DEFAULT 0 NOT NULL,
+
+    request_id VARCHAR(100),
+    purged_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_purges_tenant ON document_purges(tenant_id, purged_at);
+CREATE INDEX IF NOT EXISTS idx_document_purges_request ON document_purges(request_id);
+
+COMMENT ON TABLE document_purges IS 'Report of documents and files removed by the retention job - Owner: vehealth-compliance-infra-services';
+
+ALTER TABLE document_purges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_purges FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON document_purges;
+CREATE POLICY tenant_isolation ON document_purges
+    USING (compliance_tenant_visible(tenant_id))
+    WITH CHECK (compliance_tenant_visible(tenant_id));
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-017', 'Driver compliance: storage lifecycle tags, retention settings and purge report')
+ON CONFLICT (version) DO NOTHING;
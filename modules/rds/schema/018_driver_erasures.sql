@@ -0,0 +1,56 @@
+-- ==============================================================================
+-- Migration 018: Driver Data Erasure
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_erasures
+-- Dependencies: compliance-017 (document retention)
+-- ==============================================================================
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- 1. Erasure Tombstones
+-- ==============================================================================
+-- One row per erasure of a driver's data (see shared/driver-data.js): what
+-- triggered it and how much was removed, but nothing about the driver beyond
+-- their ID. Deleting a user cascades to driver_documents without touching
+-- S3, so the account deletion event triggers an erasure that sweeps the
+-- driver's key prefixes. Like driver_document_events, rows outlive the
+-- drivers they describe, so there are no foreign keys.
+
+CREATE TABLE IF NOT EXISTS driver_erasures (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    driver_id UUID NOT NULL,
+    tenant_id UUID NOT NULL,
+
+    source VARCHAR(20) NOT NULL CHECK (source IN ('admin', 'event')),
+    requested_by UUID,                    -- NULL for account deletion events
+    reason TEXT,
+
+    documents_deleted INTEGER DEFAULT 0 NOT NULL,
+    object_versions_deleted INTEGER DEFAULT 0 NOT NULL,
+
+    request_id VARCHAR(100),
+    erased_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_erasures_driver ON driver_erasures(driver_id, erased_at);
+CREATE INDEX IF NOT EXISTS idx_driver_erasures_tenant ON driver_erasures(tenant_id, erased_at);
+
+COMMENT ON TABLE driver_erasures IS 'Tombstones of driver data erasures - Owner: vehealth-compliance-infra-services';
+
+ALTER TABLE driver_erasures ENABLE ROW LEVEL SECURITY;
+ALTER TABLE driver_erasures FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON driver_erasures;
+CREATE POLICY tenant_isolation ON driver_erasures
+    USING (compliance_tenant_visible(tenant_id))
+    WITH CHECK (compliance_tenant_visible(tenant_id));
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-018', 'Driver compliance: driver data erasure tombstones')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,50 @@
+-- ==============================================================================
+-- Migration 019: Malware Scanning
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents
+-- Dependencies: compliance-018 (driver data erasure)
+-- ==============================================================================
+
+-- Note: ALTER TYPE ... ADD VALUE cannot be used in the same transaction that
+-- adds it, so run this migration outside an explicit transaction block.
+-- migrate: no-transaction
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- ENUM Values for Scanning
+-- ==============================================================================
+-- scanning: uploaded and verified, waiting for the malware scan; hidden from
+--           the review queue and view URLs until the scan reports it clean
+--           (infected files are quarantined with reason 'malware_detected')
+
+ALTER TYPE document_status ADD VALUE IF NOT EXISTS 'scanning';
+
+-- ==============================================================================
+-- 1. Scan Results
+-- ==============================================================================
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS scan_status VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS scan_provider VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS scan_signature VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS scan_error TEXT,
+    ADD COLUMN IF NOT EXISTS scanned_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN driver_documents.scan_status IS 'Last malware scan result: clean, infected or failed (NULL if never scanned)';
+COMMENT ON COLUMN driver_documents.scan_signature IS 'Malware the scanner reported in the file';
+COMMENT ON COLUMN driver_documents.scan_error IS 'Why the last scan could not complete; the upload sweep retries it';
+
+-- Scans the upload sweep retries
+CREATE INDEX IF NOT EXISTS idx_driver_documents_scanning
+    ON driver_documents((COALESCE(scanned_at, uploaded_at)))
+    WHERE status = 'scanning';
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-019', 'Driver compliance: malware scanning status and scan results')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,38 @@
+-- ==============================================================================
+-- Migration 020: Document Preview Renditions
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents
+-- Dependencies: compliance-019 (malware scanning)
+-- ==============================================================================
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- 1. Renditions
+-- ==============================================================================
+-- Downsized JPEG previews of each viewable upload (first page for PDFs), see
+-- shared/renditions.js. renditions maps each size to its object:
+--   { "thumbnail": { "key": ..., "width": 320, "height": 240, "size_bytes": 18234 },
+--     "preview": { ... } }
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS renditions JSONB,
+    ADD COLUMN IF NOT EXISTS renditions_generated_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS rendition_error TEXT;
+
+COMMENT ON COLUMN driver_documents.renditions IS 'Preview renditions of the file by size: S3 key, dimensions and size (NULL until generated)';
+COMMENT ON COLUMN driver_documents.rendition_error IS 'Why renditions could not be generated; reviewers fall back to the original file';
+
+-- Documents the upload sweep still has to generate renditions for
+CREATE INDEX IF NOT EXISTS idx_driver_documents_renditions_missing
+    ON driver_documents(uploaded_at)
+    WHERE renditions IS NULL AND rendition_error IS NULL AND deleted_at IS NULL;
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-020', 'Driver compliance: document preview renditions')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,79 @@
+-- ==============================================================================
+-- Migration 021: Multi-File Documents
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_document_files, driver_documents
+-- Dependencies: compliance-020 (document renditions)
+-- ==============================================================================
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- 1. Document Files
+-- ==============================================================================
+-- A document owns an ordered set of files: the front and back of a license,
+-- or the pages of an insurance card or registration (see
+-- shared/document-files.js). The set is uploaded, scanned and reviewed as
+-- one unit. driver_documents keeps mirroring the first file (s3_key,
+-- file_name, mime_type, renditions), and file_size_bytes is the set's total.
+-- Documents uploaded before this migration have no rows here: their single
+-- file is the one on driver_documents.
+
+CREATE TABLE IF NOT EXISTS driver_document_files (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    document_id UUID NOT NULL REFERENCES driver_documents(id) ON DELETE CASCADE,
+    tenant_id UUID,
+
+    part_number SMALLINT NOT NULL CHECK (part_number >= 1),
+    part_name VARCHAR(30),                -- front, back; NULL for numbered pages
+
+    s3_bucket VARCHAR(255) NOT NULL,
+    s3_key VARCHAR(500) NOT NULL,         -- moves under quarantine/ if the file fails verification or the scan
+    file_name VARCHAR(255),
+    mime_type VARCHAR(100),
+    file_size_bytes BIGINT,
+
+    -- Filled in when the set's upload completes
+    s3_etag VARCHAR(100),
+    s3_version_id VARCHAR(255),
+    checksum_sha256 VARCHAR(100),
+    detected_mime_type VARCHAR(100),
+    uploaded_at TIMESTAMPTZ,
+
+    renditions JSONB,                     -- as driver_documents.renditions
+
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    UNIQUE (document_id, part_number)
+);
+
+-- S3 events find the document a file belongs to by its key
+CREATE INDEX IF NOT EXISTS idx_driver_document_files_key
+    ON driver_document_files(s3_bucket, s3_key);
+
+COMMENT ON TABLE driver_document_files IS 'Ordered files (sides, pages) of driver documents - Owner: vehealth-compliance-infra-services';
+
+ALTER TABLE driver_document_files ENABLE ROW LEVEL SECURITY;
+ALTER TABLE driver_document_files FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON driver_document_files;
+CREATE POLICY tenant_isolation ON driver_document_files
+    USING (compliance_tenant_visible(tenant_id))
+    WITH CHECK (compliance_tenant_visible(tenant_id));
+
+-- ==============================================================================
+-- 2. File Count
+-- ==============================================================================
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS file_count SMALLINT DEFAULT 1 NOT NULL;
+
+COMMENT ON COLUMN driver_documents.file_count IS 'Number of files in the document''s set (see driver_document_files)';
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-021', 'Driver compliance: multi-file documents')
+ON CONFLICT (version) DO NOTHING;
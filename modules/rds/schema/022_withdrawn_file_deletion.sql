@@ -0,0 +1,41 @@
+-- ==============================================================================
+-- Migration 022: Withdrawn Document File Deletion
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents
+-- Dependencies: compliance-021 (multi-file documents)
+-- ==============================================================================
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- 1. File Deletion
+-- ==============================================================================
+-- A withdrawal commits first and deletes the files from S3 afterwards, so a
+-- failed delete never leaves a pending document without its files. The
+-- upload sweep retries withdrawn documents whose files_deleted_at is still
+-- NULL. Documents withdrawn before this migration had their files deleted
+-- with the withdrawal.
+
+ALTER TABLE driver_documents
+    ADD COLUMN IF NOT EXISTS files_deleted_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN driver_documents.files_deleted_at IS 'When every S3 version of a withdrawn document''s files was deleted (NULL while pending)';
+
+UPDATE driver_documents
+SET files_deleted_at = deleted_at
+WHERE status = 'withdrawn'
+  AND files_deleted_at IS NULL;
+
+-- Withdrawn documents the upload sweep still has to delete files of
+CREATE INDEX IF NOT EXISTS idx_driver_documents_files_undeleted
+    ON driver_documents(deleted_at)
+    WHERE status = 'withdrawn' AND files_deleted_at IS NULL;
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-022', 'Driver compliance: withdrawn document file deletion retries')
+ON CONFLICT (version) DO NOTHING;
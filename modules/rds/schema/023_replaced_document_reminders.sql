@@ -0,0 +1,35 @@
+-- ==============================================================================
+-- Migration 023: Expiry Reminders of Replaced Documents
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: driver_documents
+-- Dependencies: compliance-008 (expiry reminders), compliance-014 (document versions)
+-- ==============================================================================
+
+SELECT set_config('app.platform_access', 'on', false);
+
+-- ==============================================================================
+-- 1. Resume Reminders
+-- ==============================================================================
+-- Completing a replacement upload used to cancel the reminders of the
+-- approved document it replaces, which stays in force until the replacement
+-- is approved. A rejected replacement left that document to lapse without
+-- reminders. Reminders now stop only when an approved replacement supersedes
+-- the document, so cancellations of documents still in force are undone.
+
+UPDATE driver_documents
+SET reminders_cancelled_at = NULL
+WHERE status = 'approved'
+  AND superseded_at IS NULL
+  AND deleted_at IS NULL
+  AND reminders_cancelled_at IS NOT NULL;
+
+COMMENT ON COLUMN driver_documents.reminders_cancelled_at IS 'When expiry reminders were cancelled (withdrawal); superseded documents get no reminders either';
+
+-- ==============================================================================
+-- Schema Version
+-- ==============================================================================
+
+INSERT INTO schema_versions (version, description)
+VALUES ('compliance-023', 'Driver compliance: expiry reminders of replaced documents')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,50 @@
+-- ==============================================================================
+-- Local Prerequisites (local Postgres only)
+-- ==============================================================================
+-- Repository: vehealth-compliance-infra-services
+-- Tables: schema_versions, users, driver_profiles
+-- Dependencies: none
+-- ==============================================================================
+-- In deployed environments these objects come from vehealth-infrastructure.
+-- This file creates minimal stand-ins so the compliance migrations can run
+-- against an empty local database (migrator: node index.js --local). It is
+-- not numbered and never recorded in schema_versions. Never run it against
+-- a shared database.
+-- ==============================================================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS schema_versions (
+    version VARCHAR(50) PRIMARY KEY,
+    description TEXT,
+    applied_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS driver_profiles (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(50) DEFAULT 'pending_documents' NOT NULL,
+    documents_complete BOOLEAN DEFAULT FALSE NOT NULL,
+    documents_verified_at TIMESTAMPTZ,
+    license_document_id UUID,
+    insurance_document_id UUID,
+    registration_document_id UUID,
+    inspection_document_id UUID,
+    profile_photo_document_id UUID,
+
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
@@ -41,33 +41,53 @@ resource "aws_s3_bucket_public_access_block" "driver_documents" {
   restrict_public_buckets = true
 }
 
+# Objects keep their {tenant_id}/{driver_id}/... keys; the Lambdas tag each
+# object with its document's status (document-status) when it is approved,
+# rejected or expires, and the rules select on that tag. Ages count from the
+# upload. Document files are never expired here: rejected documents can
+# still be viewed or approved by override until the document-retention
+# Lambda purges their rows and every version after each tenant's retention
+# period.
 resource "aws_s3_bucket_lifecycle_configuration" "driver_documents" {
   bucket = aws_s3_bucket.driver_documents.id
 
+  # Instant Retrieval, so presigned view URLs keep working for archived files
   rule {
-    id     = "expire-rejected-documents"
-    status = "Enabled"
+    id     = "move-to-glacier"
+    status = var.environment == "prod" ? "Enabled" : "Disabled"
 
     filter {
-      prefix = "rejected/"
+      tag {
+        key   = "document-status"
+        value = "approved"
+      }
     }
 
-    expiration {
-      days = 30
+    transition {
+      days          = 365
+      storage_class = "GLACIER_IR"
     }
   }
 
+  # Driver data exports (shared/driver-data.js) outlive their download URL
+  # by a few days at most
   rule {
-    id     = "move-to-glacier"
-    status = var.environment == "prod" ? "Enabled" : "Disabled"
+    id     = "expire-driver-exports"
+    status = "Enabled"
 
     filter {
-      prefix = "approved/"
+      tag {
+        key   = "document-export"
+        value = "true"
+      }
     }
 
-    transition {
-      days          = 365
-      storage_class = "GLACIER"
+    expiration {
+      days = 7
+    }
+
+    noncurrent_version_expiration {
+      noncurrent_days = 1
     }
   }
 }